@@ -36,13 +36,9 @@ async function getEventHubConnectionString(iotHubConnectionString) {
 
     return connectionString;
   } catch (err) {
-    console.error(
-      "Electric-IO could not connect to Azure IoT Hub management interface."
-    );
-    if (err.message) {
-      console.error(err.message);
-    }
-    return null;
+    const message =
+      "Electric-IO could not connect to Azure IoT Hub management interface.";
+    throw new Error(err.message ? `${message} ${err.message}` : message);
   } finally {
     await cbsClient.close();
     await connection.close();
@@ -0,0 +1,121 @@
+const debug = require("debug")("server");
+const fs = require("fs");
+const writeFileAtomically = require("./utilities/writeFileAtomically.js");
+
+// Checkpoints are written at most this often, not after every batch of events.
+const WRITE_DELAY = 5000;
+
+/**
+ * A checkpoint store remembers the last event that was processed per consumer group and
+ * partition, so that receiving can resume there after a restart.
+ *
+ * Both stores have the same interface:
+ *
+ * - `getCheckpoint(consumerGroup, partitionId)` resolves with the checkpoint or `undefined`
+ * - `updateCheckpoint(consumerGroup, partitionId, checkpoint)` records a checkpoint
+ * - `flush()` resolves once all checkpoints are stored
+ *
+ * A checkpoint looks like `{ sequenceNumber, offset, enqueuedTime }`.
+ */
+
+function createInMemoryCheckpointStore() {
+  const checkpoints = new Map();
+
+  return {
+    getCheckpoint(consumerGroup, partitionId) {
+      return Promise.resolve(
+        checkpoints.get(`${consumerGroup}/${partitionId}`)
+      );
+    },
+
+    updateCheckpoint(consumerGroup, partitionId, checkpoint) {
+      checkpoints.set(`${consumerGroup}/${partitionId}`, { ...checkpoint });
+      return Promise.resolve();
+    },
+
+    flush() {
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Stores checkpoints in a JSON file. A missing or unreadable file means that there are no
+ * checkpoints yet.
+ *
+ * @param {string} filePath
+ */
+function createFileCheckpointStore(filePath) {
+  let loading = null;
+  let writeTimer = null;
+
+  function load() {
+    if (loading === null) {
+      loading = new Promise(resolve => {
+        fs.readFile(filePath, { encoding: "utf8" }, (error, data) => {
+          if (error) {
+            if (error.code !== "ENOENT") {
+              console.warn(`Could not read checkpoints from “${filePath}”.`);
+            }
+            resolve({});
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            console.warn(`Could not parse the checkpoints in “${filePath}”.`);
+            resolve({});
+          }
+        });
+      });
+    }
+
+    return loading;
+  }
+
+  function write(checkpoints) {
+    // A restart during the write must not leave a half-written file, which would lose all
+    // checkpoints instead of the last few.
+    return writeFileAtomically(filePath, JSON.stringify(checkpoints)).then(
+      () => debug(`LOG: Stored checkpoints in “${filePath}”.`),
+      () => console.error(`Could not write checkpoints to “${filePath}”.`)
+    );
+  }
+
+  return {
+    getCheckpoint(consumerGroup, partitionId) {
+      return load().then(checkpoints =>
+        checkpoints[consumerGroup]
+          ? checkpoints[consumerGroup][partitionId]
+          : undefined
+      );
+    },
+
+    updateCheckpoint(consumerGroup, partitionId, checkpoint) {
+      return load().then(checkpoints => {
+        checkpoints[consumerGroup] = checkpoints[consumerGroup] || {};
+        checkpoints[consumerGroup][partitionId] = { ...checkpoint };
+
+        if (writeTimer === null) {
+          writeTimer = setTimeout(() => {
+            writeTimer = null;
+            write(checkpoints);
+          }, WRITE_DELAY);
+        }
+      });
+    },
+
+    flush() {
+      if (writeTimer === null) {
+        return Promise.resolve();
+      }
+
+      clearTimeout(writeTimer);
+      writeTimer = null;
+      return load().then(write);
+    }
+  };
+}
+
+module.exports = { createInMemoryCheckpointStore, createFileCheckpointStore };
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  createInMemoryCheckpointStore,
+  createFileCheckpointStore
+} = require("./checkpointStores.js");
+
+const checkpoint = {
+  sequenceNumber: 42,
+  offset: "4096",
+  enqueuedTime: "2020-03-01T12:00:00.000Z"
+};
+
+describe("Checkpoint stores", () => {
+  describe("in memory", () => {
+    test("remembers checkpoints per consumer group and partition", async () => {
+      const store = createInMemoryCheckpointStore();
+
+      await store.updateCheckpoint("$Default", "0", checkpoint);
+
+      expect(await store.getCheckpoint("$Default", "0")).toEqual(checkpoint);
+      expect(await store.getCheckpoint("$Default", "1")).toBeUndefined();
+      expect(await store.getCheckpoint("other", "0")).toBeUndefined();
+    });
+  });
+
+  describe("file", () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoints-"));
+      filePath = path.join(directory, "checkpoints.json");
+    });
+
+    afterEach(() => {
+      fs.rmdirSync(directory, { recursive: true });
+    });
+
+    test("has no checkpoints if the file doesn’t exist", async () => {
+      const store = createFileCheckpointStore(filePath);
+
+      expect(await store.getCheckpoint("$Default", "0")).toBeUndefined();
+    });
+
+    test("writes checkpoints to the file and reads them back", async () => {
+      const store = createFileCheckpointStore(filePath);
+
+      await store.updateCheckpoint("$Default", "0", checkpoint);
+      await store.flush();
+
+      expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).toEqual({
+        $Default: { "0": checkpoint }
+      });
+
+      const restartedStore = createFileCheckpointStore(filePath);
+      expect(await restartedStore.getCheckpoint("$Default", "0")).toEqual(
+        checkpoint
+      );
+    });
+
+    test("replaces the file as a whole", async () => {
+      fs.writeFileSync(filePath, JSON.stringify({ other: {} }), "utf8");
+      const store = createFileCheckpointStore(filePath);
+
+      await store.updateCheckpoint("$Default", "0", checkpoint);
+      await store.flush();
+
+      expect(fs.readdirSync(directory)).toEqual(["checkpoints.json"]);
+      expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).toEqual({
+        other: {},
+        $Default: { "0": checkpoint }
+      });
+    });
+
+    test("has nothing to flush without new checkpoints", async () => {
+      const store = createFileCheckpointStore(filePath);
+
+      await store.flush();
+
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test("ignores a file that isn’t valid JSON", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => undefined);
+      fs.writeFileSync(filePath, "{", "utf8");
+
+      const store = createFileCheckpointStore(filePath);
+
+      expect(await store.getCheckpoint("$Default", "0")).toBeUndefined();
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * The schema of dashboards and their tiles, shared by the server, which refuses to save invalid
+ * dashboards, and the client, whose `BaseCard` validates its tile with it.
+ *
+ * Schemas use a subset of JSON Schema: `type`, `enum`, `properties`, `required`, `items`,
+ * `minItems`, `maxItems`, `minimum`, `exclusiveMinimum`, `minLength`, `maxLength`, `pattern` and
+ * `anyOf`, plus `errorMessage` to describe what an `anyOf` expects. Properties that a schema
+ * doesn’t mention are allowed, so that older clients don’t trip over newer settings.
+ *
+ * This file is loaded by Node as well as bundled for browsers, so it sticks to CommonJS.
+ */
+
+const TEXT = { type: "string" };
+const COLOR = { type: "string" };
+const DEVICE_ID = { type: "string" };
+// The IoT Edge module of the device, if the tile only displays or calls that module.
+const MODULE_ID = { type: "string" };
+const POINT = {
+  type: "array",
+  items: { type: "number" },
+  minItems: 2,
+  maxItems: 2
+};
+const SIZE = {
+  type: "array",
+  items: { type: "number", exclusiveMinimum: 0 },
+  minItems: 2,
+  maxItems: 2
+};
+// Settings forms submit numbers as text, and an empty field means “not set”.
+const NUMERIC = {
+  anyOf: [
+    { type: "number" },
+    {
+      type: "string",
+      pattern: "^\\s*(-?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?)?\\s*$"
+    }
+  ],
+  errorMessage: "must be a number"
+};
+
+const tileSchema = {
+  type: "object",
+  required: ["id", "type", "title", "position", "size"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    type: {
+      type: "string",
+      enum: [
+        "button",
+        "gauge",
+        "line-chart",
+        "number",
+        "pie-chart",
+        "sticker",
+        "text",
+        "twin"
+      ]
+    },
+    title: TEXT,
+    position: POINT,
+    size: SIZE
+  }
+};
+
+const tileSchemas = {
+  button: {
+    properties: {
+      buttonText: TEXT,
+      deviceId: DEVICE_ID,
+      moduleId: MODULE_ID,
+      deviceMethod: TEXT,
+      callType: { type: "string", enum: ["method", "message"] },
+      callPayload: TEXT
+    }
+  },
+
+  gauge: {
+    properties: {
+      deviceId: DEVICE_ID,
+      moduleId: MODULE_ID,
+      property: TEXT,
+      gaugeShape: { type: "string", enum: ["radial", "linear"] },
+      min: NUMERIC,
+      max: NUMERIC,
+      bands: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { to: NUMERIC, color: COLOR }
+        }
+      },
+      blendBands: { type: "string", enum: ["sharp", "smooth"] }
+    }
+  },
+
+  "line-chart": {
+    required: ["series"],
+    properties: {
+      series: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            deviceId: DEVICE_ID,
+            moduleId: MODULE_ID,
+            property: TEXT,
+            label: TEXT,
+            color: COLOR
+          }
+        }
+      },
+      windowMode: { type: "string", enum: ["points", "minutes"] },
+      pointCount: NUMERIC,
+      timeWindow: NUMERIC,
+      yMin: NUMERIC,
+      yMax: NUMERIC
+    }
+  },
+
+  number: {
+    properties: {
+      deviceId: DEVICE_ID,
+      moduleId: MODULE_ID,
+      property: TEXT,
+      textColor: COLOR,
+      textColorMode: { type: "string", enum: ["single", "gradient"] },
+      lowValue: NUMERIC,
+      lowTextColor: COLOR,
+      highValue: NUMERIC,
+      highTextColor: COLOR
+    }
+  },
+
+  "pie-chart": {
+    properties: {
+      chartType: { type: "string", enum: ["pie", "donut"] },
+      deviceId: DEVICE_ID,
+      moduleId: MODULE_ID,
+      pieMode: { type: "string", enum: ["properties", "count"] },
+      slices: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { label: TEXT, property: TEXT }
+        }
+      },
+      property: TEXT,
+      timeWindow: NUMERIC
+    }
+  },
+
+  sticker: {
+    properties: {
+      url: TEXT,
+      altText: { type: "string", maxLength: 150 }
+    }
+  },
+
+  text: {
+    properties: {
+      tileText: TEXT
+    }
+  },
+
+  twin: {
+    properties: {
+      deviceId: DEVICE_ID,
+      reportedProperties: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { label: TEXT, property: TEXT }
+        }
+      },
+      desiredProperties: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { label: TEXT, name: TEXT }
+        }
+      }
+    }
+  }
+};
+
+// The tiles are validated by `validateTile`, which picks the schema of their type.
+const dashboardSchema = {
+  type: "object",
+  required: ["blockSize", "tiles"],
+  properties: {
+    title: TEXT,
+    bgColor: COLOR,
+    bgImageUrl: TEXT,
+    bgImageRepeat: { type: ["boolean", "string"] },
+    blockSize: SIZE,
+    editMode: TEXT,
+    tiles: { type: "array" }
+  }
+};
+
+const TYPE_NAMES = {
+  array: "a list",
+  boolean: "a boolean",
+  number: "a number",
+  object: "an object",
+  string: "text"
+};
+
+/**
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path] Where the value is, e.g. `tiles[0].size`.
+ * @returns {{ path: string, message: string }[]} Nothing if the value is valid.
+ */
+function validate(value, schema, path = "") {
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(
+      option => validate(value, option, path).length === 0
+    );
+    return matches
+      ? []
+      : [{ path, message: schema.errorMessage || "has the wrong format" }];
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.includes(getType(value))) {
+      const typeNames = types.map(type => TYPE_NAMES[type]).join(" or ");
+      return [{ path, message: `must be ${typeNames}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const values = schema.enum.map(item => `“${item}”`).join(", ");
+    return [{ path, message: `must be one of ${values}` }];
+  }
+
+  const errors = [];
+  const addError = message => errors.push({ path, message });
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError(
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must have at least ${schema.minLength} characters`
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      addError(`must have at most ${schema.maxLength} characters`);
+    }
+    if (
+      schema.pattern !== undefined &&
+      !new RegExp(schema.pattern).test(value)
+    ) {
+      addError("has the wrong format");
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(`must be at least ${schema.minimum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      addError(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(
+        schema.minItems === schema.maxItems
+          ? `must have ${schema.minItems} items`
+          : `must have at least ${schema.minItems} items`
+      );
+    } else if (
+      schema.maxItems !== undefined &&
+      value.length > schema.maxItems
+    ) {
+      addError(
+        schema.minItems === schema.maxItems
+          ? `must have ${schema.maxItems} items`
+          : `must have at most ${schema.maxItems} items`
+      );
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getType(value) === "object") {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+    });
+
+    Object.keys(schema.properties || {}).forEach(key => {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validate(value[key], schema.properties[key], joinPath(path, key))
+        );
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * @param {object} tile
+ * @param {string} [path]
+ * @returns {{ path: string, message: string }[]}
+ */
+function validateTile(tile, path = "") {
+  const errors = validate(tile, tileSchema, path);
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  return validate(tile, tileSchemas[tile.type], path);
+}
+
+/**
+ * @param {object} dashboard
+ * @returns {{ path: string, message: string }[]}
+ */
+function validateDashboard(dashboard) {
+  const errors = validate(dashboard, dashboardSchema);
+
+  if (getType(dashboard) !== "object" || !Array.isArray(dashboard.tiles)) {
+    return errors;
+  }
+
+  const tileErrors = dashboard.tiles.reduce(
+    (tileErrors, tile, index) =>
+      tileErrors.concat(validateTile(tile, `tiles[${index}]`)),
+    errors
+  );
+
+  return tileErrors.concat(validateTileIds(dashboard.tiles));
+}
+
+/**
+ * Cards are changed and deleted by their ID, so no two cards of a dashboard may share one.
+ *
+ * @param {object[]} tiles
+ * @returns {{ path: string, message: string }[]}
+ */
+function validateTileIds(tiles) {
+  const indexes = new Map();
+  const errors = [];
+
+  tiles.forEach((tile, index) => {
+    if (getType(tile) !== "object" || typeof tile.id !== "string") {
+      return;
+    }
+
+    if (indexes.has(tile.id)) {
+      errors.push({
+        path: `tiles[${index}].id`,
+        message: `must differ from the ID of tiles[${indexes.get(tile.id)}]`
+      });
+    } else {
+      indexes.set(tile.id, index);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @param {{ path: string, message: string }[]} errors
+ * @returns {string} The errors as sentences, e.g. “tiles[0].size must have 2 items.”
+ */
+function formatErrors(errors) {
+  return errors
+    .map(({ path, message }) => `${path || "The dashboard"} ${message}.`)
+    .join(" ");
+}
+
+function getType(value) {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+
+  if (value === null) {
+    return "null";
+  }
+
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    return "non-finite number";
+  }
+
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+module.exports = {
+  dashboardSchema,
+  tileSchema,
+  tileSchemas,
+  validate,
+  validateTile,
+  validateDashboard,
+  formatErrors
+};
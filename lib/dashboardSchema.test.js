@@ -0,0 +1,161 @@
+const {
+  validate,
+  validateTile,
+  validateDashboard,
+  formatErrors
+} = require("./dashboardSchema.js");
+const templates = require("../public/js/lib/templates.js").default;
+
+function createTile(template) {
+  return { ...template, id: "2471d5ab-0d73-42a3-ba4f-f694574feb6b" };
+}
+
+describe("dashboardSchema", () => {
+  describe("validateTile", () => {
+    test("accepts the templates of all card types", () => {
+      Object.values(templates).forEach(template => {
+        expect(validateTile(createTile(template))).toEqual([]);
+      });
+    });
+
+    test("accepts numbers that come from settings forms as text", () => {
+      const tile = createTile(templates.gauge);
+
+      expect(validateTile({ ...tile, min: "-10.5", max: "" })).toEqual([]);
+      expect(validateTile({ ...tile, min: "cold" })).toEqual([
+        { path: "min", message: "must be a number" }
+      ]);
+    });
+
+    test("requires the settings all cards have", () => {
+      expect(validateTile({ type: "text", title: "Note" })).toEqual([
+        { path: "id", message: "is required" },
+        { path: "position", message: "is required" },
+        { path: "size", message: "is required" }
+      ]);
+    });
+
+    test("rejects unknown card types", () => {
+      const tile = createTile({ ...templates.text, type: "map" });
+
+      expect(validateTile(tile)).toEqual([
+        {
+          path: "type",
+          message:
+            "must be one of “button”, “gauge”, “line-chart”, “number”, “pie-chart”, “sticker”, “text”, “twin”"
+        }
+      ]);
+    });
+
+    test("validates the settings of the card type", () => {
+      const tile = createTile(templates.lineChart);
+
+      expect(
+        validateTile(
+          {
+            ...tile,
+            series: [{ deviceId: 3, property: "temperature" }],
+            windowMode: "hours"
+          },
+          "tiles[4]"
+        )
+      ).toEqual([
+        { path: "tiles[4].series[0].deviceId", message: "must be text" },
+        {
+          path: "tiles[4].windowMode",
+          message: "must be one of “points”, “minutes”"
+        }
+      ]);
+    });
+
+    test("allows settings the schema doesn’t know", () => {
+      const tile = createTile({ ...templates.number, decimals: 2 });
+
+      expect(validateTile(tile)).toEqual([]);
+    });
+  });
+
+  describe("validateDashboard", () => {
+    const dashboard = {
+      bgColor: "papayawhip",
+      bgImageUrl: "",
+      bgImageRepeat: "true",
+      blockSize: [250, 200],
+      title: "⚡electric io",
+      tiles: [createTile(templates.sticker)],
+      editMode: "unlocked"
+    };
+
+    test("accepts valid dashboards", () => {
+      expect(validateDashboard(dashboard)).toEqual([]);
+      expect(validateDashboard({ ...dashboard, bgImageRepeat: false })).toEqual(
+        []
+      );
+    });
+
+    test("reports the errors of the dashboard and of its cards", () => {
+      expect(
+        validateDashboard({
+          ...dashboard,
+          blockSize: [250, 0],
+          tiles: [{ ...dashboard.tiles[0], altText: "a".repeat(151) }]
+        })
+      ).toEqual([
+        { path: "blockSize[1]", message: "must be greater than 0" },
+        {
+          path: "tiles[0].altText",
+          message: "must have at most 150 characters"
+        }
+      ]);
+    });
+
+    test("rejects cards that share an ID", () => {
+      expect(
+        validateDashboard({
+          ...dashboard,
+          tiles: [
+            dashboard.tiles[0],
+            { ...templates.text, id: "0f8e4b6c-6f41-4f0a-8a61-3f1a0c5e9d27" },
+            dashboard.tiles[0]
+          ]
+        })
+      ).toEqual([
+        {
+          path: "tiles[2].id",
+          message: "must differ from the ID of tiles[0]"
+        }
+      ]);
+    });
+
+    test("rejects dashboards that aren’t objects", () => {
+      expect(validateDashboard([])).toEqual([
+        { path: "", message: "must be an object" }
+      ]);
+    });
+  });
+
+  describe("validate", () => {
+    test("lists every allowed type", () => {
+      expect(validate(1, { type: ["boolean", "string"] })).toEqual([
+        { path: "", message: "must be a boolean or text" }
+      ]);
+    });
+
+    test("doesn’t take infinite numbers for numbers", () => {
+      expect(validate(Infinity, { type: "number" })).toEqual([
+        { path: "", message: "must be a number" }
+      ]);
+    });
+  });
+
+  describe("formatErrors", () => {
+    test("makes a sentence of each error", () => {
+      expect(
+        formatErrors([
+          { path: "", message: "must be an object" },
+          { path: "tiles[0].id", message: "is required" }
+        ])
+      ).toBe("The dashboard must be an object. tiles[0].id is required.");
+    });
+  });
+});
@@ -1,4 +1,10 @@
-export default function generateUUID() {
+/**
+ * Generates the IDs of cards: the client gives them to new cards and the server to merged ones.
+ *
+ * This file is loaded by Node as well as bundled for browsers, so it sticks to CommonJS.
+ */
+
+function generateUUID() {
   let d = new Date().getTime();
   const uuid = "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function(
     c
@@ -9,3 +15,5 @@ export default function generateUUID() {
   });
   return uuid;
 }
+
+module.exports = generateUUID;
@@ -1,4 +1,4 @@
-import guid from "../guid";
+const guid = require("./guid.js");
 
 describe("guid generator", () => {
   test("New guid generated on 10 attempts", () => {
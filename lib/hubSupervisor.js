@@ -0,0 +1,90 @@
+const HubStatusService = require("./services/hub-status.service.js");
+
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+
+// Receivers retry on their own, so only this many errors in a row without receiving anything in
+// between make the supervisor start over with a new connection.
+const MAX_RECEIVER_ERRORS = 5;
+
+/**
+ * @param {number} attempt How many attempts to connect failed in a row, starting at 0.
+ * @returns {number} How many milliseconds to wait before the next attempt.
+ */
+function getReconnectDelay(attempt) {
+  return Math.min(RECONNECT_MAX_DELAY, RECONNECT_MIN_DELAY * 2 ** attempt);
+}
+
+/**
+ * Keeps a hub connection alive. Whenever connecting fails or the receivers keep failing, the
+ * connection is closed and set up again after a delay that grows with each failed attempt. The
+ * state of the connection is reported to `HubStatusService`.
+ *
+ * @param {Function} startHub Called with `{ receiveHandler, errorHandler }` whenever a connection
+ *   is needed. Resolves with a client that has a `close()` method.
+ * @param {object} options
+ * @param {Function} options.receiveHandler
+ * @param {Function} options.errorHandler
+ */
+function superviseHub(startHub, { receiveHandler, errorHandler }) {
+  let attempt = 0;
+  let client = null;
+  let receiverErrors = 0;
+
+  function connect() {
+    HubStatusService.setStatus("connecting");
+
+    startHub({ receiveHandler: onReceive, errorHandler: onReceiverError })
+      .then(newClient => {
+        client = newClient;
+        attempt = 0;
+        receiverErrors = 0;
+        HubStatusService.setStatus("connected");
+      })
+      .catch(reconnect);
+  }
+
+  function reconnect(error) {
+    const delay = getReconnectDelay(attempt++);
+
+    HubStatusService.setStatus("failed", {
+      message: error.message || String(error),
+      retryAt: new Date(Date.now() + delay)
+    });
+    setTimeout(connect, delay);
+  }
+
+  function onReceive(event) {
+    if (receiverErrors > 0) {
+      receiverErrors = 0;
+      HubStatusService.setStatus("connected");
+    }
+
+    receiveHandler(event);
+  }
+
+  function onReceiverError(error) {
+    errorHandler(error);
+
+    // Errors of a connection that is being replaced don’t matter anymore.
+    if (client === null) {
+      return;
+    }
+
+    receiverErrors += 1;
+
+    if (receiverErrors < MAX_RECEIVER_ERRORS) {
+      HubStatusService.setStatus("degraded", { message: error.message });
+      return;
+    }
+
+    const failedClient = client;
+    client = null;
+    failedClient.close().catch(() => undefined);
+    reconnect(error);
+  }
+
+  connect();
+}
+
+module.exports = { superviseHub, getReconnectDelay };
@@ -0,0 +1,117 @@
+const { superviseHub, getReconnectDelay } = require("./hubSupervisor.js");
+const HubStatusService = require("./services/hub-status.service.js");
+
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function createClient() {
+  return { close: jest.fn().mockResolvedValue() };
+}
+
+describe("superviseHub", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    HubStatusService.reset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("backs off exponentially up to a minute", () => {
+    expect([0, 1, 2, 3].map(getReconnectDelay)).toEqual([
+      1000,
+      2000,
+      4000,
+      8000
+    ]);
+    expect(getReconnectDelay(10)).toBe(60000);
+  });
+
+  test("is connected once the hub started", async () => {
+    const startHub = jest.fn().mockResolvedValue(createClient());
+
+    superviseHub(startHub, {
+      receiveHandler: jest.fn(),
+      errorHandler: jest.fn()
+    });
+    expect(HubStatusService.getStatus().state).toBe("connecting");
+
+    await flushPromises();
+    expect(HubStatusService.getStatus().state).toBe("connected");
+  });
+
+  test("retries with growing delays when connecting fails", async () => {
+    const startHub = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("Authentication was not successful."))
+      .mockRejectedValueOnce(new Error("Authentication was not successful."))
+      .mockResolvedValue(createClient());
+
+    superviseHub(startHub, {
+      receiveHandler: jest.fn(),
+      errorHandler: jest.fn()
+    });
+    await flushPromises();
+
+    expect(HubStatusService.getStatus()).toMatchObject({
+      state: "failed",
+      message: "Authentication was not successful."
+    });
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(startHub).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(1999);
+    expect(startHub).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+
+    expect(startHub).toHaveBeenCalledTimes(3);
+    expect(HubStatusService.getStatus().state).toBe("connected");
+  });
+
+  test("is degraded by receiver errors and recovers when events arrive", async () => {
+    const receiveHandler = jest.fn();
+    const errorHandler = jest.fn();
+    const startHub = jest.fn().mockResolvedValue(createClient());
+
+    superviseHub(startHub, { receiveHandler, errorHandler });
+    await flushPromises();
+    const handlers = startHub.mock.calls[0][0];
+
+    handlers.errorHandler(new Error("The link was detached."));
+    expect(errorHandler).toHaveBeenCalled();
+    expect(HubStatusService.getStatus().state).toBe("degraded");
+
+    handlers.receiveHandler({ body: {} });
+    expect(receiveHandler).toHaveBeenCalledWith({ body: {} });
+    expect(HubStatusService.getStatus().state).toBe("connected");
+  });
+
+  test("starts over when the receivers keep failing", async () => {
+    const client = createClient();
+    const startHub = jest.fn().mockResolvedValue(client);
+
+    superviseHub(startHub, {
+      receiveHandler: jest.fn(),
+      errorHandler: jest.fn()
+    });
+    await flushPromises();
+    const handlers = startHub.mock.calls[0][0];
+
+    for (let i = 0; i < 5; ++i) {
+      handlers.errorHandler(new Error("The link was detached."));
+    }
+
+    expect(client.close).toHaveBeenCalled();
+    expect(HubStatusService.getStatus().state).toBe("failed");
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(startHub).toHaveBeenCalledTimes(2);
+    expect(HubStatusService.getStatus().state).toBe("connected");
+  });
+});
@@ -1,9 +1,21 @@
+const path = require("path");
 const {
   EventHubConsumerClient,
+  earliestEventPosition,
   latestEventPosition
 } = require("@azure/event-hubs");
 const iothub = require("azure-iothub");
 const { getEventHubConnectionString } = require("./azureIotHubManagement");
+const { createFileCheckpointStore } = require("./checkpointStores");
+const { superviseHub } = require("./hubSupervisor");
+
+const START_POSITIONS = ["latest", "earliest", "enqueued-time", "checkpoint"];
+const CHECKPOINT_FILE_PATH = path.join(
+  __dirname,
+  "..",
+  ".data",
+  "checkpoints.json"
+);
 
 function startService(options) {
   const { connectionString } = options;
@@ -13,24 +25,77 @@ function startService(options) {
     );
   }
 
+  const startPosition = options.startPosition || "latest";
+  if (!START_POSITIONS.includes(startPosition)) {
+    throw new Error(
+      `oops, START_POSITION must be one of ${START_POSITIONS.join(", ")}!`
+    );
+  }
+
+  if (
+    startPosition === "enqueued-time" &&
+    isNaN(new Date(options.startEnqueuedTime))
+  ) {
+    throw new Error(
+      "oops, START_POSITION=enqueued-time needs a START_ENQUEUED_TIME date in ./.env!"
+    );
+  }
+
   const registry = iothub.Registry.fromConnectionString(connectionString);
   const client = iothub.Client.fromConnectionString(connectionString);
-  return startHub(options).then(() => {
-    return {
-      listDevices: registry.list.bind(registry),
-      callDeviceMethod: client.invokeDeviceMethod.bind(client),
-      callDeviceMessage: client.send.bind(client)
-    };
+  const hubOptions = {
+    ...options,
+    startPosition,
+    checkpointStore:
+      options.checkpointStore || createFileCheckpointStore(CHECKPOINT_FILE_PATH)
+  };
+
+  // After a reconnect, receiving continues where it stopped instead of at the start position.
+  let hasConnected = false;
+
+  superviseHub(
+    handlers =>
+      startHub({
+        ...hubOptions,
+        ...handlers,
+        startPosition: hasConnected ? "checkpoint" : startPosition
+      }).then(ehClient => {
+        hasConnected = true;
+        return ehClient;
+      }),
+    options
+  );
+
+  // Device management doesn’t depend on receiving telemetry, so it’s available right away.
+  return Promise.resolve({
+    listDevices: registry.list.bind(registry),
+    listModules: registry.getModulesOnDevice.bind(registry),
+    callDeviceMethod: client.invokeDeviceMethod.bind(client),
+    callDeviceMessage: client.send.bind(client),
+    getTwin: registry.getTwin.bind(registry),
+    updateTwin: registry.updateTwin.bind(registry),
+    // Checkpoints are written with a delay, so the last ones are still pending when stopping.
+    stop: () => hubOptions.checkpointStore.flush()
   });
 }
 
+/**
+ * @returns {Promise<EventHubConsumerClient>} The client, once all receivers are subscribed.
+ */
 function startHub(options) {
   let ehClient;
   return createEventHubConsumerClientFromIotHubConnectionString(options)
     .then(client => (ehClient = client))
     .then(() => ehClient.getPartitionIds())
     .then(partitionIds => filterPartitions(options, partitionIds))
-    .then(partitionIds => generateReceivers(options, partitionIds, ehClient));
+    .then(partitionIds => generateReceivers(options, partitionIds, ehClient))
+    .then(() => ehClient)
+    .catch(error => {
+      if (ehClient) {
+        ehClient.close().catch(() => undefined);
+      }
+      throw error;
+    });
 }
 
 function createEventHubConsumerClientFromIotHubConnectionString(options) {
@@ -52,24 +117,78 @@ function filterPartitions(options, partitionIds) {
   });
 }
 
-function generateReceivers(options, partitionIds, ehClient) {
-  const { consumerGroup, receiveHandler, errorHandler } = options;
+/**
+ * Receiving starts at the configured position. With `checkpoint`, it resumes after the last event
+ * that was processed before the server stopped; partitions without a checkpoint start with the
+ * latest event.
+ *
+ * @returns {Promise<object>} An event position as accepted by `EventHubConsumerClient#subscribe`.
+ */
+function getStartPosition(options, partitionId) {
+  switch (options.startPosition) {
+    case "earliest":
+      return Promise.resolve(earliestEventPosition);
 
-  const subscribeOptions = {
-    startPosition: latestEventPosition,
-    consumerGroup: consumerGroup
-  };
+    case "enqueued-time":
+      return Promise.resolve({
+        enqueuedOn: new Date(options.startEnqueuedTime)
+      });
+
+    case "checkpoint":
+      return options.checkpointStore
+        .getCheckpoint(options.consumerGroup, partitionId)
+        .then(checkpoint =>
+          checkpoint
+            ? { sequenceNumber: checkpoint.sequenceNumber, isInclusive: false }
+            : latestEventPosition
+        );
+
+    default:
+      return Promise.resolve(latestEventPosition);
+  }
+}
+
+function generateReceivers(options, partitionIds, ehClient) {
+  const {
+    consumerGroup,
+    receiveHandler,
+    errorHandler,
+    checkpointStore
+  } = options;
 
   const eventHandlers = {
-    processEvents: events => {
+    processEvents: (events, context) => {
       events.forEach(e => receiveHandler(e));
+
+      // Checkpoints are recorded no matter the start position so that one can switch to resuming
+      // from them later.
+      const lastEvent = events[events.length - 1];
+      if (lastEvent) {
+        return checkpointStore.updateCheckpoint(
+          consumerGroup,
+          context.partitionId,
+          {
+            sequenceNumber: lastEvent.sequenceNumber,
+            offset: lastEvent.offset,
+            enqueuedTime: lastEvent.enqueuedTimeUtc
+          }
+        );
+      }
     },
     processError: errorHandler
   };
 
-  return partitionIds.map(partitionId => {
-    return ehClient.subscribe(partitionId, eventHandlers, subscribeOptions);
-  });
+  return Promise.all(
+    partitionIds.map(partitionId =>
+      getStartPosition(options, partitionId).then(startPosition =>
+        ehClient.subscribe(partitionId, eventHandlers, {
+          startPosition,
+          consumerGroup
+        })
+      )
+    )
+  );
 }
 
 module.exports.startService = startService;
+module.exports.getStartPosition = getStartPosition;
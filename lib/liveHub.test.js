@@ -0,0 +1,74 @@
+const {
+  earliestEventPosition,
+  latestEventPosition
+} = require("@azure/event-hubs");
+
+const liveHub = require("./liveHub.js");
+const { createInMemoryCheckpointStore } = require("./checkpointStores.js");
+
+describe("liveHub", () => {
+  test("refuses to start with an unknown start position", () => {
+    expect(() =>
+      liveHub.startService({
+        connectionString: "HostName=example",
+        startPosition: "yesterday"
+      })
+    ).toThrow("START_POSITION must be one of");
+  });
+
+  test("refuses to start at an enqueued time without a valid date", () => {
+    expect(() =>
+      liveHub.startService({
+        connectionString: "HostName=example",
+        startPosition: "enqueued-time",
+        startEnqueuedTime: "soon"
+      })
+    ).toThrow("START_ENQUEUED_TIME");
+  });
+
+  describe("getStartPosition", () => {
+    test("starts with the latest or earliest event", async () => {
+      expect(
+        await liveHub.getStartPosition({ startPosition: "latest" }, "0")
+      ).toBe(latestEventPosition);
+      expect(
+        await liveHub.getStartPosition({ startPosition: "earliest" }, "0")
+      ).toBe(earliestEventPosition);
+    });
+
+    test("starts at an enqueued time", async () => {
+      const position = await liveHub.getStartPosition(
+        {
+          startPosition: "enqueued-time",
+          startEnqueuedTime: "2020-03-01T12:00:00Z"
+        },
+        "0"
+      );
+
+      expect(position).toEqual({
+        enqueuedOn: new Date("2020-03-01T12:00:00Z")
+      });
+    });
+
+    test("resumes after the last checkpoint of a partition", async () => {
+      const checkpointStore = createInMemoryCheckpointStore();
+      await checkpointStore.updateCheckpoint("$Default", "1", {
+        sequenceNumber: 42,
+        offset: "4096"
+      });
+      const options = {
+        startPosition: "checkpoint",
+        consumerGroup: "$Default",
+        checkpointStore
+      };
+
+      expect(await liveHub.getStartPosition(options, "1")).toEqual({
+        sequenceNumber: 42,
+        isInclusive: false
+      });
+      expect(await liveHub.getStartPosition(options, "0")).toBe(
+        latestEventPosition
+      );
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Manages the users and API tokens of `AUTH=local`:
+ *
+ *   npm run users -- add-user <name> <role>    Asks for the password.
+ *   npm run users -- add-token <name> <role>   Prints the token, which can’t be shown again.
+ *   npm run users -- remove <name>             Removes the user and the token with this name.
+ *   npm run users -- list
+ *
+ * The roles are “viewer”, “operator” and “editor”.
+ */
+const readline = require("readline");
+const { Writable } = require("stream");
+
+const { ROLES, isValidRole } = require("./roles.js");
+const LocalUsersService = require("./services/local-users.service.js");
+
+const USAGE = `Usage:
+  npm run users -- add-user <name> <role>
+  npm run users -- add-token <name> <role>
+  npm run users -- remove <name>
+  npm run users -- list
+
+Roles: ${ROLES.join(", ")}`;
+
+async function main([command, name, role]) {
+  switch (command) {
+    case "add-user": {
+      requireArguments(name, role);
+      // Checked before asking for the password, so that it doesn’t have to be typed in for nothing.
+      if (!isValidRole(role)) {
+        throw `“${role}” isn’t a role. ${USAGE}`;
+      }
+
+      const password = await askForPassword();
+      if (password === "") {
+        throw "The password must not be empty.";
+      }
+
+      await LocalUsersService.addUser(name, password, role);
+      console.info(`Saved the user “${name}” with the role “${role}”.`);
+      break;
+    }
+
+    case "add-token": {
+      requireArguments(name, role);
+      const token = await LocalUsersService.addToken(name, role);
+      console.info(
+        `Created the API token “${name}” with the role “${role}”. Send it as “Authorization: Bearer <token>”. It won’t be shown again:\n\n${token}\n`
+      );
+      break;
+    }
+
+    case "remove": {
+      requireArguments(name);
+      const wasRemoved = await LocalUsersService.remove(name);
+      console.info(
+        wasRemoved
+          ? `Removed “${name}”.`
+          : `There’s no user or token “${name}”.`
+      );
+      break;
+    }
+
+    case "list": {
+      const { users, tokens } = await LocalUsersService.listUsers();
+      users.forEach(({ name, role }) =>
+        console.info(`user   ${name} (${role})`)
+      );
+      tokens.forEach(({ name, role }) =>
+        console.info(`token  ${name} (${role})`)
+      );
+      break;
+    }
+
+    default:
+      throw USAGE;
+  }
+}
+
+function requireArguments(...args) {
+  if (args.some(arg => arg === undefined)) {
+    throw USAGE;
+  }
+}
+
+/**
+ * @returns {Promise<string>} The password typed in, which isn’t shown while it’s typed.
+ */
+function askForPassword() {
+  process.stdout.write("Password: ");
+
+  const mutedOutput = new Writable({
+    write(_chunk, _encoding, callback) {
+      callback();
+    }
+  });
+  const lineReader = readline.createInterface({
+    input: process.stdin,
+    output: mutedOutput,
+    terminal: Boolean(process.stdin.isTTY)
+  });
+
+  return new Promise(resolve => {
+    lineReader.question("", password => {
+      lineReader.close();
+      process.stdout.write("\n");
+      resolve(password);
+    });
+  });
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
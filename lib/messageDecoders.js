@@ -0,0 +1,513 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const cbor = require("cbor");
+const msgpack = require("@msgpack/msgpack");
+const protobuf = require("protobufjs");
+
+const DATA_DIRECTORY_PATH = path.join(__dirname, "..", ".data");
+const DEFAULT_CONFIG_PATH = path.join(DATA_DIRECTORY_PATH, "decoders.json");
+
+// The content types that pick a decoder for devices without one of their own. Protobuf messages
+// can’t be decoded without knowing their type, so those devices need to be configured.
+const CONTENT_TYPE_DECODERS = {
+  "application/json": "json",
+  "text/csv": "csv",
+  "application/cbor": "cbor",
+  "application/msgpack": "msgpack",
+  "application/x-msgpack": "msgpack",
+  "application/vnd.msgpack": "msgpack",
+  "application/octet-stream": "binary"
+};
+
+// Content encodings name the character set of text, or that the body is base64 text that wraps the
+// actual payload.
+const CHARSETS = {
+  "utf-8": "utf8",
+  utf8: "utf8",
+  "utf-16": "utf16le",
+  "utf-16le": "utf16le",
+  "iso-8859-1": "latin1",
+  latin1: "latin1",
+  "us-ascii": "ascii",
+  ascii: "ascii"
+};
+
+// The types of the fields of packed binary payloads: the `Buffer` method that reads them and their
+// size in bytes.
+const BINARY_FIELD_TYPES = {
+  int8: ["readInt8", 1],
+  uint8: ["readUInt8", 1],
+  int16le: ["readInt16LE", 2],
+  int16be: ["readInt16BE", 2],
+  uint16le: ["readUInt16LE", 2],
+  uint16be: ["readUInt16BE", 2],
+  int32le: ["readInt32LE", 4],
+  int32be: ["readInt32BE", 4],
+  uint32le: ["readUInt32LE", 4],
+  uint32be: ["readUInt32BE", 4],
+  floatle: ["readFloatLE", 4],
+  floatbe: ["readFloatBE", 4],
+  doublele: ["readDoubleLE", 8],
+  doublebe: ["readDoubleBE", 8]
+};
+
+/**
+ * Each decoder turns the bytes of a message body into a value.
+ */
+const DECODERS = {
+  json(bytes, { charset }) {
+    return JSON.parse(bytes.toString(charset));
+  },
+
+  csv(bytes, { charset, delimiter = ",", columns }) {
+    const lines = bytes
+      .toString(charset)
+      .split(/\r?\n/)
+      .filter(line => line.trim() !== "")
+      .map(line => parseCsvLine(line, delimiter));
+
+    const header = columns || lines.shift();
+    if (!header) {
+      throw new Error("There are no lines.");
+    }
+
+    const rows = lines.map(values => {
+      const row = {};
+      header.forEach((column, index) => {
+        row[column] = parseCsvValue(values[index]);
+      });
+      return row;
+    });
+
+    return rows.length === 1 ? rows[0] : { rows };
+  },
+
+  cbor(bytes) {
+    return cbor.decodeFirstSync(bytes);
+  },
+
+  msgpack(bytes) {
+    return msgpack.decode(bytes);
+  },
+
+  protobuf(bytes, { type }) {
+    return type.toObject(type.decode(bytes), {
+      longs: Number,
+      enums: String,
+      bytes: String,
+      defaults: true
+    });
+  },
+
+  binary(bytes, { fields }) {
+    if (!fields) {
+      return { base64: bytes.toString("base64") };
+    }
+
+    const body = {};
+    let offset = 0;
+    fields.forEach(({ name, type, scale = 1 }) => {
+      const [method, size] = BINARY_FIELD_TYPES[type];
+      if (offset + size > bytes.length) {
+        throw new Error(`The payload ends before “${name}”.`);
+      }
+
+      body[name] = bytes[method](offset) * scale;
+      offset += size;
+    });
+
+    return body;
+  }
+};
+
+/**
+ * Loads which decoder each device’s messages need from a JSON or YAML file. Devices that aren’t
+ * listed are decoded by the content type of their messages.
+ *
+ * ```yaml
+ * devices:
+ *   AZ3166: cbor
+ *   Tessel2:
+ *     decoder: protobuf
+ *     protoFile: telemetry.proto # relative to `.data/`
+ *     messageType: electric.Telemetry
+ *   Jenn:
+ *     decoder: binary
+ *     encoding: base64
+ *     fields:
+ *       - { name: temperature, type: int16le, scale: 0.01 }
+ * ```
+ *
+ * @param {string} [filePath] Relative paths are resolved against the working directory. Without
+ *   one, `.data/decoders.json` is used if it exists.
+ * @returns {{ devices: Object<string, object> }}
+ */
+function loadDecoderConfig(filePath) {
+  const resolvedPath = path.resolve(filePath || DEFAULT_CONFIG_PATH);
+  if (!filePath && !fs.existsSync(resolvedPath)) {
+    return { devices: {} };
+  }
+
+  let config;
+  try {
+    const contents = fs.readFileSync(resolvedPath, "utf8");
+    config = /\.ya?ml$/i.test(resolvedPath)
+      ? yaml.safeLoad(contents)
+      : JSON.parse(contents);
+  } catch (error) {
+    throw new Error(
+      `oops, could not read the decoders “${filePath ||
+        DEFAULT_CONFIG_PATH}”: ${error.message}`
+    );
+  }
+
+  try {
+    return validateDecoderConfig(config);
+  } catch (error) {
+    throw new Error(
+      `oops, the decoders “${filePath || DEFAULT_CONFIG_PATH}” are invalid: ${
+        error.message
+      }`
+    );
+  }
+}
+
+function validateDecoderConfig(config) {
+  if (
+    config === null ||
+    typeof config !== "object" ||
+    config.devices === null ||
+    typeof config.devices !== "object"
+  ) {
+    throw new Error("It must be an object with the decoders of devices.");
+  }
+
+  const devices = {};
+  Object.keys(config.devices).forEach(deviceId => {
+    const options = config.devices[deviceId];
+    devices[deviceId] = validateDecoderOptions(
+      typeof options === "string" ? { decoder: options } : options,
+      deviceId
+    );
+  });
+
+  return { devices };
+}
+
+function validateDecoderOptions(options, deviceId) {
+  if (options === null || typeof options !== "object") {
+    throw new Error(
+      `The decoder of “${deviceId}” must be a name or an object.`
+    );
+  }
+
+  if (!(options.decoder in DECODERS)) {
+    throw new Error(
+      `The decoder of “${deviceId}” must be one of ${Object.keys(DECODERS).join(
+        ", "
+      )}.`
+    );
+  }
+
+  if (options.encoding !== undefined) {
+    getCharset(options.encoding);
+  }
+
+  if (
+    options.columns !== undefined &&
+    !(
+      Array.isArray(options.columns) &&
+      options.columns.every(column => typeof column === "string")
+    )
+  ) {
+    throw new Error(`The columns of “${deviceId}” must be a list of names.`);
+  }
+
+  if (options.fields !== undefined) {
+    if (!Array.isArray(options.fields)) {
+      throw new Error(`The fields of “${deviceId}” must be a list.`);
+    }
+
+    options.fields.forEach((field, index) => {
+      if (!field || typeof field.name !== "string") {
+        throw new Error(`Field ${index + 1} of “${deviceId}” needs a name.`);
+      }
+      if (!(field.type in BINARY_FIELD_TYPES)) {
+        throw new Error(
+          `The type of “${field.name}” must be one of ${Object.keys(
+            BINARY_FIELD_TYPES
+          ).join(", ")}.`
+        );
+      }
+    });
+  }
+
+  if (options.decoder !== "protobuf") {
+    return options;
+  }
+
+  if (!options.protoFile || !options.messageType) {
+    throw new Error(
+      `The protobuf decoder of “${deviceId}” needs a protoFile and a messageType.`
+    );
+  }
+
+  // Loading the .proto file once reports mistakes in it right away.
+  const root = protobuf.loadSync(
+    path.resolve(DATA_DIRECTORY_PATH, options.protoFile)
+  );
+  return { ...options, type: root.lookupType(options.messageType) };
+}
+
+/**
+ * Creates the stage that messages go through between the hub and the browsers, so that cards can
+ * evaluate their properties against every message, whatever format its device sends.
+ *
+ * The Event Hubs client already parses bodies that are JSON, and leaves the others as bytes. The
+ * decoder is picked by the device, or else by the `content-type` and `content-encoding` of the
+ * message, given as system or application properties.
+ *
+ * @param {{ devices: Object<string, object> }} config As returned by `loadDecoderConfig`.
+ * @returns {function(object): object} Returns the message with a body that is a plain JSON object,
+ *   and throws if the body can’t be decoded.
+ */
+function createMessageDecoder(config) {
+  return function decodeMessage(message) {
+    const deviceId = getMessageProperty(message, "iothub-connection-device-id");
+
+    // Device IDs like “constructor” aren’t decoders that the configuration inherits.
+    const hasDecoder = Object.prototype.hasOwnProperty.call(
+      config.devices,
+      deviceId
+    );
+
+    let body;
+    try {
+      const options = hasDecoder
+        ? config.devices[deviceId]
+        : getOptionsFromMessage(message);
+      body = decodeBody(message.body, options);
+    } catch (error) {
+      throw new Error(
+        `Could not decode a message from “${deviceId}”: ${error.message}`
+      );
+    }
+
+    return { ...message, body: toJsonBody(body) };
+  };
+}
+
+function getOptionsFromMessage(message) {
+  const contentType = getMessageProperty(message, "content-type");
+  const encoding = getMessageProperty(message, "content-encoding");
+  const mediaType = (contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+  if (
+    mediaType === "application/protobuf" ||
+    mediaType === "application/x-protobuf"
+  ) {
+    throw new Error(
+      "Protobuf messages can only be decoded for devices with a .proto file."
+    );
+  }
+
+  // Without a content type that names a decoder, the body is most likely JSON, but it may as well
+  // be plain text or bytes that no decoder is configured for.
+  return {
+    decoder: CONTENT_TYPE_DECODERS[mediaType] || "json",
+    encoding,
+    isGuessed: !(mediaType in CONTENT_TYPE_DECODERS)
+  };
+}
+
+function decodeBody(body, options) {
+  const charset = getCharset(options.encoding);
+
+  // Bodies that the Event Hubs client already parsed as JSON need no more decoding.
+  if (
+    options.decoder === "json" &&
+    options.encoding !== "base64" &&
+    !isBytes(body)
+  ) {
+    return body;
+  }
+
+  let bytes = toBuffer(body);
+  if (options.encoding === "base64") {
+    bytes = Buffer.from(bytes.toString("ascii"), "base64");
+  }
+
+  try {
+    return DECODERS[options.decoder](bytes, { ...options, charset });
+  } catch (error) {
+    if (!options.isGuessed) {
+      throw error;
+    }
+
+    return toRawBody(bytes, charset);
+  }
+}
+
+/**
+ * @param {Buffer} bytes
+ * @param {string} charset
+ * @returns {string|{ base64: string }} The body as text if it is text, or else as base64 the same
+ *   as the binary decoder without fields.
+ */
+function toRawBody(bytes, charset) {
+  const text = bytes.toString(charset);
+
+  return Buffer.from(text, charset).equals(bytes)
+    ? text
+    : { base64: bytes.toString("base64") };
+}
+
+/**
+ * @param {string} [encoding]
+ * @returns {string} The Node.js name of the character set, UTF-8 by default.
+ */
+function getCharset(encoding) {
+  if (encoding === undefined || encoding === "base64") {
+    return "utf8";
+  }
+
+  const charset = CHARSETS[String(encoding).toLowerCase()];
+  if (charset === undefined) {
+    throw new Error(`The content encoding “${encoding}” isn’t supported.`);
+  }
+
+  return charset;
+}
+
+function getMessageProperty(message, name) {
+  const systemProperties = message.systemProperties || {};
+  const properties = message.properties || {};
+
+  return name in systemProperties ? systemProperties[name] : properties[name];
+}
+
+function isBytes(value) {
+  return Buffer.isBuffer(value) || ArrayBuffer.isView(value);
+}
+
+function toBuffer(body) {
+  if (Buffer.isBuffer(body)) {
+    return body;
+  }
+  if (ArrayBuffer.isView(body)) {
+    return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  }
+  if (typeof body === "string") {
+    return Buffer.from(body, "utf8");
+  }
+
+  return Buffer.from(JSON.stringify(body), "utf8");
+}
+
+/**
+ * @param {*} value
+ * @returns {object|Array} The value as a plain JSON object or array, the same as JSON bodies that
+ *   the Event Hubs client parsed. Other values are wrapped as `{ "value": … }`, so that cards can
+ *   still read them.
+ */
+function toJsonBody(value) {
+  const jsonValue = toJsonValue(value);
+
+  return jsonValue !== null && typeof jsonValue === "object"
+    ? jsonValue
+    : { value: jsonValue };
+}
+
+function toJsonValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "bigint") {
+    return Number(value);
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== "object") {
+    return value;
+  }
+  if (isBytes(value)) {
+    return toBuffer(value).toString("base64");
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJsonValue);
+  }
+
+  const entries =
+    value instanceof Map
+      ? Array.from(value.entries())
+      : Object.keys(value).map(key => [key, value[key]]);
+
+  const object = {};
+  entries.forEach(([key, entryValue]) => {
+    if (entryValue !== undefined) {
+      object[String(key)] = toJsonValue(entryValue);
+    }
+  });
+  return object;
+}
+
+/**
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]} The values of the line. Values in double quotes may contain the delimiter and
+ *   doubled double quotes.
+ */
+function parseCsvLine(line, delimiter) {
+  const quote = '"';
+  const values = [];
+  let value = "";
+  let isQuoted = false;
+
+  for (let index = 0; index < line.length; index++) {
+    const character = line[index];
+
+    if (isQuoted) {
+      if (character === quote && line[index + 1] === quote) {
+        value += quote;
+        index++;
+      } else if (character === quote) {
+        isQuoted = false;
+      } else {
+        value += character;
+      }
+    } else if (character === quote) {
+      isQuoted = true;
+    } else if (character === delimiter) {
+      values.push(value);
+      value = "";
+    } else {
+      value += character;
+    }
+  }
+
+  values.push(value);
+  return values;
+}
+
+function parseCsvValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+
+  const number = Number(value);
+  return value.trim() !== "" && Number.isFinite(number) ? number : value;
+}
+
+module.exports = {
+  loadDecoderConfig,
+  createMessageDecoder,
+  DEFAULT_CONFIG_PATH
+};
@@ -0,0 +1,316 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cbor = require("cbor");
+const msgpack = require("@msgpack/msgpack");
+
+const {
+  loadDecoderConfig,
+  createMessageDecoder
+} = require("./messageDecoders.js");
+
+/**
+ * @param {*} body
+ * @param {object} [properties] Application properties, e.g. the content type.
+ * @returns {object} A message as the Event Hubs client passes it on.
+ */
+function createMessage(body, properties = {}) {
+  return {
+    body,
+    properties,
+    systemProperties: {
+      "iothub-connection-device-id": "AZ3166",
+      "iothub-enqueuedtime": "2020-03-01T12:00:00.000Z"
+    }
+  };
+}
+
+describe("Message decoders", () => {
+  let directory;
+
+  function writeFile(fileName, contents) {
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, contents, "utf8");
+    return filePath;
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "decoders-"));
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(directory, { recursive: true });
+  });
+
+  describe("by content type", () => {
+    const decodeMessage = createMessageDecoder({ devices: {} });
+
+    test("passes on bodies that are already parsed JSON", () => {
+      const message = createMessage({ temperature: 21 });
+
+      expect(decodeMessage(message)).toEqual(message);
+    });
+
+    test("decodes JSON in other character sets", () => {
+      const message = createMessage(
+        Buffer.from(JSON.stringify({ temperature: 21 }), "utf16le"),
+        { "content-type": "application/json", "content-encoding": "utf-16" }
+      );
+
+      expect(decodeMessage(message).body).toEqual({ temperature: 21 });
+    });
+
+    test("unwraps base64 before decoding", () => {
+      const message = createMessage(
+        Buffer.from(
+          Buffer.from(JSON.stringify({ temperature: 21 })).toString("base64")
+        ),
+        { "content-type": "application/json", "content-encoding": "base64" }
+      );
+
+      expect(decodeMessage(message).body).toEqual({ temperature: 21 });
+    });
+
+    test("decodes CSV lines", () => {
+      const message = createMessage(
+        Buffer.from(`temperature,label
+21.5,"warm, dry"
+22,"a ""hot"" day"
+`),
+        { "content-type": "text/csv; charset=utf-8" }
+      );
+
+      expect(decodeMessage(message).body).toEqual({
+        rows: [
+          { temperature: 21.5, label: "warm, dry" },
+          { temperature: 22, label: "a \u0022hot\u0022 day" }
+        ]
+      });
+    });
+
+    test("decodes CBOR", () => {
+      const message = createMessage(
+        cbor.encode({
+          temperature: 21,
+          readings: new Map([[1, 2]]),
+          raw: Buffer.from([1, 2, 3])
+        }),
+        { "content-type": "application/cbor" }
+      );
+
+      expect(decodeMessage(message).body).toEqual({
+        temperature: 21,
+        readings: { 1: 2 },
+        raw: "AQID"
+      });
+    });
+
+    test("decodes MessagePack", () => {
+      const message = createMessage(
+        Buffer.from(msgpack.encode({ temperature: 21, on: true })),
+        { "content-type": "application/msgpack" }
+      );
+
+      expect(decodeMessage(message).body).toEqual({
+        temperature: 21,
+        on: true
+      });
+    });
+
+    test("keeps binary payloads as base64", () => {
+      const message = createMessage(Buffer.from([1, 2, 3]), {
+        "content-type": "application/octet-stream"
+      });
+
+      expect(decodeMessage(message).body).toEqual({ base64: "AQID" });
+    });
+
+    test("wraps values that aren’t objects or arrays", () => {
+      const message = createMessage(cbor.encode(21.5), {
+        "content-type": "application/cbor"
+      });
+
+      expect(decodeMessage(message).body).toEqual({ value: 21.5 });
+    });
+
+    test("keeps arrays", () => {
+      expect(decodeMessage(createMessage([1, 2])).body).toEqual([1, 2]);
+      expect(
+        decodeMessage(
+          createMessage(cbor.encode([{ temperature: 21.5 }]), {
+            "content-type": "application/cbor"
+          })
+        ).body
+      ).toEqual([{ temperature: 21.5 }]);
+    });
+
+    test("keeps bodies without a content type that aren’t JSON", () => {
+      expect(
+        decodeMessage(createMessage(Buffer.from("21.5 °C"))).body
+      ).toEqual({ value: "21.5 °C" });
+      expect(
+        decodeMessage(createMessage(Buffer.from([0xff, 0x00]))).body
+      ).toEqual({ base64: "/wA=" });
+      expect(
+        decodeMessage(
+          createMessage(Buffer.from("not JSON").toString("base64"), {
+            "content-encoding": "base64"
+          })
+        ).body
+      ).toEqual({ value: "not JSON" });
+    });
+
+    test("throws if a message can’t be decoded", () => {
+      expect(() =>
+        decodeMessage(
+          createMessage(Buffer.from([0xff]), {
+            "content-type": "application/json"
+          })
+        )
+      ).toThrow("Could not decode a message from “AZ3166”");
+      expect(() =>
+        decodeMessage(
+          createMessage(Buffer.from([1]), {
+            "content-type": "application/x-protobuf"
+          })
+        )
+      ).toThrow("only be decoded for devices with a .proto file");
+    });
+  });
+
+  describe("by device", () => {
+    test("decodes the devices’ messages with their decoders", () => {
+      const config = loadDecoderConfig(
+        writeFile(
+          "decoders.yml",
+          [
+            "devices:",
+            "  AZ3166:",
+            "    decoder: binary",
+            "    encoding: base64",
+            "    fields:",
+            "      - { name: temperature, type: int16le, scale: 0.01 }",
+            "      - { name: humidity, type: uint8 }"
+          ].join("\n")
+        )
+      );
+      const decodeMessage = createMessageDecoder(config);
+
+      const payload = Buffer.from([0x66, 0x08, 40]);
+      const message = createMessage(Buffer.from(payload.toString("base64")), {
+        "content-type": "application/json"
+      });
+
+      expect(decodeMessage(message).body).toEqual({
+        temperature: 21.5,
+        humidity: 40
+      });
+    });
+
+    test("decodes messages of devices without a decoder by their content type", () => {
+      const decodeMessage = createMessageDecoder({ devices: {} });
+
+      ["constructor", "toString"].forEach(deviceId => {
+        const message = createMessage(Buffer.from('{"temperature":21.5}'), {
+          "content-type": "application/json"
+        });
+        message.systemProperties["iothub-connection-device-id"] = deviceId;
+
+        expect(decodeMessage(message).body).toEqual({ temperature: 21.5 });
+      });
+    });
+
+    test("decodes protobuf with the device’s .proto file", () => {
+      const protoFile = writeFile(
+        "telemetry.proto",
+        `syntax = "proto3";
+package electric;
+message Telemetry {
+  double temperature = 1;
+  int64 count = 2;
+  enum Mode { OFF = 0; ON = 1; }
+  Mode mode = 3;
+}`
+      );
+      const config = loadDecoderConfig(
+        writeFile(
+          "decoders.json",
+          JSON.stringify({
+            devices: {
+              AZ3166: {
+                decoder: "protobuf",
+                protoFile,
+                messageType: "electric.Telemetry"
+              }
+            }
+          })
+        )
+      );
+      const Telemetry = config.devices.AZ3166.type;
+      const decodeMessage = createMessageDecoder(config);
+
+      const message = createMessage(
+        Buffer.from(
+          Telemetry.encode(
+            Telemetry.create({ temperature: 21.5, count: 3, mode: 1 })
+          ).finish()
+        )
+      );
+
+      expect(decodeMessage(message).body).toEqual({
+        temperature: 21.5,
+        count: 3,
+        mode: "ON"
+      });
+    });
+
+    test("decodes CSV with the device’s columns", () => {
+      const decodeMessage = createMessageDecoder(
+        loadDecoderConfig(
+          writeFile(
+            "decoders.json",
+            JSON.stringify({
+              devices: {
+                AZ3166: {
+                  decoder: "csv",
+                  delimiter: ";",
+                  columns: ["temperature", "humidity"]
+                }
+              }
+            })
+          )
+        )
+      );
+
+      expect(decodeMessage(createMessage(Buffer.from("21;40"))).body).toEqual({
+        temperature: 21,
+        humidity: 40
+      });
+    });
+  });
+
+  describe("loadDecoderConfig", () => {
+    test("has no decoders of devices without a file", () => {
+      expect(loadDecoderConfig()).toEqual({ devices: {} });
+    });
+
+    test("reports what is wrong with the decoders", () => {
+      const config = writeFile(
+        "decoders.json",
+        JSON.stringify({ devices: { AZ3166: "xml" } })
+      );
+
+      expect(() => loadDecoderConfig(config)).toThrow(
+        "The decoder of “AZ3166” must be one of json, csv, cbor, msgpack, protobuf, binary."
+      );
+      expect(() =>
+        loadDecoderConfig(
+          writeFile("decoders.yml", "devices:\n  AZ3166: { decoder: protobuf }")
+        )
+      ).toThrow("needs a protoFile and a messageType");
+      expect(() =>
+        loadDecoderConfig(path.join(directory, "missing.json"))
+      ).toThrow("oops, could not read the decoders");
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * The roles of users and what they may do, shared by the server, which enforces them, and the
+ * client, which hides the controls that a user may not use.
+ *
+ * Each role may do everything that the roles before it may do.
+ */
+const ROLES = ["viewer", "operator", "editor"];
+
+// The role that each permission needs at least.
+const PERMISSION_ROLES = {
+  // See the dashboards and the telemetry.
+  view: "viewer",
+  // Call device methods, send messages to devices and change desired properties.
+  control: "operator",
+  // Change, create and delete dashboards and their cards.
+  edit: "editor"
+};
+
+/**
+ * @param {*} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * @param {string} role
+ * @param {string} permission “view”, “control” or “edit”.
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (
+    isValidRole(role) &&
+    ROLES.indexOf(role) >= ROLES.indexOf(PERMISSION_ROLES[permission])
+  );
+}
+
+/**
+ * @param {string} permission
+ * @returns {string} The role that the permission needs at least.
+ */
+function getPermissionRole(permission) {
+  return PERMISSION_ROLES[permission];
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasPermission,
+  getPermissionRole
+};
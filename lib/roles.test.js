@@ -0,0 +1,19 @@
+const { ROLES, hasPermission, isValidRole } = require("./roles.js");
+
+describe("roles", () => {
+  test("let each role do what the roles before it may do", () => {
+    const permissions = ["view", "control", "edit"];
+
+    expect(
+      ROLES.map(role =>
+        permissions.filter(permission => hasPermission(role, permission))
+      )
+    ).toEqual([["view"], ["view", "control"], ["view", "control", "edit"]]);
+  });
+
+  test("give unknown roles no permissions", () => {
+    expect(isValidRole("admin")).toBe(false);
+    expect(hasPermission("admin", "view")).toBe(false);
+    expect(hasPermission(undefined, "view")).toBe(false);
+  });
+});
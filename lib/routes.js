@@ -1,16 +1,92 @@
 const routes = require("express").Router();
 const debug = require("debug")("server");
 
+const {
+  validateDashboard,
+  validateTile,
+  formatErrors
+} = require("./dashboardSchema.js");
+const { hasPermission, getPermissionRole } = require("./roles.js");
+const AuthService = require("./services/auth.service.js");
 const HubService = require("./services/hub.service.js");
 const DashboardService = require("./services/dashboard.service.js");
+const DashboardBackupService = require("./services/dashboard-backups.service.js");
+const DashboardBundleService = require("./services/dashboard-bundle.service.js");
+const DashboardMigrationService = require("./services/dashboard-migrations.service.js");
+const TelemetryService = require("./services/telemetry.service.js");
+const HubStatusService = require("./services/hub-status.service.js");
+const AuditService = require("./services/audit.service.js");
+
+const CONFLICT_MESSAGE =
+  "Someone else changed the dashboard in the meantime. Load it again to see their changes.";
+const TWIN_CONFLICT_MESSAGE =
+  "Someone else changed the device twin in the meantime. Load it again to see their changes.";
 
 function injectRoutes({ iotHubService }) {
+  routes.post("/api/session", async function(request, response) {
+    debug("LOG: Logging in.");
+
+    if (!AuthService.isEnabled()) {
+      response.status(400).send({
+        data: {
+          message: "There are no users to log in as, because AUTH isn’t set."
+        }
+      });
+      return;
+    }
+
+    const { name, password } = request.body;
+
+    try {
+      const session = await AuthService.logIn(String(name), String(password));
+      if (session === null) {
+        response.status(401).send({
+          data: {
+            message: "The name or the password is wrong."
+          }
+        });
+        return;
+      }
+
+      response.cookie(AuthService.SESSION_COOKIE, session.sessionId, {
+        httpOnly: true,
+        sameSite: "strict",
+        secure: request.secure,
+        maxAge: AuthService.SESSION_DURATION_IN_MS
+      });
+      response.status(200).json(session.user);
+    } catch (error) {
+      response.status(500).send({
+        data: {
+          message: error
+        }
+      });
+    }
+  });
+
+  routes.delete("/api/session", function(request, response) {
+    debug("LOG: Logging out.");
+
+    AuthService.logOut(AuthService.getSessionId(request.get("Cookie")));
+    response.clearCookie(AuthService.SESSION_COOKIE);
+    response.status(200).send();
+  });
+
+  // Everything else needs a user who may at least see the dashboards.
+  routes.use("/api", authenticate);
+
+  routes.get("/api/session", function(request, response) {
+    response.status(200).json(request.user);
+  });
+
+  // The default dashboard, for clients from before there could be several dashboards.
   routes.get("/api/dashboard", async function(_request, response) {
     debug("LOG: Getting dashboard settings.");
 
     try {
       const dashboardSettings = await DashboardService.getDashboardSettings();
 
+      response.set("ETag", getEtag(dashboardSettings));
       response.status(200).json(dashboardSettings.dashboard);
     } catch (error) {
       response.status(500).send({
@@ -21,15 +97,50 @@ function injectRoutes({ iotHubService }) {
     }
   });
 
-  routes.post("/api/dashboard", async function(request, response) {
-    debug("LOG: Saving dashboard settings.");
+  routes.param("dashboardId", function(_request, response, next, dashboardId) {
+    if (!DashboardService.isValidDashboardId(dashboardId)) {
+      response.status(400).send({
+        data: {
+          message:
+            "Dashboard IDs may only contain letters, digits, “-” and “_”."
+        }
+      });
+      return;
+    }
+
+    next();
+  });
+
+  routes.get("/api/dashboards", async function(_request, response) {
+    debug("LOG: Getting the list of dashboards.");
+
+    try {
+      const dashboards = await DashboardService.listDashboards();
+      response.status(200).json(dashboards);
+    } catch (error) {
+      response.status(500).send({
+        data: {
+          message: error
+        }
+      });
+    }
+  });
+
+  routes.get("/api/dashboards/:dashboardId", async function(request, response) {
+    const { dashboardId } = request.params;
+    debug(`LOG: Getting settings of dashboard “${dashboardId}”.`);
 
     try {
-      const dashboardSettings = await DashboardService.getDashboardSettings();
-      dashboardSettings.dashboard = request.body;
-      await DashboardService.saveDashboardSettings(dashboardSettings);
+      if (!(await DashboardService.hasDashboard(dashboardId))) {
+        sendDashboardNotFound(response, dashboardId);
+        return;
+      }
 
-      response.status(200).send();
+      const dashboardSettings = await DashboardService.getDashboardSettings(
+        dashboardId
+      );
+      response.set("ETag", getEtag(dashboardSettings));
+      response.status(200).json(dashboardSettings.dashboard);
     } catch (error) {
       response.status(500).send({
         data: {
@@ -39,6 +150,347 @@ function injectRoutes({ iotHubService }) {
     }
   });
 
+  // Without a dashboard ID, this saves the default dashboard.
+  routes.post(
+    ["/api/dashboard", "/api/dashboards/:dashboardId"],
+    requirePermission("edit"),
+    async function(request, response) {
+      const dashboardId =
+        request.params.dashboardId || DashboardService.DEFAULT_DASHBOARD_ID;
+      debug(`LOG: Saving settings of dashboard “${dashboardId}”.`);
+
+      const expectedRevision = parseIfMatch(request.get("If-Match"));
+      if (expectedRevision === null) {
+        sendInvalidIfMatch(response);
+        return;
+      }
+
+      const errors = validateDashboard(request.body);
+      if (errors.length > 0) {
+        sendInvalidDashboard(response, errors);
+        return;
+      }
+
+      try {
+        const dashboardSettings = await saveDashboard(
+          dashboardId,
+          request.body,
+          expectedRevision
+        );
+
+        if (dashboardSettings === null) {
+          response.status(409).send({
+            data: {
+              message: CONFLICT_MESSAGE
+            }
+          });
+          return;
+        }
+
+        await audit(request, { action: "dashboard-save", dashboardId });
+        response.set("ETag", getEtag(dashboardSettings));
+        response.status(200).send();
+      } catch (error) {
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  routes.delete(
+    "/api/dashboards/:dashboardId",
+    requirePermission("edit"),
+    async function(request, response) {
+      const { dashboardId } = request.params;
+      debug(`LOG: Deleting dashboard “${dashboardId}”.`);
+
+      try {
+        if (!(await DashboardService.hasDashboard(dashboardId))) {
+          sendDashboardNotFound(response, dashboardId);
+          return;
+        }
+
+        await DashboardService.deleteDashboard(dashboardId);
+        await audit(request, { action: "dashboard-delete", dashboardId });
+        response.status(200).send();
+      } catch (error) {
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  // Without a dashboard ID, these change the cards of the default dashboard.
+  routes.post(
+    ["/api/dashboard/tiles", "/api/dashboards/:dashboardId/tiles"],
+    requirePermission("edit"),
+    async function(request, response) {
+      const tile = request.body;
+      debug(`LOG: Adding card “${tile.id}”.`);
+
+      const auditEntry = {
+        action: "tile-create",
+        tileId: tile.id,
+        tileType: tile.type
+      };
+
+      await changeTiles(request, response, auditEntry, tiles => {
+        if (tiles.some(({ id }) => id === tile.id)) {
+          return {
+            status: 409,
+            message: `There’s a card “${tile.id}” on the dashboard already.`
+          };
+        }
+
+        return { status: 201, tiles: tiles.concat([tile]), tile };
+      });
+    }
+  );
+
+  routes.patch(
+    [
+      "/api/dashboard/tiles/:tileId",
+      "/api/dashboards/:dashboardId/tiles/:tileId"
+    ],
+    requirePermission("edit"),
+    async function(request, response) {
+      const { tileId } = request.params;
+      debug(`LOG: Changing card “${tileId}”.`);
+
+      const auditEntry = {
+        action: "tile-change",
+        tileId,
+        changes: request.body
+      };
+
+      // Moving cards saves often, so only changes of their settings are backed up.
+      await changeTiles(
+        request,
+        response,
+        auditEntry,
+        tiles => {
+          const index = tiles.findIndex(({ id }) => id === tileId);
+          if (index === -1) {
+            return getTileNotFound(tileId);
+          }
+
+          // Only the settings that are sent change, and the ID never does. Settings that are sent
+          // as `null` are removed, e.g. to undo setting one that the card didn’t have before.
+          const tile = { ...tiles[index], ...request.body, id: tileId };
+          Object.keys(tile).forEach(key => {
+            if (tile[key] === null) {
+              delete tile[key];
+            }
+          });
+          const changedTiles = tiles.slice();
+          changedTiles[index] = tile;
+
+          return { status: 200, tiles: changedTiles, tile };
+        },
+        { backUp: !isMove(request.body) }
+      );
+    }
+  );
+
+  routes.delete(
+    [
+      "/api/dashboard/tiles/:tileId",
+      "/api/dashboards/:dashboardId/tiles/:tileId"
+    ],
+    requirePermission("edit"),
+    async function(request, response) {
+      const { tileId } = request.params;
+      debug(`LOG: Deleting card “${tileId}”.`);
+
+      const auditEntry = { action: "tile-delete", tileId };
+
+      await changeTiles(request, response, auditEntry, tiles => {
+        if (!tiles.some(({ id }) => id === tileId)) {
+          return getTileNotFound(tileId);
+        }
+
+        return { status: 200, tiles: tiles.filter(({ id }) => id !== tileId) };
+      });
+    }
+  );
+
+  // Without a dashboard ID, these export and import the default dashboard.
+  routes.get(
+    ["/api/dashboard/export", "/api/dashboards/:dashboardId/export"],
+    async function(request, response) {
+      const dashboardId =
+        request.params.dashboardId || DashboardService.DEFAULT_DASHBOARD_ID;
+      debug(`LOG: Exporting dashboard “${dashboardId}”.`);
+
+      try {
+        if (!(await DashboardService.hasDashboard(dashboardId))) {
+          sendDashboardNotFound(response, dashboardId);
+          return;
+        }
+
+        const dashboardSettings = await DashboardService.getDashboardSettings(
+          dashboardId
+        );
+        const bundle = DashboardBundleService.createBundle(dashboardSettings);
+
+        response.attachment(`${dashboardId}.electric-io.json`);
+        response.status(200).json(bundle);
+      } catch (error) {
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  routes.post(
+    ["/api/dashboard/import", "/api/dashboards/:dashboardId/import"],
+    requirePermission("edit"),
+    async function(request, response) {
+      const dashboardId =
+        request.params.dashboardId || DashboardService.DEFAULT_DASHBOARD_ID;
+      debug(`LOG: Importing into dashboard “${dashboardId}”.`);
+
+      try {
+        const currentDashboard = (await DashboardService.hasDashboard(
+          dashboardId
+        ))
+          ? (await DashboardService.getDashboardSettings(dashboardId)).dashboard
+          : null;
+
+        let dashboard;
+        try {
+          dashboard = DashboardBundleService.importBundle(
+            currentDashboard,
+            request.body
+          );
+        } catch (error) {
+          response.status(400).send({
+            data: {
+              message: error.message
+            }
+          });
+          return;
+        }
+
+        const errors = validateDashboard(dashboard);
+        if (errors.length > 0) {
+          sendInvalidDashboard(response, errors);
+          return;
+        }
+
+        const dashboardSettings = await saveDashboard(dashboardId, dashboard);
+        await audit(request, {
+          action: "dashboard-import",
+          dashboardId,
+          mode: request.body.mode
+        });
+        response.set("ETag", getEtag(dashboardSettings));
+        response.status(200).json(dashboard);
+      } catch (error) {
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  routes.param("backupId", function(_request, response, next, backupId) {
+    if (!DashboardBackupService.isValidBackupId(backupId)) {
+      response.status(400).send({
+        data: {
+          message: `“${backupId}” isn’t a valid backup ID.`
+        }
+      });
+      return;
+    }
+
+    next();
+  });
+
+  // Without a dashboard ID, these list and restore the backups of the default dashboard.
+  routes.get(
+    ["/api/dashboard/backups", "/api/dashboards/:dashboardId/backups"],
+    async function(request, response) {
+      const dashboardId =
+        request.params.dashboardId || DashboardService.DEFAULT_DASHBOARD_ID;
+      debug(`LOG: Getting the backups of dashboard “${dashboardId}”.`);
+
+      try {
+        const backups = await DashboardBackupService.listBackups(dashboardId);
+        response.status(200).json(backups);
+      } catch (error) {
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  routes.post(
+    [
+      "/api/dashboard/backups/:backupId/restore",
+      "/api/dashboards/:dashboardId/backups/:backupId/restore"
+    ],
+    requirePermission("edit"),
+    async function(request, response) {
+      const dashboardId =
+        request.params.dashboardId || DashboardService.DEFAULT_DASHBOARD_ID;
+      const { backupId } = request.params;
+      debug(`LOG: Restoring backup “${backupId}” of “${dashboardId}”.`);
+
+      try {
+        const backups = await DashboardBackupService.listBackups(dashboardId);
+        if (!backups.some(backup => backup.id === backupId)) {
+          response.status(404).send({
+            data: {
+              message: `There’s no backup “${backupId}” of dashboard “${dashboardId}”.`
+            }
+          });
+          return;
+        }
+
+        const dashboardSettings = await DashboardBackupService.readBackup(
+          dashboardId,
+          backupId
+        );
+        // Backups are as old as the dashboard was when it was saved.
+        DashboardMigrationService.upgradeDashboard(dashboardSettings);
+        // Saving backs up the current dashboard, so restoring can be undone.
+        const restoredSettings = await saveDashboard(
+          dashboardId,
+          dashboardSettings.dashboard
+        );
+
+        await audit(request, {
+          action: "dashboard-restore",
+          dashboardId,
+          backupId
+        });
+        response.set("ETag", getEtag(restoredSettings));
+        response.status(200).json(restoredSettings.dashboard);
+      } catch (error) {
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
   routes.get("/api/devices/list", async function(_request, response) {
     debug("LOG: Getting device ID list.");
 
@@ -48,24 +500,57 @@ function injectRoutes({ iotHubService }) {
     } catch (error) {}
   });
 
-  routes.post("/api/device/:deviceId/method/:deviceMethod", async function(
-    request,
-    response
-  ) {
-    debug(`LOG: Calling device method “${request.params.deviceMethod}”.`);
+  routes.get("/api/devices/modules", async function(_request, response) {
+    debug("LOG: Getting the modules of the IoT Edge devices.");
+
+    try {
+      const deviceModules = await HubService.getDeviceModules(iotHubService);
+      response.status(200).send(deviceModules);
+    } catch (error) {
+      response.status(500).send({
+        data: {
+          message: error
+        }
+      });
+    }
+  });
+
+  routes.get("/api/hub/status", function(_request, response) {
+    debug("LOG: Getting hub status.");
+
+    response.status(200).json(HubStatusService.getStatus());
+  });
+
+  routes.get("/api/devices/:deviceId/telemetry", function(request, response) {
+    debug(`LOG: Getting stored telemetry of “${request.params.deviceId}”.`);
+
+    const from = parseTimeParameter(request.query.from);
+    const to = parseTimeParameter(request.query.to);
+
+    if (from === null || to === null) {
+      response.status(400).send({
+        data: {
+          message: "The “from” and “to” parameters must be dates."
+        }
+      });
+      return;
+    }
 
-    const deviceData = {
-      deviceId: request.params.deviceId,
-      deviceMethodName: request.params.deviceMethod,
-      deviceMethodPayload: request.body.callPayload
-    };
+    const messages = TelemetryService.getMessages(request.params.deviceId, {
+      from,
+      to
+    });
+    response.status(200).json(messages);
+  });
+
+  routes.get("/api/device/:deviceId/twin", async function(request, response) {
+    debug(`LOG: Getting the device twin of “${request.params.deviceId}”.`);
 
     try {
-      const responseBody = await HubService.callDeviceMethod(
-        iotHubService,
-        deviceData
-      );
-      response.status(200).json(responseBody);
+      const twin = await HubService.getDeviceTwin(iotHubService, {
+        deviceId: request.params.deviceId
+      });
+      response.status(200).json(twin);
     } catch (error) {
       response.status(500).send({
         data: {
@@ -75,23 +560,176 @@ function injectRoutes({ iotHubService }) {
     }
   });
 
-  routes.post("/api/device/:deviceId/message/", async function(
+  routes.patch(
+    "/api/device/:deviceId/twin/desired",
+    requirePermission("control"),
+    async function(request, response) {
+      debug(
+        `LOG: Updating the desired properties of “${request.params.deviceId}”.`
+      );
+
+      const twinData = {
+        deviceId: request.params.deviceId,
+        desiredProperties: request.body,
+        etag: request.get("If-Match")
+      };
+
+      const auditEntry = {
+        action: "desired-properties",
+        deviceId: twinData.deviceId,
+        payload: twinData.desiredProperties
+      };
+
+      try {
+        const twin = await HubService.updateDesiredProperties(
+          iotHubService,
+          twinData
+        );
+
+        if (twin === null) {
+          await auditDeviceCommand(
+            request,
+            auditEntry,
+            "failure",
+            TWIN_CONFLICT_MESSAGE
+          );
+          response.status(412).send({
+            data: {
+              message: TWIN_CONFLICT_MESSAGE
+            }
+          });
+          return;
+        }
+
+        await auditDeviceCommand(request, auditEntry, "success");
+        response.status(200).json(twin);
+      } catch (error) {
+        await auditDeviceCommand(request, auditEntry, "failure", error);
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  routes.post(
+    [
+      "/api/device/:deviceId/method/:deviceMethod",
+      "/api/device/:deviceId/module/:moduleId/method/:deviceMethod"
+    ],
+    requirePermission("control"),
+    async function(request, response) {
+      debug(`LOG: Calling device method “${request.params.deviceMethod}”.`);
+
+      const deviceData = {
+        deviceId: request.params.deviceId,
+        moduleId: request.params.moduleId,
+        deviceMethodName: request.params.deviceMethod,
+        deviceMethodPayload: request.body.callPayload
+      };
+
+      const auditEntry = {
+        action: "device-method",
+        deviceId: deviceData.deviceId,
+        moduleId: deviceData.moduleId,
+        method: deviceData.deviceMethodName,
+        payload: deviceData.deviceMethodPayload
+      };
+
+      try {
+        const responseBody = await HubService.callDeviceMethod(
+          iotHubService,
+          deviceData
+        );
+        await auditDeviceCommand(request, auditEntry, "success");
+        response.status(200).json(responseBody);
+      } catch (error) {
+        await auditDeviceCommand(request, auditEntry, "failure", error);
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  routes.post(
+    "/api/device/:deviceId/message/",
+    requirePermission("control"),
+    async function(request, response) {
+      debug("LOG: Calling device message.");
+
+      const deviceData = {
+        deviceId: request.params.deviceId,
+        deviceMessagePayload: request.body.callPayload
+      };
+
+      const auditEntry = {
+        action: "device-message",
+        deviceId: deviceData.deviceId,
+        payload: deviceData.deviceMessagePayload
+      };
+
+      try {
+        const responseBody = await HubService.callDeviceMessage(
+          iotHubService,
+          deviceData
+        );
+        await auditDeviceCommand(request, auditEntry, "success");
+        response.status(200).json(responseBody);
+      } catch (error) {
+        await auditDeviceCommand(request, auditEntry, "failure", error);
+        response.status(500).send({
+          data: {
+            message: error
+          }
+        });
+      }
+    }
+  );
+
+  // The audit log tells who did what, so it’s only for those who may change the dashboards.
+  routes.get("/api/audit", requirePermission("edit"), async function(
     request,
     response
   ) {
-    debug("LOG: Calling device message.");
+    debug("LOG: Getting the audit log.");
 
-    const deviceData = {
-      deviceId: request.params.deviceId,
-      deviceMessagePayload: request.body.callPayload
-    };
+    const { deviceId } = request.query;
+    const since = parseTimeParameter(request.query.since);
+    const limit =
+      request.query.limit === undefined
+        ? AuditService.DEFAULT_ENTRY_LIMIT
+        : Number(request.query.limit);
+
+    if (since === null) {
+      response.status(400).send({
+        data: {
+          message: "The “since” parameter must be a date."
+        }
+      });
+      return;
+    }
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      response.status(400).send({
+        data: {
+          message: "The “limit” parameter must be a positive whole number."
+        }
+      });
+      return;
+    }
 
     try {
-      const responseBody = await HubService.callDeviceMessage(
-        iotHubService,
-        deviceData
-      );
-      response.status(200).json(responseBody);
+      const entries = await AuditService.getEntries({
+        deviceId: deviceId || undefined,
+        since,
+        limit
+      });
+      response.status(200).json(entries);
     } catch (error) {
       response.status(500).send({
         data: {
@@ -104,4 +742,315 @@ function injectRoutes({ iotHubService }) {
   return routes;
 }
 
+/**
+ * Replaces the settings of a dashboard or creates it if it doesn’t exist yet. New dashboards come
+ * from the current version of the client, so they need no upgrade.
+ *
+ * @param {string} dashboardId
+ * @param {object} dashboard
+ * @param {number} [expectedRevision] Only save if the dashboard is still at this revision.
+ * @returns {Promise<object|null>} The saved dashboard settings, or `null` if the dashboard isn’t
+ *   at the expected revision.
+ */
+function saveDashboard(dashboardId, dashboard, expectedRevision) {
+  return DashboardService.updateDashboard(
+    dashboardId,
+    dashboardSettings => {
+      if (dashboardSettings === null) {
+        return expectedRevision === undefined
+          ? {
+              dashboard,
+              version: DashboardMigrationService.getCurrentVersion()
+            }
+          : null;
+      }
+
+      if (!isAtRevision(dashboardSettings, expectedRevision)) {
+        return null;
+      }
+
+      return { ...dashboardSettings, dashboard };
+    },
+    { backUp: true }
+  );
+}
+
+/**
+ * Changes the cards of a dashboard and responds with the changed card. The change is applied to the
+ * cards as they are saved at the time, so that changes of different cards don’t undo each other.
+ *
+ * @param {object} request
+ * @param {object} response
+ * @param {object} auditEntry What the change is recorded as in the audit log if it’s saved.
+ * @param {Function} change Called with the saved cards. Returns the changed cards, the changed
+ *   card if there’s one left, and the status to respond with, or a status and the message why the
+ *   cards can’t be changed.
+ * @param {{ backUp: boolean }} [options] As for `DashboardService.updateDashboard`.
+ */
+async function changeTiles(
+  request,
+  response,
+  auditEntry,
+  change,
+  options = { backUp: true }
+) {
+  const dashboardId =
+    request.params.dashboardId || DashboardService.DEFAULT_DASHBOARD_ID;
+
+  const expectedRevision = parseIfMatch(request.get("If-Match"));
+  if (expectedRevision === null) {
+    sendInvalidIfMatch(response);
+    return;
+  }
+
+  let result;
+
+  try {
+    const dashboardSettings = await DashboardService.updateDashboard(
+      dashboardId,
+      currentSettings => {
+        if (currentSettings === null) {
+          result = {
+            status: 404,
+            message: `There’s no dashboard “${dashboardId}”.`
+          };
+          return null;
+        }
+
+        if (!isAtRevision(currentSettings, expectedRevision)) {
+          result = { status: 409, message: CONFLICT_MESSAGE };
+          return null;
+        }
+
+        result = change(currentSettings.dashboard.tiles);
+        if (result.tiles === undefined) {
+          return null;
+        }
+
+        if (result.tile !== undefined) {
+          const index = result.tiles.indexOf(result.tile);
+          const errors = validateTile(result.tile, `tiles[${index}]`);
+          if (errors.length > 0) {
+            result = {
+              status: 400,
+              message: `The card wasn’t saved. ${formatErrors(errors)}`,
+              errors
+            };
+            return null;
+          }
+        }
+
+        return {
+          ...currentSettings,
+          dashboard: { ...currentSettings.dashboard, tiles: result.tiles }
+        };
+      },
+      options
+    );
+
+    if (dashboardSettings === null) {
+      const { status, message, errors } = result;
+      response.status(status).send({ data: { message, errors } });
+      return;
+    }
+
+    await audit(request, { ...auditEntry, dashboardId });
+    response.set("ETag", getEtag(dashboardSettings));
+    if (result.tile === undefined) {
+      response.status(result.status).send();
+    } else {
+      response.status(result.status).json(result.tile);
+    }
+  } catch (error) {
+    response.status(500).send({
+      data: {
+        message: error
+      }
+    });
+  }
+}
+
+/**
+ * @param {object} dashboardSettings
+ * @param {number} [expectedRevision]
+ * @returns {boolean} Whether the dashboard is at the expected revision, if one is expected at all.
+ */
+function isAtRevision(dashboardSettings, expectedRevision) {
+  return (
+    expectedRevision === undefined ||
+    expectedRevision === (dashboardSettings.revision || 0)
+  );
+}
+
+/**
+ * @param {object} dashboardSettings
+ * @returns {string} The ETag of the dashboard’s revision, e.g. `"3"`.
+ */
+function getEtag(dashboardSettings) {
+  return `"${dashboardSettings.revision || 0}"`;
+}
+
+/**
+ * @param {string|undefined} header An If-Match header with the ETag of a dashboard.
+ * @returns {number|undefined|null} The expected revision, `undefined` if any revision will do and
+ *   `null` if the header is invalid.
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header.trim() === "*") {
+    return undefined;
+  }
+
+  const match = /^\s*(?:W\/)?"(\d+)"\s*$/.exec(header);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Lets requests through that were sent by a user who may at least see the dashboards, and keeps the
+ * user as `request.user`.
+ */
+function authenticate(request, response, next) {
+  const credentials = {
+    authorization: request.get("Authorization"),
+    sessionId: AuthService.getSessionId(request.get("Cookie"))
+  };
+
+  AuthService.getUser(credentials).then(
+    user => {
+      if (user === null) {
+        response.set("WWW-Authenticate", "Bearer");
+        response.status(401).send({
+          data: {
+            message: "Log in or use a valid API token to see the dashboards."
+          }
+        });
+        return;
+      }
+
+      request.user = user;
+      next();
+    },
+    error => {
+      response.status(500).send({
+        data: {
+          message: error
+        }
+      });
+    }
+  );
+}
+
+/**
+ * @param {string} permission “control” or “edit”.
+ * @returns {Function} Middleware that only lets requests through whose user has the permission.
+ */
+function requirePermission(permission) {
+  return function(request, response, next) {
+    if (!hasPermission(request.user.role, permission)) {
+      response.status(403).send({
+        data: {
+          message: `You need the role “${getPermissionRole(
+            permission
+          )}” to do this, but yours is “${request.user.role}”.`
+        }
+      });
+      return;
+    }
+
+    next();
+  };
+}
+
+function sendInvalidIfMatch(response) {
+  response.status(400).send({
+    data: {
+      message: `The If-Match header must be the ETag of the dashboard, e.g. “${getEtag(
+        { revision: 3 }
+      )}”.`
+    }
+  });
+}
+
+function getTileNotFound(tileId) {
+  return {
+    status: 404,
+    message: `There’s no card “${tileId}” on the dashboard.`
+  };
+}
+
+function sendDashboardNotFound(response, dashboardId) {
+  response.status(404).send({
+    data: {
+      message: `There’s no dashboard “${dashboardId}”.`
+    }
+  });
+}
+
+/**
+ * Responds to a dashboard that doesn’t match the dashboard schema. The message lists every invalid
+ * field, so that the client can show it as it is.
+ *
+ * @param {object} response
+ * @param {{ path: string, message: string }[]} errors
+ */
+function sendInvalidDashboard(response, errors) {
+  response.status(400).send({
+    data: {
+      message: `The dashboard wasn’t saved. ${formatErrors(errors)}`,
+      errors
+    }
+  });
+}
+
+/**
+ * Records who did something in the audit log. It’s done by then, so if the audit log can’t be
+ * written, that’s only logged rather than responded with.
+ *
+ * @param {object} request
+ * @param {object} entry
+ * @returns {Promise}
+ */
+function audit(request, entry) {
+  return AuditService.record({
+    user: request.user.name,
+    role: request.user.role,
+    ...entry
+  }).catch(error => {
+    console.error(error);
+  });
+}
+
+/**
+ * @param {object} request
+ * @param {object} auditEntry
+ * @param {string} result “success” or “failure”.
+ * @param {string} [message] Why the command failed.
+ * @returns {Promise}
+ */
+function auditDeviceCommand(request, auditEntry, result, message) {
+  return audit(request, { ...auditEntry, result, message });
+}
+
+/**
+ * @param {object} changes The settings of a card that change.
+ * @returns {boolean} Whether only the position of the card changes.
+ */
+function isMove(changes) {
+  return Object.keys(changes).every(key => ["id", "position"].includes(key));
+}
+
+/**
+ * Parses a query parameter given either as a date string or as milliseconds since the epoch.
+ *
+ * @param {string|undefined} value
+ * @returns {Date|undefined|null} `undefined` if the parameter is missing and `null` if it’s invalid.
+ */
+function parseTimeParameter(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date) ? null : date;
+}
+
 module.exports = injectRoutes;
@@ -2,7 +2,13 @@ const request = require("supertest");
 
 const app = require("../server.js");
 const DashboardService = require("./services/dashboard.service.js");
+const DashboardBackupService = require("./services/dashboard-backups.service.js");
+const DashboardMigrationService = require("./services/dashboard-migrations.service.js");
 const HubService = require("./services/hub.service.js");
+const TelemetryService = require("./services/telemetry.service.js");
+const HubStatusService = require("./services/hub-status.service.js");
+const LocalUsersService = require("./services/local-users.service.js");
+const AuditService = require("./services/audit.service.js");
 
 const mockDashboardSettings = {
   dashboard: {
@@ -42,6 +48,7 @@ describe("API endpoints", () => {
   describe("DashboardService endpoints", () => {
     beforeEach(() => {
       jest.restoreAllMocks();
+      mockAuditLog();
     });
 
     test("can get dashboard settings", async () => {
@@ -97,9 +104,875 @@ describe("API endpoints", () => {
       expect(response.status).toBe(500);
       expect(response.body.data.message).toContain("Could not write to");
     });
+
+    test("can’t save dashboard settings that don’t match the schema", async () => {
+      jest.spyOn(DashboardService, "saveDashboardSettings");
+
+      const response = await request(app)
+        .post("/api/dashboard")
+        .send({
+          ...mockDashboardSettings.dashboard,
+          tiles: [
+            { ...mockDashboardSettings.dashboard.tiles[0], callType: "email" },
+            { ...mockDashboardSettings.dashboard.tiles[1], size: [1] }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.errors).toEqual([
+        {
+          path: "tiles[0].callType",
+          message: "must be one of “method”, “message”"
+        },
+        { path: "tiles[1].size", message: "must have 2 items" }
+      ]);
+      expect(response.body.data.message).toBe(
+        "The dashboard wasn’t saved. tiles[0].callType must be one of “method”, “message”. tiles[1].size must have 2 items."
+      );
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Dashboards endpoints", () => {
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      mockAuditLog();
+    });
+
+    test("can list dashboards", async () => {
+      const dashboards = [
+        { id: "default", title: "Main" },
+        { id: "lobby", title: "Lobby" }
+      ];
+      jest
+        .spyOn(DashboardService, "listDashboards")
+        .mockImplementation(() => Promise.resolve(dashboards));
+
+      const response = await request(app).get("/api/dashboards");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(dashboards);
+    });
+
+    test("can get the settings of a dashboard", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(true));
+      jest
+        .spyOn(DashboardService, "getDashboardSettings")
+        .mockImplementation(() => Promise.resolve(mockDashboardSettings));
+
+      const response = await request(app).get("/api/dashboards/lobby");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockDashboardSettings.dashboard);
+      expect(DashboardService.getDashboardSettings).toHaveBeenCalledWith(
+        "lobby"
+      );
+    });
+
+    test("can’t get dashboards that don’t exist", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(false));
+
+      const response = await request(app).get("/api/dashboards/lobby");
+
+      expect(response.status).toBe(404);
+      expect(response.body.data.message).toBe("There’s no dashboard “lobby”.");
+    });
+
+    test("can’t use invalid dashboard IDs", async () => {
+      jest.spyOn(DashboardService, "hasDashboard");
+
+      const response = await request(app).get("/api/dashboards/l%C3%B6bby");
+
+      expect(response.status).toBe(400);
+      expect(DashboardService.hasDashboard).not.toHaveBeenCalled();
+    });
+
+    test("creates dashboards at the current version", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(false));
+      jest
+        .spyOn(DashboardService, "saveDashboardSettings")
+        .mockImplementation(settings => Promise.resolve(settings));
+
+      const response = await request(app)
+        .post("/api/dashboards/lobby")
+        .send(mockDashboardSettings.dashboard);
+
+      expect(response.status).toBe(200);
+      expect(DashboardService.saveDashboardSettings).toHaveBeenCalledWith(
+        {
+          dashboard: mockDashboardSettings.dashboard,
+          version: DashboardMigrationService.getCurrentVersion(),
+          revision: 1
+        },
+        "lobby",
+        { backUp: true }
+      );
+    });
+
+    test("keeps the version of dashboards that are saved again", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(true));
+      jest
+        .spyOn(DashboardService, "getDashboardSettings")
+        .mockImplementation(() =>
+          Promise.resolve({ ...mockDashboardSettings, version: 1 })
+        );
+      jest
+        .spyOn(DashboardService, "saveDashboardSettings")
+        .mockImplementation(settings => Promise.resolve(settings));
+
+      await request(app)
+        .post("/api/dashboards/lobby")
+        .send(mockDashboardSettings.dashboard);
+
+      expect(DashboardService.saveDashboardSettings).toHaveBeenCalledWith(
+        expect.objectContaining({ version: 1 }),
+        "lobby",
+        {
+          backUp: true
+        }
+      );
+    });
+
+    test("can’t save dashboards that don’t match the schema", async () => {
+      jest.spyOn(DashboardService, "saveDashboardSettings");
+
+      const response = await request(app)
+        .post("/api/dashboards/lobby")
+        .send({ ...mockDashboardSettings.dashboard, blockSize: "large" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.errors).toEqual([
+        { path: "blockSize", message: "must be a list" }
+      ]);
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+
+    test("sends the revision of dashboards as their ETag", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(true));
+      jest
+        .spyOn(DashboardService, "getDashboardSettings")
+        .mockImplementation(() =>
+          Promise.resolve({ ...mockDashboardSettings, revision: 7 })
+        );
+
+      const response = await request(app).get("/api/dashboards/lobby");
+
+      expect(response.headers.etag).toBe(etag(7));
+    });
+
+    describe("saving with If-Match", () => {
+      let storedSettings;
+
+      beforeEach(() => {
+        storedSettings = { ...mockDashboardSettings, revision: 7 };
+
+        jest
+          .spyOn(DashboardService, "hasDashboard")
+          .mockImplementation(() => Promise.resolve(true));
+        jest
+          .spyOn(DashboardService, "getDashboardSettings")
+          .mockImplementation(() => Promise.resolve({ ...storedSettings }));
+        jest
+          .spyOn(DashboardService, "saveDashboardSettings")
+          .mockImplementation(settings => {
+            storedSettings = settings;
+            return Promise.resolve(settings);
+          });
+      });
+
+      test("saves dashboards that are still at the expected revision", async () => {
+        const response = await request(app)
+          .post("/api/dashboards/lobby")
+          .set("If-Match", etag(7))
+          .send(mockDashboardSettings.dashboard);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).toBe(etag(8));
+        expect(storedSettings.revision).toBe(8);
+      });
+
+      test("can’t save dashboards that someone else changed in the meantime", async () => {
+        const response = await request(app)
+          .post("/api/dashboard")
+          .set("If-Match", etag(6))
+          .send(mockDashboardSettings.dashboard);
+
+        expect(response.status).toBe(409);
+        expect(response.body.data.message).toContain(
+          "Someone else changed the dashboard"
+        );
+        expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+      });
+
+      test("only saves the first of two edits of the same revision", async () => {
+        const responses = await Promise.all(
+          [0, 1].map(() =>
+            request(app)
+              .post("/api/dashboards/lobby")
+              .set("If-Match", etag(7))
+              .send(mockDashboardSettings.dashboard)
+          )
+        );
+
+        expect(responses.map(({ status }) => status).sort()).toEqual([
+          200,
+          409
+        ]);
+        expect(DashboardService.saveDashboardSettings).toHaveBeenCalledTimes(1);
+      });
+
+      test("can’t save with an invalid If-Match header", async () => {
+        const response = await request(app)
+          .post("/api/dashboards/lobby")
+          .set("If-Match", "seven")
+          .send(mockDashboardSettings.dashboard);
+
+        expect(response.status).toBe(400);
+        expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+      });
+    });
+
+    test("can delete dashboards", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(true));
+      jest
+        .spyOn(DashboardService, "deleteDashboard")
+        .mockImplementation(() => Promise.resolve());
+
+      const response = await request(app).delete("/api/dashboards/lobby");
+
+      expect(response.status).toBe(200);
+      expect(DashboardService.deleteDashboard).toHaveBeenCalledWith("lobby");
+    });
+
+    test("can’t delete the default dashboard", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(true));
+
+      const response = await request(app).delete("/api/dashboards/default");
+
+      expect(response.status).toBe(500);
+      expect(response.body.data.message).toBe(
+        "The default dashboard can’t be deleted."
+      );
+    });
+  });
+
+  describe("Tile endpoints", () => {
+    const [button, sticker] = mockDashboardSettings.dashboard.tiles;
+    let storedSettings;
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      mockAuditLog();
+      storedSettings = { ...mockDashboardSettings, revision: 7 };
+
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(dashboardId =>
+          Promise.resolve(dashboardId !== "nowhere")
+        );
+      jest
+        .spyOn(DashboardService, "getDashboardSettings")
+        .mockImplementation(() => Promise.resolve({ ...storedSettings }));
+      jest
+        .spyOn(DashboardService, "saveDashboardSettings")
+        .mockImplementation(settings => {
+          storedSettings = settings;
+          return Promise.resolve(settings);
+        });
+    });
+
+    test("adds cards", async () => {
+      const text = {
+        id: "5d0a3f3e-1b8e-4a43-9a6c-0d5c0f4e2a11",
+        position: [300, 466],
+        size: [1.2, 1],
+        title: "Note",
+        type: "text",
+        text: "Hello"
+      };
+
+      const response = await request(app)
+        .post("/api/dashboards/lobby/tiles")
+        .send(text);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(text);
+      expect(response.headers.etag).toBe(etag(8));
+      expect(storedSettings.dashboard.tiles).toEqual([button, sticker, text]);
+      expect(
+        DashboardService.saveDashboardSettings
+      ).toHaveBeenCalledWith(expect.anything(), "lobby", { backUp: true });
+    });
+
+    test("can’t add cards twice", async () => {
+      const response = await request(app)
+        .post("/api/dashboard/tiles")
+        .send(sticker);
+
+      expect(response.status).toBe(409);
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+
+    test("can’t add cards that don’t match the schema", async () => {
+      const response = await request(app)
+        .post("/api/dashboard/tiles")
+        .send({ ...sticker, id: "another-sticker", size: [1] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.errors).toEqual([
+        { path: "tiles[2].size", message: "must have 2 items" }
+      ]);
+      expect(response.body.data.message).toBe(
+        "The card wasn’t saved. tiles[2].size must have 2 items."
+      );
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+
+    test("changes only the settings of a card that are sent", async () => {
+      const response = await request(app)
+        .patch(`/api/dashboards/lobby/tiles/${sticker.id}`)
+        .send({ id: "another-sticker", position: [0, 0] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ...sticker, position: [0, 0] });
+      expect(storedSettings.dashboard.tiles).toEqual([
+        button,
+        { ...sticker, position: [0, 0] }
+      ]);
+    });
+
+    test("doesn’t back up the dashboard when cards are only moved", async () => {
+      await request(app)
+        .patch(`/api/dashboards/lobby/tiles/${sticker.id}`)
+        .send({ id: sticker.id, position: [0, 0] });
+      await request(app)
+        .patch(`/api/dashboards/lobby/tiles/${sticker.id}`)
+        .send({ id: sticker.id, title: "Cat" });
+
+      expect(
+        DashboardService.saveDashboardSettings.mock.calls.map(call => call[2])
+      ).toEqual([{ backUp: false }, { backUp: true }]);
+    });
+
+    test("removes the settings of a card that are sent as null", async () => {
+      await request(app)
+        .patch(`/api/dashboards/lobby/tiles/${button.id}`)
+        .send({ moduleId: "pump" });
+      const response = await request(app)
+        .patch(`/api/dashboards/lobby/tiles/${button.id}`)
+        .send({ moduleId: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(button);
+      expect(storedSettings.dashboard.tiles).toEqual([button, sticker]);
+    });
+
+    test("records who changed and deleted cards in the audit log", async () => {
+      await request(app)
+        .patch(`/api/dashboards/lobby/tiles/${sticker.id}`)
+        .send({ title: "Cat" });
+      await request(app).delete(`/api/dashboards/lobby/tiles/${button.id}`);
+
+      expect(AuditService.record.mock.calls).toEqual([
+        [
+          {
+            user: null,
+            role: "editor",
+            action: "tile-change",
+            dashboardId: "lobby",
+            tileId: sticker.id,
+            changes: { title: "Cat" }
+          }
+        ],
+        [
+          {
+            user: null,
+            role: "editor",
+            action: "tile-delete",
+            dashboardId: "lobby",
+            tileId: button.id
+          }
+        ]
+      ]);
+    });
+
+    test("doesn’t record cards that weren’t saved in the audit log", async () => {
+      await request(app)
+        .post("/api/dashboard/tiles")
+        .send(sticker);
+
+      expect(AuditService.record).not.toHaveBeenCalled();
+    });
+
+    test("keeps the changes of cards that are changed at the same time", async () => {
+      const responses = await Promise.all([
+        request(app)
+          .patch(`/api/dashboard/tiles/${button.id}`)
+          .send({ title: "Stop" }),
+        request(app)
+          .patch(`/api/dashboard/tiles/${sticker.id}`)
+          .send({ title: "Cat" })
+      ]);
+
+      expect(responses.map(({ status }) => status)).toEqual([200, 200]);
+      expect(storedSettings.revision).toBe(9);
+      expect(storedSettings.dashboard.tiles.map(({ title }) => title)).toEqual([
+        "Stop",
+        "Cat"
+      ]);
+    });
+
+    test("deletes cards", async () => {
+      const response = await request(app).delete(
+        `/api/dashboard/tiles/${button.id}`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe(etag(8));
+      expect(storedSettings.dashboard.tiles).toEqual([sticker]);
+    });
+
+    test("can’t change or delete cards that don’t exist", async () => {
+      const responses = await Promise.all([
+        request(app)
+          .patch("/api/dashboard/tiles/nothing")
+          .send({ title: "Nothing" }),
+        request(app).delete("/api/dashboard/tiles/nothing")
+      ]);
+
+      expect(responses.map(({ status }) => status)).toEqual([404, 404]);
+      expect(responses[0].body.data.message).toBe(
+        "There’s no card “nothing” on the dashboard."
+      );
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+
+    test("can’t change the cards of dashboards that don’t exist", async () => {
+      const response = await request(app)
+        .patch(`/api/dashboards/nowhere/tiles/${button.id}`)
+        .send({ title: "Stop" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.data.message).toBe(
+        "There’s no dashboard “nowhere”."
+      );
+    });
+
+    test("can’t change cards of dashboards that someone else changed in the meantime", async () => {
+      const response = await request(app)
+        .delete(`/api/dashboard/tiles/${button.id}`)
+        .set("If-Match", etag(6));
+
+      expect(response.status).toBe(409);
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Dashboard export and import endpoints", () => {
+    const bundle = {
+      format: "electric-io-dashboard",
+      version: DashboardMigrationService.getCurrentVersion(),
+      exportedAt: "2020-03-01T12:00:00.000Z",
+      dashboard: {
+        ...mockDashboardSettings.dashboard,
+        editMode: undefined
+      }
+    };
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      mockAuditLog();
+    });
+
+    test("exports a dashboard as a file", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(true));
+      jest
+        .spyOn(DashboardService, "getDashboardSettings")
+        .mockImplementation(() => Promise.resolve(mockDashboardSettings));
+
+      const response = await request(app).get("/api/dashboards/lobby/export");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-disposition"]).toContain(
+        "lobby.electric-io.json"
+      );
+      expect(response.body.format).toBe("electric-io-dashboard");
+      expect(response.body.dashboard.tiles).toEqual(
+        mockDashboardSettings.dashboard.tiles
+      );
+      expect(response.body.dashboard.editMode).toBeUndefined();
+    });
+
+    test("exports the default dashboard without a dashboard ID", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(true));
+      jest
+        .spyOn(DashboardService, "getDashboardSettings")
+        .mockImplementation(() => Promise.resolve(mockDashboardSettings));
+
+      const response = await request(app).get("/api/dashboard/export");
+
+      expect(response.status).toBe(200);
+      expect(DashboardService.getDashboardSettings).toHaveBeenCalledWith(
+        "default"
+      );
+    });
+
+    test("imports a bundle into a dashboard", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(false));
+      jest
+        .spyOn(DashboardService, "saveDashboardSettings")
+        .mockImplementation(settings => Promise.resolve(settings));
+
+      const response = await request(app)
+        .post("/api/dashboards/lobby/import")
+        .send({ bundle, deviceIds: { AZ3166: "thermostat" } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tiles[0].deviceId).toBe("thermostat");
+      expect(
+        DashboardService.saveDashboardSettings
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({ dashboard: response.body }),
+        "lobby",
+        { backUp: true }
+      );
+    });
+
+    test("can’t import invalid bundles", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(false));
+      jest.spyOn(DashboardService, "saveDashboardSettings");
+
+      const response = await request(app)
+        .post("/api/dashboard/import")
+        .send({ bundle: { format: "something else" } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.message).toContain("isn’t a dashboard export");
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+
+    test("can’t import bundles with invalid cards", async () => {
+      jest
+        .spyOn(DashboardService, "hasDashboard")
+        .mockImplementation(() => Promise.resolve(false));
+      jest.spyOn(DashboardService, "saveDashboardSettings");
+
+      const response = await request(app)
+        .post("/api/dashboard/import")
+        .send({
+          bundle: {
+            ...bundle,
+            dashboard: {
+              ...bundle.dashboard,
+              tiles: [{ ...bundle.dashboard.tiles[1], type: "map" }]
+            }
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.errors[0].path).toBe("tiles[0].type");
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Dashboard backup endpoints", () => {
+    const backups = [
+      { id: "2020-03-02T12-00-00-000Z", createdAt: "2020-03-02T12:00:00.000Z" },
+      { id: "2020-03-01T12-00-00-000Z", createdAt: "2020-03-01T12:00:00.000Z" }
+    ];
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      mockAuditLog();
+
+      jest
+        .spyOn(DashboardBackupService, "listBackups")
+        .mockImplementation(() => Promise.resolve(backups));
+    });
+
+    test("lists the backups of a dashboard", async () => {
+      const response = await request(app).get("/api/dashboards/lobby/backups");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(backups);
+      expect(DashboardBackupService.listBackups).toHaveBeenCalledWith("lobby");
+    });
+
+    test("lists the backups of the default dashboard without a dashboard ID", async () => {
+      await request(app).get("/api/dashboard/backups");
+
+      expect(DashboardBackupService.listBackups).toHaveBeenCalledWith(
+        "default"
+      );
+    });
+
+    test("restores and upgrades backups", async () => {
+      jest.spyOn(DashboardBackupService, "readBackup").mockImplementation(() =>
+        Promise.resolve({
+          dashboard: mockDashboardSettings.dashboard,
+          version: 0
+        })
+      );
+      jest
+        .spyOn(DashboardService, "saveDashboardSettings")
+        .mockImplementation(settings => Promise.resolve(settings));
+
+      const response = await request(app).post(
+        "/api/dashboards/lobby/backups/2020-03-01T12-00-00-000Z/restore"
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.title).toBe(mockDashboardSettings.dashboard.title);
+      expect(DashboardBackupService.readBackup).toHaveBeenCalledWith(
+        "lobby",
+        "2020-03-01T12-00-00-000Z"
+      );
+      expect(DashboardService.saveDashboardSettings).toHaveBeenCalledWith(
+        expect.objectContaining({
+          version: DashboardMigrationService.getCurrentVersion()
+        }),
+        "lobby",
+        { backUp: true }
+      );
+    });
+
+    test("can’t restore backups that don’t exist", async () => {
+      jest.spyOn(DashboardService, "saveDashboardSettings");
+
+      const response = await request(app).post(
+        "/api/dashboard/backups/2019-03-01T12-00-00-000Z/restore"
+      );
+
+      expect(response.status).toBe(404);
+      expect(response.body.data.message).toBe(
+        "There’s no backup “2019-03-01T12-00-00-000Z” of dashboard “default”."
+      );
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+
+    test("can’t restore backups with invalid IDs", async () => {
+      const response = await request(app).post(
+        "/api/dashboard/backups/latest/restore"
+      );
+
+      expect(response.status).toBe(400);
+      expect(DashboardBackupService.listBackups).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Authentication", () => {
+    const users = {
+      ada: { name: "ada", role: "editor" },
+      grace: { name: "grace", role: "viewer" }
+    };
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      mockAuditLog();
+      process.env.AUTH = "local";
+
+      jest
+        .spyOn(LocalUsersService, "verifyPassword")
+        .mockImplementation((name, password) =>
+          Promise.resolve(password === "secret" ? users[name] || null : null)
+        );
+      jest
+        .spyOn(LocalUsersService, "verifyToken")
+        .mockImplementation(token =>
+          Promise.resolve(
+            token === "build-token" ? { name: "build", role: "operator" } : null
+          )
+        );
+      jest
+        .spyOn(HubService, "callDeviceMethod")
+        .mockImplementation(() => Promise.resolve({ status: 200 }));
+      jest
+        .spyOn(DashboardService, "getDashboardSettings")
+        .mockImplementation(() => Promise.resolve(mockDashboardSettings));
+    });
+
+    afterEach(() => {
+      delete process.env.AUTH;
+      delete process.env.ANONYMOUS_ROLE;
+    });
+
+    async function logIn(name) {
+      const response = await request(app)
+        .post("/api/session")
+        .send({ name, password: "secret" });
+      return response.headers["set-cookie"][0].split(";")[0];
+    }
+
+    test("needs users to log in", async () => {
+      const response = await request(app).get("/api/dashboard");
+
+      expect(response.status).toBe(401);
+      expect(response.headers["www-authenticate"]).toBe("Bearer");
+    });
+
+    test("lets anyone see the dashboards with an anonymous role", async () => {
+      process.env.ANONYMOUS_ROLE = "viewer";
+
+      const session = await request(app).get("/api/session");
+      const dashboard = await request(app).get("/api/dashboard");
+
+      expect(session.body).toEqual({ name: null, role: "viewer" });
+      expect(dashboard.status).toBe(200);
+    });
+
+    test("logs users in with a session cookie", async () => {
+      const login = await request(app)
+        .post("/api/session")
+        .send({ name: "ada", password: "secret" });
+      const cookie = login.headers["set-cookie"][0];
+
+      expect(login.status).toBe(200);
+      expect(login.body).toEqual(users.ada);
+      expect(cookie).toMatch(/^electric-io-session=\w+;/);
+      expect(cookie).toMatch(/HttpOnly/);
+      expect(cookie).toMatch(/SameSite=Strict/);
+
+      const session = await request(app)
+        .get("/api/session")
+        .set("Cookie", cookie.split(";")[0]);
+
+      expect(session.body).toEqual(users.ada);
+    });
+
+    test("can’t log in with a wrong password", async () => {
+      const response = await request(app)
+        .post("/api/session")
+        .send({ name: "ada", password: "guess" });
+
+      expect(response.status).toBe(401);
+      expect(response.headers["set-cookie"]).toBeUndefined();
+    });
+
+    test("ends sessions when users log out", async () => {
+      const cookie = await logIn("ada");
+
+      await request(app)
+        .delete("/api/session")
+        .set("Cookie", cookie);
+      const response = await request(app)
+        .get("/api/session")
+        .set("Cookie", cookie);
+
+      expect(response.status).toBe(401);
+    });
+
+    test("only lets editors change dashboards", async () => {
+      jest.spyOn(DashboardService, "saveDashboardSettings");
+      const cookie = await logIn("grace");
+
+      const response = await request(app)
+        .post("/api/dashboard")
+        .set("Cookie", cookie)
+        .send(mockDashboardSettings.dashboard);
+
+      expect(response.status).toBe(403);
+      expect(response.body.data.message).toBe(
+        "You need the role “editor” to do this, but yours is “viewer”."
+      );
+      expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+    });
+
+    test("only lets operators and editors control devices", async () => {
+      const viewer = await request(app)
+        .post("/api/device/AZ3166/method/stop")
+        .set("Cookie", await logIn("grace"))
+        .send({});
+      const editor = await request(app)
+        .post("/api/device/AZ3166/method/stop")
+        .set("Cookie", await logIn("ada"))
+        .send({});
+
+      expect(viewer.status).toBe(403);
+      expect(editor.status).toBe(200);
+      expect(HubService.callDeviceMethod).toHaveBeenCalledTimes(1);
+    });
+
+    test("records who controlled devices in the audit log", async () => {
+      await request(app)
+        .post("/api/device/AZ3166/method/stop")
+        .set("Authorization", "Bearer build-token")
+        .send({ callPayload: "{}" });
+
+      expect(AuditService.record).toHaveBeenCalledWith({
+        user: "build",
+        role: "operator",
+        action: "device-method",
+        deviceId: "AZ3166",
+        method: "stop",
+        payload: "{}",
+        result: "success",
+        message: undefined
+      });
+    });
+
+    test("only lets editors see the audit log", async () => {
+      jest
+        .spyOn(AuditService, "getEntries")
+        .mockImplementation(() => Promise.resolve([]));
+
+      const operator = await request(app)
+        .get("/api/audit")
+        .set("Authorization", "Bearer build-token");
+      const editor = await request(app)
+        .get("/api/audit")
+        .set("Cookie", await logIn("ada"));
+
+      expect(operator.status).toBe(403);
+      expect(editor.status).toBe(200);
+    });
+
+    test("accepts API tokens", async () => {
+      const response = await request(app)
+        .post("/api/device/AZ3166/method/stop")
+        .set("Authorization", "Bearer build-token")
+        .send({});
+
+      expect(response.status).toBe(200);
+    });
+
+    test("refuses API tokens that aren’t valid, even with an anonymous role", async () => {
+      process.env.ANONYMOUS_ROLE = "viewer";
+
+      const response = await request(app)
+        .get("/api/dashboard")
+        .set("Authorization", "Bearer guess");
+
+      expect(response.status).toBe(401);
+    });
   });
 
   describe("HubService endpoints", () => {
+    beforeEach(() => {
+      mockAuditLog();
+    });
+
     test("can get list of device IDs", async () => {
       jest
         .spyOn(HubService, "getDeviceIds")
@@ -111,6 +984,166 @@ describe("API endpoints", () => {
       expect(response.body).toEqual(mockDeviceIds);
     });
 
+    test("can get the modules of IoT Edge devices", async () => {
+      const deviceModules = { "edge-gateway": ["$edgeAgent", "tempSensor"] };
+      jest
+        .spyOn(HubService, "getDeviceModules")
+        .mockImplementation(() => Promise.resolve(deviceModules));
+
+      const response = await request(app).get("/api/devices/modules");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(deviceModules);
+    });
+
+    test("can get the hub status", async () => {
+      const status = {
+        state: "degraded",
+        message: "The receiver stopped.",
+        since: "2020-03-01T12:00:00.000Z",
+        retryAt: null
+      };
+
+      jest.spyOn(HubStatusService, "getStatus").mockReturnValue(status);
+
+      const response = await request(app).get("/api/hub/status");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(status);
+    });
+
+    test("can get stored telemetry of a device", async () => {
+      const storedMessages = [
+        {
+          systemProperties: { "iothub-connection-device-id": "AZ3166" },
+          body: { temperature: 21 }
+        }
+      ];
+
+      jest
+        .spyOn(TelemetryService, "getMessages")
+        .mockImplementation(() => storedMessages);
+
+      const response = await request(app).get(
+        "/api/devices/AZ3166/telemetry?from=1577836800000&to=2020-01-02T00:00:00Z"
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(storedMessages);
+      expect(TelemetryService.getMessages).toHaveBeenCalledWith("AZ3166", {
+        from: new Date("2020-01-01T00:00:00Z"),
+        to: new Date("2020-01-02T00:00:00Z")
+      });
+    });
+
+    test("can’t get stored telemetry with an invalid time range", async () => {
+      const response = await request(app).get(
+        "/api/devices/AZ3166/telemetry?from=yesterday"
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.message).toContain("must be dates");
+    });
+
+    test("can get the twin of a device", async () => {
+      const twin = {
+        deviceId: "AZ3166",
+        etag: "AAAAAAAAAAE=",
+        tags: {},
+        properties: { desired: {}, reported: {} }
+      };
+
+      const getDeviceTwinMock = jest
+        .spyOn(HubService, "getDeviceTwin")
+        .mockImplementation(() => Promise.resolve(twin));
+
+      const response = await request(app).get("/api/device/AZ3166/twin");
+
+      expect(getDeviceTwinMock.mock.calls[0][1]).toEqual({
+        deviceId: "AZ3166"
+      });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(twin);
+    });
+
+    test("can’t get the twin of a device if the service produces an error", async () => {
+      const errorMessage = "Failed to get the device twin of AZ3166.";
+
+      jest
+        .spyOn(HubService, "getDeviceTwin")
+        .mockImplementation(() => Promise.reject(errorMessage));
+
+      const response = await request(app).get("/api/device/AZ3166/twin");
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({
+        data: {
+          message: errorMessage
+        }
+      });
+    });
+
+    test("can update the desired properties of a device", async () => {
+      const twin = {
+        deviceId: "AZ3166",
+        etag: "AAAAAAAAAAI=",
+        tags: {},
+        properties: { desired: { interval: 2000 }, reported: {} }
+      };
+
+      const updateDesiredPropertiesMock = jest
+        .spyOn(HubService, "updateDesiredProperties")
+        .mockImplementation(() => Promise.resolve(twin));
+
+      const response = await request(app)
+        .patch("/api/device/AZ3166/twin/desired")
+        .set("If-Match", "AAAAAAAAAAE=")
+        .send({ interval: 2000 });
+
+      expect(updateDesiredPropertiesMock.mock.calls[0][1]).toEqual({
+        deviceId: "AZ3166",
+        desiredProperties: { interval: 2000 },
+        etag: "AAAAAAAAAAE="
+      });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(twin);
+    });
+
+    test("can’t update the desired properties of a device if the service produces an error", async () => {
+      const errorMessage = "Failed to update the desired properties of AZ3166.";
+
+      jest
+        .spyOn(HubService, "updateDesiredProperties")
+        .mockImplementation(() => Promise.reject(errorMessage));
+
+      const response = await request(app)
+        .patch("/api/device/AZ3166/twin/desired")
+        .send({ interval: 2000 });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({
+        data: {
+          message: errorMessage
+        }
+      });
+    });
+
+    test("refuses to update the desired properties of a twin that someone else changed", async () => {
+      jest
+        .spyOn(HubService, "updateDesiredProperties")
+        .mockImplementation(() => Promise.resolve(null));
+
+      const response = await request(app)
+        .patch("/api/device/AZ3166/twin/desired")
+        .set("If-Match", "AAAAAAAAAAE=")
+        .send({ interval: 2000 });
+
+      expect(response.status).toBe(412);
+      expect(response.body.data.message).toContain(
+        "Someone else changed the device twin"
+      );
+    });
+
     test("can call method on device", async () => {
       const deviceId = "deviceId";
       const deviceMethod = "deviceMethod";
@@ -151,6 +1184,93 @@ describe("API endpoints", () => {
       });
     });
 
+    test("can call the method of a module", async () => {
+      jest
+        .spyOn(HubService, "callDeviceMethod")
+        .mockImplementation(() => Promise.resolve({ data: { message: "" } }));
+
+      const response = await request(app)
+        .post("/api/device/edge-gateway/module/tempSensor/method/stop")
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(HubService.callDeviceMethod).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          deviceId: "edge-gateway",
+          moduleId: "tempSensor",
+          deviceMethodName: "stop"
+        })
+      );
+      expect(AuditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "device-method",
+          deviceId: "edge-gateway",
+          moduleId: "tempSensor",
+          method: "stop",
+          result: "success"
+        })
+      );
+    });
+
+    test("records failed method calls in the audit log", async () => {
+      jest
+        .spyOn(HubService, "callDeviceMethod")
+        .mockImplementation(() =>
+          Promise.reject("Failed to invoke method stop.")
+        );
+
+      await request(app)
+        .post("/api/device/AZ3166/method/stop")
+        .send({ callPayload: JSON.stringify({ speed: 0 }) });
+
+      expect(AuditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "device-method",
+          deviceId: "AZ3166",
+          method: "stop",
+          result: "failure",
+          message: "Failed to invoke method stop."
+        })
+      );
+    });
+
+    test("records changed desired properties in the audit log", async () => {
+      jest
+        .spyOn(HubService, "updateDesiredProperties")
+        .mockImplementation(() => Promise.resolve({}));
+
+      await request(app)
+        .patch("/api/device/AZ3166/twin/desired")
+        .send({ interval: 2000 });
+
+      expect(AuditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "desired-properties",
+          deviceId: "AZ3166",
+          payload: { interval: 2000 },
+          result: "success"
+        })
+      );
+    });
+
+    test("answers even if the audit log can’t be written", async () => {
+      jest
+        .spyOn(HubService, "callDeviceMessage")
+        .mockImplementation(() => Promise.resolve({}));
+      jest
+        .spyOn(AuditService, "record")
+        .mockImplementation(() => Promise.reject("Could not write."));
+      jest.spyOn(console, "error").mockImplementation(() => undefined);
+
+      const response = await request(app)
+        .post("/api/device/AZ3166/message")
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(console.error).toHaveBeenCalledWith("Could not write.");
+    });
+
     test("can queue message on device", async () => {
       const deviceId = "deviceId";
       const devicePayload = {};
@@ -189,4 +1309,75 @@ describe("API endpoints", () => {
       });
     });
   });
+
+  describe("Audit log endpoint", () => {
+    const entries = [
+      {
+        time: "2020-03-01T12:00:00.000Z",
+        user: "ada",
+        role: "operator",
+        action: "device-method",
+        deviceId: "AZ3166",
+        method: "stop",
+        payload: "",
+        result: "success"
+      }
+    ];
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      mockAuditLog();
+
+      jest
+        .spyOn(AuditService, "getEntries")
+        .mockImplementation(() => Promise.resolve(entries));
+    });
+
+    test("responds with the entries of the audit log", async () => {
+      const response = await request(app).get("/api/audit");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(entries);
+      expect(AuditService.getEntries).toHaveBeenCalledWith({
+        deviceId: undefined,
+        since: undefined,
+        limit: AuditService.DEFAULT_ENTRY_LIMIT
+      });
+    });
+
+    test("filters the entries by device and time", async () => {
+      await request(app).get(
+        "/api/audit?deviceId=AZ3166&since=2020-03-01T00:00:00.000Z&limit=10"
+      );
+
+      expect(AuditService.getEntries).toHaveBeenCalledWith({
+        deviceId: "AZ3166",
+        since: new Date("2020-03-01T00:00:00.000Z"),
+        limit: 10
+      });
+    });
+
+    test("refuses times and limits that aren’t valid", async () => {
+      const since = await request(app).get("/api/audit?since=yesterday");
+      const limit = await request(app).get("/api/audit?limit=-1");
+
+      expect(since.status).toBe(400);
+      expect(since.body.data.message).toBe(
+        "The “since” parameter must be a date."
+      );
+      expect(limit.status).toBe(400);
+      expect(AuditService.getEntries).not.toHaveBeenCalled();
+    });
+  });
 });
+
+function etag(revision) {
+  return `"${revision}"`;
+}
+
+// Keeps the audit log of the requests out of `.data/audit.log`.
+function mockAuditLog() {
+  jest
+    .spyOn(AuditService, "record")
+    .mockImplementation(entry => Promise.resolve(entry));
+}
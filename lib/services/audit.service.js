@@ -0,0 +1,129 @@
+require("dotenv").config();
+const debug = require("debug")("server");
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_AUDIT_FILE_PATH = path.join(".data", "audit.log");
+const AUDIT_FILE_PATH =
+  process.env.AUDIT_FILE ||
+  path.join(__dirname, "../..", PROJECT_AUDIT_FILE_PATH);
+
+const DEFAULT_ENTRY_LIMIT = 200;
+const MAX_ENTRY_LIMIT = 1000;
+
+// Entries are appended one after the other, so that they end up in the file in the order they
+// were recorded in.
+let lastAppend = Promise.resolve();
+
+/**
+ * Who called which device method, sent which message or changed which desired properties, and who
+ * changed which dashboard and card. The entries are appended to `.data/audit.log`, or the file
+ * that `AUDIT_FILE` points to, one JSON object per line, e.g.:
+ *
+ * ```json
+ * {"time":"2020-03-01T12:00:00.000Z","user":"ada","role":"operator","action":"device-method","deviceId":"AZ3166","method":"stop","payload":"","result":"success","message":"…"}
+ * ```
+ *
+ * The file is never rewritten, only appended to.
+ */
+module.exports = {
+  DEFAULT_ENTRY_LIMIT,
+  MAX_ENTRY_LIMIT,
+
+  /**
+   * @param {object} entry What happened, e.g. `{ user: "ada", action: "tile-delete", … }`. The
+   *   time is added.
+   * @returns {Promise<object>} The recorded entry.
+   */
+  record(entry) {
+    const recordedEntry = { time: new Date().toISOString(), ...entry };
+    const line = `${JSON.stringify(recordedEntry)}\n`;
+
+    const append = lastAppend.then(() => appendToAuditFile(line));
+    lastAppend = append.catch(() => undefined);
+
+    return append.then(() => recordedEntry);
+  },
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.deviceId] Only the entries about this device.
+   * @param {Date} [filter.since] Only the entries that were recorded at or after this time.
+   * @param {number} [filter.limit] How many entries at most.
+   * @returns {Promise<object[]>} The matching entries, the newest first.
+   */
+  getEntries({ deviceId, since, limit = DEFAULT_ENTRY_LIMIT } = {}) {
+    return readAuditFile().then(entries =>
+      entries
+        .filter(
+          entry =>
+            (deviceId === undefined || entry.deviceId === deviceId) &&
+            (since === undefined || new Date(entry.time) >= since)
+        )
+        .slice(-Math.min(limit, MAX_ENTRY_LIMIT))
+        .reverse()
+    );
+  }
+};
+
+function appendToAuditFile(line) {
+  return new Promise((resolve, reject) => {
+    fs.mkdir(path.dirname(AUDIT_FILE_PATH), { recursive: true }, () => {
+      fs.appendFile(AUDIT_FILE_PATH, line, { encoding: "utf8" }, error => {
+        if (error) {
+          const message = `Could not write to “${getProjectAuditFilePath()}”.`;
+          debug(`ERROR: ${message} ${error.toString()}`);
+
+          reject(message);
+        } else {
+          resolve();
+        }
+      });
+    });
+  });
+}
+
+/**
+ * @returns {Promise<object[]>} The entries of the audit log, the oldest first.
+ */
+function readAuditFile() {
+  return new Promise((resolve, reject) => {
+    fs.readFile(AUDIT_FILE_PATH, { encoding: "utf8" }, (error, data) => {
+      if (error) {
+        if (error.code === "ENOENT") {
+          resolve([]);
+        } else {
+          reject(`Could not read from file “${getProjectAuditFilePath()}”.`);
+        }
+        return;
+      }
+
+      resolve(parseEntries(data));
+    });
+  });
+}
+
+/**
+ * @param {string} data
+ * @returns {object[]} The entries, without lines that can’t be parsed, e.g. a last line that was
+ *   cut off when the server stopped while it was written.
+ */
+function parseEntries(data) {
+  return data.split("\n").reduce((entries, line) => {
+    if (line.trim() === "") {
+      return entries;
+    }
+
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      debug("ERROR: Skipped a line of the audit log that isn’t JSON.");
+    }
+
+    return entries;
+  }, []);
+}
+
+function getProjectAuditFilePath() {
+  return process.env.AUDIT_FILE || PROJECT_AUDIT_FILE_PATH;
+}
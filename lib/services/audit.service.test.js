@@ -0,0 +1,110 @@
+const fs = require("fs");
+
+const AuditService = require("./audit.service.js");
+
+describe("AuditService", () => {
+  let auditFile;
+
+  // Keeps the audit log in memory.
+  beforeEach(() => {
+    auditFile = undefined;
+
+    jest
+      .spyOn(fs, "readFile")
+      .mockImplementation((_path, _options, callback) => {
+        if (auditFile === undefined) {
+          callback({ code: "ENOENT" });
+        } else {
+          callback(undefined, auditFile);
+        }
+      });
+    jest.spyOn(fs, "mkdir").mockImplementation((_path, _options, callback) => {
+      callback();
+    });
+    jest
+      .spyOn(fs, "appendFile")
+      .mockImplementation((_path, data, _options, callback) => {
+        auditFile = (auditFile || "") + data;
+        callback();
+      });
+  });
+
+  // `fs` is shared with the other test files, so its spies must not outlive these tests.
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("has no entries without an audit log", async () => {
+    await expect(AuditService.getEntries()).resolves.toEqual([]);
+  });
+
+  test("appends entries with the time they were recorded at", async () => {
+    const entry = await AuditService.record({
+      user: "ada",
+      action: "tile-delete",
+      tileId: "a"
+    });
+
+    expect(new Date(entry.time).toISOString()).toBe(entry.time);
+    expect(auditFile).toBe(`${JSON.stringify(entry)}\n`);
+  });
+
+  test("keeps the entries in the order they were recorded in", async () => {
+    await Promise.all(
+      ["a", "b", "c"].map(tileId =>
+        AuditService.record({ action: "tile-delete", tileId })
+      )
+    );
+
+    const entries = await AuditService.getEntries();
+
+    expect(entries.map(({ tileId }) => tileId)).toEqual(["c", "b", "a"]);
+  });
+
+  test("filters the entries by device and time", async () => {
+    auditFile = [
+      { time: "2020-03-01T12:00:00.000Z", deviceId: "AZ3166" },
+      { time: "2020-03-02T12:00:00.000Z", deviceId: "Tessel2" },
+      { time: "2020-03-03T12:00:00.000Z", deviceId: "AZ3166" }
+    ]
+      .map(entry => `${JSON.stringify(entry)}\n`)
+      .join("");
+
+    await expect(
+      AuditService.getEntries({ deviceId: "AZ3166" })
+    ).resolves.toEqual([
+      { time: "2020-03-03T12:00:00.000Z", deviceId: "AZ3166" },
+      { time: "2020-03-01T12:00:00.000Z", deviceId: "AZ3166" }
+    ]);
+    await expect(
+      AuditService.getEntries({ since: new Date("2020-03-02T00:00:00.000Z") })
+    ).resolves.toHaveLength(2);
+    await expect(AuditService.getEntries({ limit: 1 })).resolves.toEqual([
+      { time: "2020-03-03T12:00:00.000Z", deviceId: "AZ3166" }
+    ]);
+  });
+
+  test("skips lines that aren’t JSON", async () => {
+    auditFile = `${JSON.stringify({ tileId: "a" })}\n{"tileId":`;
+
+    await expect(AuditService.getEntries()).resolves.toEqual([{ tileId: "a" }]);
+  });
+
+  test("rejects if the audit log can’t be written", async () => {
+    fs.appendFile.mockImplementation((_path, _data, _options, callback) => {
+      callback(new Error("EACCES"));
+    });
+
+    await expect(AuditService.record({ tileId: "a" })).rejects.toBe(
+      "Could not write to “.data/audit.log”."
+    );
+    // Later entries are still written.
+    fs.appendFile.mockImplementation((_path, data, _options, callback) => {
+      auditFile = data;
+      callback();
+    });
+    await expect(AuditService.record({ tileId: "b" })).resolves.toEqual(
+      expect.objectContaining({ tileId: "b" })
+    );
+  });
+});
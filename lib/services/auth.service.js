@@ -0,0 +1,139 @@
+require("dotenv").config();
+const crypto = require("crypto");
+
+const { isValidRole } = require("../roles.js");
+const LocalUsersService = require("./local-users.service.js");
+
+// Where users come from. Every provider verifies passwords and API tokens and resolves to the user
+// they belong to, e.g. `{ name: "ada", role: "editor" }`, or `null`.
+const PROVIDERS = {
+  local: LocalUsersService
+};
+
+const SESSION_COOKIE = "electric-io-session";
+const SESSION_DURATION_IN_MS = 12 * 60 * 60 * 1000;
+
+// The sessions of logged-in users by their ID. Restarting the server logs everyone out.
+const sessions = new Map();
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_DURATION_IN_MS,
+
+  /**
+   * @returns {boolean} Whether users have to log in, as opposed to everyone getting the role that
+   *   the edit mode allows.
+   */
+  isEnabled() {
+    return getAuth() !== "none";
+  },
+
+  /**
+   * @param {string} name
+   * @param {string} password
+   * @returns {Promise<{ sessionId: string, user: object }|null>} The new session, or `null` if the
+   *   name or the password is wrong.
+   */
+  logIn(name, password) {
+    return getProvider()
+      .then(provider => provider.verifyPassword(name, password))
+      .then(user => {
+        if (user === null || !isValidRole(user.role)) {
+          return null;
+        }
+
+        const sessionId = crypto.randomBytes(32).toString("hex");
+        sessions.set(sessionId, {
+          user,
+          expiresAt: Date.now() + SESSION_DURATION_IN_MS
+        });
+        return { sessionId, user };
+      });
+  },
+
+  /**
+   * @param {string} sessionId
+   */
+  logOut(sessionId) {
+    sessions.delete(sessionId);
+  },
+
+  /**
+   * Finds out who sent a request, by the API token in its Authorization header or by its session.
+   *
+   * @param {{ authorization?: string, sessionId?: string }} credentials
+   * @returns {Promise<{ name: string|null, role: string }|null>} The user, a user without a name
+   *   for anonymous users, or `null` if the request may not do anything.
+   */
+  getUser({ authorization, sessionId }) {
+    if (!module.exports.isEnabled()) {
+      return Promise.resolve({ name: null, role: getEditModeRole() });
+    }
+
+    if (authorization) {
+      const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+      if (match === null) {
+        return Promise.resolve(null);
+      }
+
+      // A token that isn’t valid isn’t taken for an anonymous user, so that it’s noticed.
+      return getProvider()
+        .then(provider => provider.verifyToken(match[1]))
+        .then(user => (user !== null && isValidRole(user.role) ? user : null));
+    }
+
+    const session = sessions.get(sessionId);
+    if (session !== undefined) {
+      if (session.expiresAt > Date.now()) {
+        return Promise.resolve(session.user);
+      }
+
+      sessions.delete(sessionId);
+    }
+
+    const anonymousRole = process.env.ANONYMOUS_ROLE;
+    return Promise.resolve(
+      isValidRole(anonymousRole) ? { name: null, role: anonymousRole } : null
+    );
+  },
+
+  /**
+   * @param {string|undefined} cookieHeader
+   * @returns {string|undefined} The session ID in the cookies of a request.
+   */
+  getSessionId(cookieHeader) {
+    const cookie = (cookieHeader || "")
+      .split(";")
+      .map(cookie => cookie.trim().split("="))
+      .find(([name]) => name === SESSION_COOKIE);
+
+    return cookie ? cookie[1] : undefined;
+  }
+};
+
+// Read when it’s needed rather than on load, so that tests can switch between providers.
+function getAuth() {
+  return process.env.AUTH || "none";
+}
+
+function getProvider() {
+  const provider = PROVIDERS[getAuth()];
+
+  if (provider === undefined) {
+    const names = Object.keys(PROVIDERS).join("”, “");
+    return Promise.reject(
+      `AUTH must be “none” or “${names}”, but it’s “${getAuth()}”.`
+    );
+  }
+
+  return Promise.resolve(provider);
+}
+
+/**
+ * Without users, everyone may do what the edit mode allows, like before there were users.
+ *
+ * @returns {string}
+ */
+function getEditModeRole() {
+  return process.env.EDIT_MODE === "locked" ? "operator" : "editor";
+}
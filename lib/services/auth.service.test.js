@@ -0,0 +1,83 @@
+const AuthService = require("./auth.service.js");
+const LocalUsersService = require("./local-users.service.js");
+
+describe("AuthService", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(LocalUsersService, "verifyPassword")
+      .mockImplementation((name, password) =>
+        Promise.resolve(
+          name === "ada" && password === "secret"
+            ? { name: "ada", role: "editor" }
+            : null
+        )
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.AUTH;
+    delete process.env.EDIT_MODE;
+  });
+
+  test("gives everyone the role that the edit mode allows without users", async () => {
+    await expect(AuthService.getUser({})).resolves.toEqual({
+      name: null,
+      role: "editor"
+    });
+
+    process.env.EDIT_MODE = "locked";
+
+    await expect(AuthService.getUser({})).resolves.toEqual({
+      name: null,
+      role: "operator"
+    });
+  });
+
+  test("keeps the users that logged in until they log out", async () => {
+    process.env.AUTH = "local";
+
+    const { sessionId, user } = await AuthService.logIn("ada", "secret");
+
+    expect(user).toEqual({ name: "ada", role: "editor" });
+    await expect(AuthService.getUser({ sessionId })).resolves.toEqual(user);
+
+    AuthService.logOut(sessionId);
+
+    await expect(AuthService.getUser({ sessionId })).resolves.toBe(null);
+  });
+
+  test("forgets sessions that expired", async () => {
+    process.env.AUTH = "local";
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    const { sessionId } = await AuthService.logIn("ada", "secret");
+
+    Date.now.mockImplementation(
+      () => now + AuthService.SESSION_DURATION_IN_MS + 1
+    );
+
+    await expect(AuthService.getUser({ sessionId })).resolves.toBe(null);
+  });
+
+  test("can’t log in with a wrong password", async () => {
+    process.env.AUTH = "local";
+
+    await expect(AuthService.logIn("ada", "guess")).resolves.toBe(null);
+  });
+
+  test("can’t use providers that don’t exist", async () => {
+    process.env.AUTH = "ldap";
+
+    await expect(AuthService.logIn("ada", "secret")).rejects.toBe(
+      "AUTH must be “none” or “local”, but it’s “ldap”."
+    );
+  });
+
+  test("finds the session ID in the cookies", () => {
+    expect(
+      AuthService.getSessionId("theme=dark; electric-io-session=abc123")
+    ).toBe("abc123");
+    expect(AuthService.getSessionId(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,194 @@
+require("dotenv").config();
+const debug = require("debug")("server");
+const fs = require("fs");
+const path = require("path");
+
+const writeFileAtomically = require("../utilities/writeFileAtomically.js");
+
+const BACKUP_COUNT = parseInt(process.env.DASHBOARD_BACKUP_COUNT, 10) || 10;
+const PROJECT_BACKUPS_DIRECTORY_PATH = path.join(
+  ".data",
+  "dashboards",
+  "backups"
+);
+const BACKUPS_DIRECTORY_PATH = path.join(
+  __dirname,
+  "../..",
+  PROJECT_BACKUPS_DIRECTORY_PATH
+);
+
+// Backup IDs are the time of the backup, e.g. “2020-03-01T12-00-00-000Z”, so they sort by age.
+const BACKUP_ID_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+/**
+ * Each dashboard keeps its last `DASHBOARD_BACKUP_COUNT` versions in
+ * `.data/dashboards/backups/<dashboard ID>/<backup ID>.json`. Backups are kept when a dashboard is
+ * deleted, so that it can be restored.
+ */
+module.exports = {
+  BACKUP_COUNT,
+
+  /**
+   * @param {string} backupId
+   * @returns {boolean}
+   */
+  isValidBackupId(backupId) {
+    return BACKUP_ID_REGEX.test(backupId);
+  },
+
+  /**
+   * @param {string} dashboardId
+   * @returns {Promise<{ id: string, createdAt: string }[]>} The backups, the newest first.
+   */
+  listBackups(dashboardId) {
+    return readBackupIds(dashboardId).then(backupIds =>
+      backupIds.map(backupId => ({
+        id: backupId,
+        createdAt: getBackupDate(backupId)
+      }))
+    );
+  },
+
+  /**
+   * Keeps a version of a dashboard file and removes the oldest backups beyond the backup count.
+   *
+   * @param {string} dashboardId
+   * @param {string} fileContents
+   * @returns {Promise<string>} The ID of the backup.
+   */
+  createBackup(dashboardId, fileContents) {
+    const backupId = new Date().toISOString().replace(/[:.]/g, "-");
+    const directoryPath = getBackupsDirectoryPath(dashboardId);
+
+    return new Promise((resolve, reject) => {
+      fs.mkdir(directoryPath, { recursive: true }, error => {
+        if (error) {
+          reject(`Could not create “${getProjectBackupsPath(dashboardId)}”.`);
+          return;
+        }
+
+        const filePath = path.join(directoryPath, `${backupId}.json`);
+        writeFileAtomically(filePath, fileContents).then(
+          () => {
+            debug(`Backed up dashboard “${dashboardId}” as “${backupId}”.`);
+            resolve(removeOldBackups(dashboardId).then(() => backupId));
+          },
+          () => {
+            reject(
+              `Could not write to “${getProjectBackupsPath(
+                dashboardId,
+                backupId
+              )}”.`
+            );
+          }
+        );
+      });
+    });
+  },
+
+  /**
+   * @param {string} dashboardId
+   * @param {string} backupId
+   * @returns {Promise<object>} The dashboard settings of the backup.
+   */
+  readBackup(dashboardId, backupId) {
+    return new Promise((resolve, reject) => {
+      if (!module.exports.isValidBackupId(backupId)) {
+        reject(`“${backupId}” isn’t a valid backup ID.`);
+        return;
+      }
+
+      const projectFilePath = getProjectBackupsPath(dashboardId, backupId);
+
+      fs.readFile(
+        path.join(getBackupsDirectoryPath(dashboardId), `${backupId}.json`),
+        { encoding: "utf8" },
+        (error, data) => {
+          if (error) {
+            reject(`Could not read from file “${projectFilePath}”.`);
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(
+              `Could not parse the contents of “${projectFilePath}” as JSON.`
+            );
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * @param {string} dashboardId
+ * @returns {Promise<string[]>} The IDs of the dashboard’s backups, the newest first.
+ */
+function readBackupIds(dashboardId) {
+  return new Promise((resolve, reject) => {
+    fs.readdir(getBackupsDirectoryPath(dashboardId), (error, fileNames) => {
+      if (error) {
+        if (error.code === "ENOENT") {
+          resolve([]);
+        } else {
+          reject(
+            `Could not read the backups in “${getProjectBackupsPath(
+              dashboardId
+            )}”.`
+          );
+        }
+        return;
+      }
+
+      const backupIds = fileNames
+        .filter(fileName => path.extname(fileName) === ".json")
+        .map(fileName => path.basename(fileName, ".json"))
+        .filter(backupId => module.exports.isValidBackupId(backupId))
+        .sort()
+        .reverse();
+
+      resolve(backupIds);
+    });
+  });
+}
+
+function removeOldBackups(dashboardId) {
+  return readBackupIds(dashboardId).then(backupIds => {
+    const removals = backupIds.slice(BACKUP_COUNT).map(
+      backupId =>
+        new Promise(resolve => {
+          const filePath = path.join(
+            getBackupsDirectoryPath(dashboardId),
+            `${backupId}.json`
+          );
+          // A backup that can’t be removed now is removed with the next one.
+          fs.unlink(filePath, () => resolve());
+        })
+    );
+
+    return Promise.all(removals);
+  });
+}
+
+function getBackupDate(backupId) {
+  return backupId.replace(
+    /T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/,
+    "T$1:$2:$3.$4Z"
+  );
+}
+
+function getBackupsDirectoryPath(dashboardId) {
+  return path.join(BACKUPS_DIRECTORY_PATH, dashboardId);
+}
+
+function getProjectBackupsPath(dashboardId, backupId) {
+  return backupId === undefined
+    ? path.join(PROJECT_BACKUPS_DIRECTORY_PATH, dashboardId)
+    : path.join(
+        PROJECT_BACKUPS_DIRECTORY_PATH,
+        dashboardId,
+        `${backupId}.json`
+      );
+}
@@ -0,0 +1,69 @@
+const fs = require("fs");
+
+const DashboardBackupService = require("./dashboard-backups.service.js");
+
+describe("DashboardBackupService", () => {
+  // `fs` is shared with the other test files, so its spies must not outlive these tests.
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("lists the backups of a dashboard, the newest first", async () => {
+    jest.spyOn(fs, "readdir").mockImplementation((_path, callback) => {
+      callback(undefined, [
+        "2020-03-01T12-00-00-000Z.json",
+        "2020-03-02T08-30-15-250Z.json",
+        "2020-03-03T12-00-00-000Z.json.1234-1.tmp",
+        "notes.txt"
+      ]);
+    });
+
+    const backups = await DashboardBackupService.listBackups("lobby");
+
+    expect(backups).toEqual([
+      { id: "2020-03-02T08-30-15-250Z", createdAt: "2020-03-02T08:30:15.250Z" },
+      { id: "2020-03-01T12-00-00-000Z", createdAt: "2020-03-01T12:00:00.000Z" }
+    ]);
+    expect(fs.readdir.mock.calls[0][0]).toMatch(
+      /dashboards[\\/]backups[\\/]lobby$/
+    );
+  });
+
+  test("lists no backups of dashboards that were never backed up", async () => {
+    jest.spyOn(fs, "readdir").mockImplementation((_path, callback) => {
+      callback({ code: "ENOENT" });
+    });
+
+    await expect(DashboardBackupService.listBackups("lobby")).resolves.toEqual(
+      []
+    );
+  });
+
+  test("reads backups", async () => {
+    const dashboardSettings = { dashboard: { tiles: [] }, version: 3 };
+    jest
+      .spyOn(fs, "readFile")
+      .mockImplementation((_path, _options, callback) => {
+        callback(undefined, JSON.stringify(dashboardSettings));
+      });
+
+    const backup = await DashboardBackupService.readBackup(
+      "lobby",
+      "2020-03-01T12-00-00-000Z"
+    );
+
+    expect(backup).toEqual(dashboardSettings);
+    expect(fs.readFile.mock.calls[0][0]).toMatch(
+      /backups[\\/]lobby[\\/]2020-03-01T12-00-00-000Z\.json$/
+    );
+  });
+
+  test("can’t read backups with invalid IDs", async () => {
+    jest.spyOn(fs, "readFile");
+
+    await expect(
+      DashboardBackupService.readBackup("lobby", "../../default")
+    ).rejects.toBe("“../../default” isn’t a valid backup ID.");
+    expect(fs.readFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,183 @@
+const createGuid = require("../guid.js");
+const DashboardMigrationService = require("./dashboard-migrations.service.js");
+
+const BUNDLE_FORMAT = "electric-io-dashboard";
+const IMPORT_MODES = ["replace", "merge"];
+
+/**
+ * A bundle is a dashboard in a file that can be imported into any electric-io instance:
+ *
+ * ```json
+ * {
+ *   "format": "electric-io-dashboard",
+ *   "version": 4,
+ *   "exportedAt": "2020-03-01T12:00:00.000Z",
+ *   "dashboard": { "title": "…", "tiles": […], … }
+ * }
+ * ```
+ *
+ * The version is the dashboard version, so bundles of older electric-io versions are upgraded
+ * when they’re imported.
+ */
+module.exports = {
+  BUNDLE_FORMAT,
+  IMPORT_MODES,
+
+  /**
+   * @param {{ dashboard: object, version: number }} dashboardSettings
+   * @returns {object} The bundle.
+   */
+  createBundle(dashboardSettings) {
+    const dashboard = copy(dashboardSettings.dashboard);
+    // The edit mode belongs to the instance, not to the dashboard.
+    delete dashboard.editMode;
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: dashboardSettings.version || 0,
+      exportedAt: new Date().toISOString(),
+      dashboard
+    };
+  },
+
+  /**
+   * Works out the dashboard that importing a bundle results in. Throws if the bundle or the
+   * options are invalid.
+   *
+   * @param {object|null} dashboard The dashboard that is imported into, if it exists.
+   * @param {object} options
+   * @param {object} options.bundle
+   * @param {string} [options.mode] “replace” replaces the dashboard, “merge” adds the cards of the
+   *   bundle to it. Merged cards get new IDs, so that they don’t clash with the dashboard’s cards,
+   *   even if the bundle was merged into it before.
+   * @param {object} [options.deviceIds] Maps device IDs of the bundle to devices of this hub.
+   * @returns {object} The imported dashboard, upgraded to the current version.
+   */
+  importBundle(dashboard, { bundle, mode = "replace", deviceIds = {} }) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(
+        `The import mode must be one of ${IMPORT_MODES.join(", ")}.`
+      );
+    }
+
+    if (
+      deviceIds === null ||
+      typeof deviceIds !== "object" ||
+      !Object.values(deviceIds).every(deviceId => typeof deviceId === "string")
+    ) {
+      throw new Error("The device IDs must map device IDs to device IDs.");
+    }
+
+    const importedDashboard = readBundle(bundle);
+    remapDeviceIds(importedDashboard, deviceIds);
+
+    if (mode === "merge" && dashboard !== null) {
+      const importedTiles = importedDashboard.tiles.map(tile => ({
+        ...tile,
+        id: createGuid()
+      }));
+
+      return Object.assign(copy(dashboard), {
+        tiles: dashboard.tiles.concat(importedTiles)
+      });
+    }
+
+    return importedDashboard;
+  }
+};
+
+/**
+ * @param {object} bundle
+ * @returns {object} A copy of the bundle’s dashboard at the current version.
+ */
+function readBundle(bundle) {
+  if (bundle === null || typeof bundle !== "object") {
+    throw new Error("The file isn’t a dashboard export.");
+  }
+
+  if (bundle.format !== BUNDLE_FORMAT) {
+    throw new Error(
+      `The file isn’t a dashboard export. Its format must be “${BUNDLE_FORMAT}”.`
+    );
+  }
+
+  const currentVersion = DashboardMigrationService.getCurrentVersion();
+  if (!Number.isInteger(bundle.version) || bundle.version < 0) {
+    throw new Error("The version of the dashboard must be a whole number.");
+  }
+  if (bundle.version > currentVersion) {
+    throw new Error(
+      "The dashboard was exported by a newer version of electric-io. Please upgrade first."
+    );
+  }
+
+  validateDashboard(bundle.dashboard);
+
+  const dashboardSettings = {
+    dashboard: copy(bundle.dashboard),
+    version: bundle.version
+  };
+  DashboardMigrationService.upgradeDashboard(dashboardSettings);
+
+  return dashboardSettings.dashboard;
+}
+
+function validateDashboard(dashboard) {
+  if (dashboard === null || typeof dashboard !== "object") {
+    throw new Error("The export has no dashboard.");
+  }
+
+  if (
+    !Array.isArray(dashboard.blockSize) ||
+    dashboard.blockSize.length !== 2 ||
+    !dashboard.blockSize.every(size => typeof size === "number" && size > 0)
+  ) {
+    throw new Error("The block size of the dashboard must be two numbers.");
+  }
+
+  if (!Array.isArray(dashboard.tiles)) {
+    throw new Error("The dashboard has no list of cards.");
+  }
+
+  dashboard.tiles.forEach((tile, index) => {
+    if (
+      tile === null ||
+      typeof tile !== "object" ||
+      typeof tile.id !== "string" ||
+      typeof tile.type !== "string"
+    ) {
+      throw new Error(`Card ${index + 1} needs an ID and a type.`);
+    }
+  });
+}
+
+/**
+ * Replaces the device IDs in the tiles of the dashboard. Devices that aren’t in the map are kept.
+ *
+ * @param {object} dashboard
+ * @param {object} deviceIds
+ */
+function remapDeviceIds(dashboard, deviceIds) {
+  const remap = deviceId =>
+    Object.prototype.hasOwnProperty.call(deviceIds, deviceId)
+      ? deviceIds[deviceId]
+      : deviceId;
+
+  dashboard.tiles.forEach(tile => {
+    if (typeof tile.deviceId === "string") {
+      tile.deviceId = remap(tile.deviceId);
+    }
+
+    if (Array.isArray(tile.series)) {
+      tile.series.forEach(series => {
+        if (series && typeof series.deviceId === "string") {
+          series.deviceId = remap(series.deviceId);
+        }
+      });
+    }
+  });
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
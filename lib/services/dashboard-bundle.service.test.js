@@ -0,0 +1,206 @@
+const DashboardBundleService = require("./dashboard-bundle.service.js");
+const DashboardMigrationService = require("./dashboard-migrations.service.js");
+const { validateDashboard } = require("../dashboardSchema.js");
+
+const currentVersion = DashboardMigrationService.getCurrentVersion();
+
+const mockDashboard = {
+  bgColor: "#808900",
+  bgImageRepeat: "true",
+  bgImageUrl: "",
+  blockSize: [250, 200],
+  title: "✀ IoT Dashboard",
+  tiles: [
+    {
+      buttonText: "stop",
+      deviceId: "AZ3166",
+      deviceMethod: "stop",
+      id: "2471d5ab-0d73-42a3-ba4f-f694574feb6b",
+      position: [54, 466],
+      size: [0.8, 0.7],
+      title: "MXChip sending",
+      type: "button"
+    },
+    {
+      id: "5d0a3f3e-1b8e-4a43-9a6c-0d5c0f4e2a11",
+      position: [300, 466],
+      size: [2, 1.5],
+      title: "Temperatures",
+      type: "line-chart",
+      series: [
+        { deviceId: "AZ3166", property: "temperature" },
+        { deviceId: "Tessel2", property: "temperature" }
+      ],
+      windowMode: "points",
+      pointCount: 20,
+      timeWindow: 10,
+      yMin: "",
+      yMax: ""
+    }
+  ]
+};
+
+function createBundle(overrides = {}) {
+  return {
+    format: "electric-io-dashboard",
+    version: currentVersion,
+    exportedAt: "2020-03-01T12:00:00.000Z",
+    dashboard: JSON.parse(JSON.stringify(mockDashboard)),
+    ...overrides
+  };
+}
+
+describe("DashboardBundleService", () => {
+  test("exports a dashboard without its edit mode", () => {
+    const bundle = DashboardBundleService.createBundle({
+      dashboard: { ...mockDashboard, editMode: "unlocked" },
+      version: currentVersion
+    });
+
+    expect(bundle).toEqual({
+      format: "electric-io-dashboard",
+      version: currentVersion,
+      exportedAt: expect.any(String),
+      dashboard: mockDashboard
+    });
+  });
+
+  test("imports a bundle in place of the dashboard", () => {
+    const dashboard = DashboardBundleService.importBundle(
+      { ...mockDashboard, tiles: [] },
+      { bundle: createBundle() }
+    );
+
+    expect(dashboard).toEqual(mockDashboard);
+  });
+
+  test("merges the cards of a bundle into the dashboard", () => {
+    const existingDashboard = {
+      ...mockDashboard,
+      title: "Lobby",
+      tiles: [{ id: "existing", type: "sticker" }]
+    };
+
+    const dashboard = DashboardBundleService.importBundle(existingDashboard, {
+      bundle: createBundle(),
+      mode: "merge"
+    });
+
+    expect(dashboard.title).toBe("Lobby");
+    expect(dashboard.tiles.map(tile => tile.title)).toEqual([
+      undefined,
+      ...mockDashboard.tiles.map(tile => tile.title)
+    ]);
+    expect(dashboard.tiles[0].id).toBe("existing");
+    expect(existingDashboard.tiles.length).toBe(1);
+  });
+
+  test("gives merged cards new IDs, also when merging a dashboard into itself", () => {
+    const once = DashboardBundleService.importBundle(mockDashboard, {
+      bundle: createBundle(),
+      mode: "merge"
+    });
+    const twice = DashboardBundleService.importBundle(once, {
+      bundle: createBundle(),
+      mode: "merge"
+    });
+
+    const ids = twice.tiles.map(tile => tile.id);
+    expect(ids.length).toBe(3 * mockDashboard.tiles.length);
+    expect(new Set(ids).size).toBe(ids.length);
+    ids.forEach(id =>
+      expect(id).toMatch(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+      )
+    );
+    expect(validateDashboard(twice)).toEqual([]);
+  });
+
+  test("remaps device IDs", () => {
+    const dashboard = DashboardBundleService.importBundle(null, {
+      bundle: createBundle(),
+      deviceIds: { AZ3166: "thermostat" }
+    });
+
+    expect(dashboard.tiles[0].deviceId).toBe("thermostat");
+    expect(dashboard.tiles[1].series.map(series => series.deviceId)).toEqual([
+      "thermostat",
+      "Tessel2"
+    ]);
+  });
+
+  test("upgrades bundles of older versions", () => {
+    const bundle = createBundle({
+      version: 1,
+      dashboard: {
+        ...mockDashboard,
+        tiles: [
+          {
+            id: "old-line-chart",
+            type: "line-chart",
+            deviceId: "AZ3166",
+            property: "temperature",
+            lineColor: "#ff6384"
+          }
+        ]
+      }
+    });
+
+    const dashboard = DashboardBundleService.importBundle(null, { bundle });
+
+    expect(dashboard.tiles[0].series).toEqual([
+      {
+        deviceId: "AZ3166",
+        property: "body.temperature",
+        color: "#ff6384",
+        label: ""
+      }
+    ]);
+    expect(dashboard.tiles[0].windowMode).toBe("points");
+    expect(bundle.dashboard.tiles[0].series).toBeUndefined();
+  });
+
+  test("rejects files that aren’t dashboard exports", () => {
+    const importBundle = bundle => () =>
+      DashboardBundleService.importBundle(null, { bundle });
+
+    expect(importBundle(null)).toThrow("isn’t a dashboard export");
+    expect(importBundle({ dashboard: mockDashboard })).toThrow(
+      "isn’t a dashboard export"
+    );
+    expect(importBundle(createBundle({ version: "3" }))).toThrow(
+      "must be a whole number"
+    );
+    expect(importBundle(createBundle({ version: currentVersion + 1 }))).toThrow(
+      "newer version of electric-io"
+    );
+    expect(
+      importBundle(
+        createBundle({ dashboard: { ...mockDashboard, blockSize: [250] } })
+      )
+    ).toThrow("block size");
+    expect(
+      importBundle(createBundle({ dashboard: { ...mockDashboard, tiles: {} } }))
+    ).toThrow("no list of cards");
+    expect(
+      importBundle(
+        createBundle({ dashboard: { ...mockDashboard, tiles: [{ id: "a" }] } })
+      )
+    ).toThrow("Card 1 needs an ID and a type.");
+  });
+
+  test("rejects invalid import options", () => {
+    expect(() =>
+      DashboardBundleService.importBundle(null, {
+        bundle: createBundle(),
+        mode: "append"
+      })
+    ).toThrow("The import mode must be one of replace, merge.");
+    expect(() =>
+      DashboardBundleService.importBundle(null, {
+        bundle: createBundle(),
+        deviceIds: { AZ3166: 42 }
+      })
+    ).toThrow("The device IDs must map device IDs to device IDs.");
+  });
+});
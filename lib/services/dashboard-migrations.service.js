@@ -1,5 +1,8 @@
+const jmespath = require("jmespath");
+
 module.exports = {
-  upgradeDashboard
+  upgradeDashboard,
+  getCurrentVersion
 };
 
 function upgradeDashboard(settings, migrations = dashboardMigrations) {
@@ -14,7 +17,19 @@ function upgradeDashboard(settings, migrations = dashboardMigrations) {
   return storedVersion < currentVersion;
 }
 
-const dashboardMigrations = [migrateDashboardVersion0To1];
+/**
+ * @returns {number} The version of dashboards that need no upgrade, e.g. newly created ones.
+ */
+function getCurrentVersion(migrations = dashboardMigrations) {
+  return migrations.length;
+}
+
+const dashboardMigrations = [
+  migrateDashboardVersion0To1,
+  migrateDashboardVersion1To2,
+  migrateDashboardVersion2To3,
+  migrateDashboardVersion3To4
+];
 
 /**
  * Migrate from dashboard version 0 to version 1:
@@ -31,3 +46,115 @@ function migrateDashboardVersion0To1(dashboard) {
     }
   }
 }
+
+/**
+ * Migrate from dashboard version 1 to version 2:
+ * - Line chart tile: replaced the single device, property and line color with a list of series
+ */
+function migrateDashboardVersion1To2(dashboard) {
+  for (const tile of dashboard.tiles) {
+    if (tile.type === "line-chart") {
+      tile.series = [
+        {
+          deviceId: tile.deviceId,
+          property: tile.property,
+          color: tile.lineColor,
+          label: ""
+        }
+      ];
+      delete tile.deviceId;
+      delete tile.property;
+      delete tile.lineColor;
+    }
+  }
+}
+
+/**
+ * Migrate from dashboard version 2 to version 3:
+ * - Line chart tile: added time window and y-axis bounds properties
+ */
+function migrateDashboardVersion2To3(dashboard) {
+  for (const tile of dashboard.tiles) {
+    if (tile.type === "line-chart") {
+      tile.windowMode = "points";
+      tile.pointCount = 20;
+      tile.timeWindow = 10;
+      tile.yMin = "";
+      tile.yMax = "";
+    }
+  }
+}
+
+// The tile types whose data properties are evaluated against the device’s messages.
+const TELEMETRY_TILE_TYPES = ["gauge", "line-chart", "number", "pie-chart"];
+
+// The expressions whose first child is evaluated against the input itself, e.g. `a` in `a.b`.
+const CHAINED_EXPRESSION_TYPES = [
+  "Subexpression",
+  "IndexExpression",
+  "Projection",
+  "FilterProjection",
+  "ValueProjection",
+  "Flatten"
+];
+
+// The message properties that data properties could already read besides those of the body.
+const MESSAGE_FIELDS = ["deviceId", "enqueuedTime"];
+
+/**
+ * Migrate from dashboard version 3 to version 4:
+ * - Gauge, line chart, number and pie chart tiles: data properties read the message body from
+ *   `body`, next to the message’s `properties` and `systemProperties`
+ */
+function migrateDashboardVersion3To4(dashboard) {
+  for (const tile of dashboard.tiles) {
+    if (!TELEMETRY_TILE_TYPES.includes(tile.type)) {
+      continue;
+    }
+
+    if (typeof tile.property === "string") {
+      tile.property = toBodyPath(tile.property);
+    }
+
+    for (const item of [].concat(tile.series || [], tile.slices || [])) {
+      if (typeof item.property === "string") {
+        item.property = toBodyPath(item.property);
+      }
+    }
+  }
+}
+
+/**
+ * Rewrites a JMESPath that was evaluated against a message body so that it reads the body of the
+ * message, e.g. `body.sensor.values[0]` for `sensor.values[0]`, or `body | max(values)` for
+ * `max(values)`.
+ *
+ * @param {string} path
+ * @returns {string} The path that reads the same from a message. Empty paths, paths that aren’t
+ *   valid and paths that read the device ID or enqueued time are left as they are.
+ */
+function toBodyPath(path) {
+  const trimmedPath = path.trim();
+  if (trimmedPath === "") {
+    return path;
+  }
+
+  let node;
+  try {
+    node = jmespath.compile(trimmedPath);
+  } catch (error) {
+    return path;
+  }
+
+  while (CHAINED_EXPRESSION_TYPES.includes(node.type)) {
+    node = node.children[0];
+  }
+
+  // A chain that starts with a property only needs the body in front of it. Every other
+  // expression is piped the body, which it then evaluates just like it did before.
+  if (node.type === "Field" && /^[A-Za-z_"]/.test(trimmedPath)) {
+    return MESSAGE_FIELDS.includes(node.name) ? path : `body.${trimmedPath}`;
+  }
+
+  return `body | ${trimmedPath}`;
+}
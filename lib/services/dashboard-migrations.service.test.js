@@ -38,4 +38,110 @@ describe("upgradeDashboard", () => {
     expect(migrationsPerformed).toEqual([3]);
     expect(dashboard.version).toEqual(3);
   });
+
+  it("moves line chart settings into a list of series", () => {
+    const settings = {
+      version: 1,
+      dashboard: {
+        tiles: [
+          {
+            type: "line-chart",
+            deviceId: "AZ3166",
+            property: "temperature",
+            lineColor: "#FF6384"
+          },
+          { type: "number", deviceId: "AZ3166", property: "humidity" }
+        ]
+      }
+    };
+
+    upgradeDashboard(settings);
+
+    const [lineChart, number] = settings.dashboard.tiles;
+    expect(lineChart.series).toEqual([
+      {
+        deviceId: "AZ3166",
+        property: "body.temperature",
+        color: "#FF6384",
+        label: ""
+      }
+    ]);
+    expect(lineChart).not.toHaveProperty("deviceId");
+    expect(lineChart).not.toHaveProperty("property");
+    expect(lineChart).not.toHaveProperty("lineColor");
+    expect(number).toEqual({
+      type: "number",
+      deviceId: "AZ3166",
+      property: "body.humidity"
+    });
+  });
+
+  it("adds time window and y-axis bounds defaults to line charts", () => {
+    const settings = {
+      version: 2,
+      dashboard: {
+        tiles: [{ type: "line-chart", series: [] }, { type: "sticker" }]
+      }
+    };
+
+    upgradeDashboard(settings);
+
+    expect(settings.dashboard.tiles).toEqual([
+      {
+        type: "line-chart",
+        series: [],
+        windowMode: "points",
+        pointCount: 20,
+        timeWindow: 10,
+        yMin: "",
+        yMax: ""
+      },
+      { type: "sticker" }
+    ]);
+  });
+
+  it("makes data properties read the message body", () => {
+    const settings = {
+      version: 3,
+      dashboard: {
+        tiles: [
+          { type: "number", property: "temperature" },
+          { type: "gauge", property: "sensor.values[0]" },
+          {
+            type: "line-chart",
+            series: [{ property: "max(values)" }, { property: "" }]
+          },
+          {
+            type: "pie-chart",
+            property: "status",
+            slices: [{ property: "power.kitchen" }, { property: "deviceId" }]
+          },
+          {
+            type: "twin",
+            reportedProperties: [{ property: "firmware.version" }]
+          }
+        ]
+      }
+    };
+
+    upgradeDashboard(settings);
+
+    expect(settings.dashboard.tiles).toEqual([
+      { type: "number", property: "body.temperature" },
+      { type: "gauge", property: "body.sensor.values[0]" },
+      {
+        type: "line-chart",
+        series: [{ property: "body | max(values)" }, { property: "" }]
+      },
+      {
+        type: "pie-chart",
+        property: "body.status",
+        slices: [{ property: "body.power.kitchen" }, { property: "deviceId" }]
+      },
+      {
+        type: "twin",
+        reportedProperties: [{ property: "firmware.version" }]
+      }
+    ]);
+  });
 });
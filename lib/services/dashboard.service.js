@@ -3,23 +3,108 @@ const debug = require("debug")("server");
 const fs = require("fs");
 const path = require("path");
 
+const DashboardBackupService = require("./dashboard-backups.service.js");
+const writeFileAtomically = require("../utilities/writeFileAtomically.js");
+
 const DASHBOARD_EDIT_MODE = process.env.EDIT_MODE || "unlocked";
 const EXCLUDED_DASHBOARD_MODES = ["locked", "demo"];
-const PROJECT_DASHBOARD_FILE_PATH = path.join(".data", "dashboard.json");
-const DASHBOARD_FILE_PATH = path.join(
+const DEFAULT_DASHBOARD_ID = "default";
+const PROJECT_DASHBOARDS_DIRECTORY_PATH = path.join(".data", "dashboards");
+const DASHBOARDS_DIRECTORY_PATH = path.join(
   __dirname,
   "../..",
-  PROJECT_DASHBOARD_FILE_PATH
+  PROJECT_DASHBOARDS_DIRECTORY_PATH
 );
 
+// Dashboard IDs end up in file names and URLs, so they’re limited to letters, digits, “-” and “_”.
+const DASHBOARD_ID_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+let listeners = [];
+// The updates that are in progress, by dashboard ID.
+const updates = new Map();
+
 module.exports = {
-  getDashboardSettings() {
+  DEFAULT_DASHBOARD_ID,
+
+  /**
+   * @param {string} dashboardId
+   * @returns {boolean}
+   */
+  isValidDashboardId(dashboardId) {
+    return DASHBOARD_ID_REGEX.test(dashboardId);
+  },
+
+  /**
+   * @returns {Promise<{ id: string, title: string }[]>} The stored dashboards, the default one first.
+   */
+  listDashboards() {
     return new Promise((resolve, reject) => {
-      fs.readFile(DASHBOARD_FILE_PATH, { encoding: "utf8" }, (error, data) => {
+      fs.readdir(DASHBOARDS_DIRECTORY_PATH, (error, fileNames) => {
+        if (error) {
+          const message = `Could not read the dashboards in “${PROJECT_DASHBOARDS_DIRECTORY_PATH}”.`;
+          reject(message);
+          return;
+        }
+
+        const dashboardIds = fileNames
+          .filter(fileName => path.extname(fileName) === ".json")
+          .map(fileName => path.basename(fileName, ".json"))
+          .filter(dashboardId => module.exports.isValidDashboardId(dashboardId))
+          .sort((a, b) => {
+            if (a === DEFAULT_DASHBOARD_ID || b === DEFAULT_DASHBOARD_ID) {
+              return a === DEFAULT_DASHBOARD_ID ? -1 : 1;
+            }
+            return a.localeCompare(b);
+          });
+
+        // A dashboard that can’t be read is still listed so that it can be deleted.
+        const dashboards = dashboardIds.map(dashboardId =>
+          module.exports
+            .getDashboardSettings(dashboardId)
+            .then(({ dashboard }) => ({
+              id: dashboardId,
+              title: dashboard.title || ""
+            }))
+            .catch(() => ({ id: dashboardId, title: "" }))
+        );
+
+        resolve(Promise.all(dashboards));
+      });
+    });
+  },
+
+  /**
+   * @param {string} dashboardId
+   * @returns {Promise<boolean>}
+   */
+  hasDashboard(dashboardId) {
+    return new Promise(resolve => {
+      if (!module.exports.isValidDashboardId(dashboardId)) {
+        resolve(false);
+        return;
+      }
+
+      fs.access(getDashboardFilePath(dashboardId), error => {
+        resolve(!error);
+      });
+    });
+  },
+
+  getDashboardSettings(dashboardId = DEFAULT_DASHBOARD_ID) {
+    return new Promise((resolve, reject) => {
+      if (!module.exports.isValidDashboardId(dashboardId)) {
+        reject(`“${dashboardId}” isn’t a valid dashboard ID.`);
+        return;
+      }
+
+      const filePath = getDashboardFilePath(dashboardId);
+      const projectFilePath = getProjectDashboardFilePath(dashboardId);
+
+      fs.readFile(filePath, { encoding: "utf8" }, (error, data) => {
         debug(data, error);
 
         if (error) {
-          const message = `Could not read from file “${PROJECT_DASHBOARD_FILE_PATH}”.`;
+          const message = `Could not read from file “${projectFilePath}”.`;
           reject(message);
         } else {
           try {
@@ -28,7 +113,7 @@ module.exports = {
 
             resolve(dashboardSettings);
           } catch (error) {
-            const message = `Could not parse the contents of “${PROJECT_DASHBOARD_FILE_PATH}” as JSON.`;
+            const message = `Could not parse the contents of “${projectFilePath}” as JSON.`;
             reject(message);
           }
         }
@@ -36,27 +121,288 @@ module.exports = {
     });
   },
 
-  saveDashboardSettings(dashboardSettings) {
+  /**
+   * @param {object} dashboardSettings
+   * @param {string} [dashboardId]
+   * @param {{ backUp: boolean }} [options] Whether to back up the previous version, which small
+   *   changes like moving a card don’t need.
+   * @returns {Promise<object>} The saved dashboard settings.
+   */
+  saveDashboardSettings(
+    dashboardSettings,
+    dashboardId = DEFAULT_DASHBOARD_ID,
+    { backUp = true } = {}
+  ) {
     return new Promise((resolve, reject) => {
       if (EXCLUDED_DASHBOARD_MODES.includes(DASHBOARD_EDIT_MODE)) {
         const message = `Can’t save dashboard in ${DASHBOARD_EDIT_MODE} mode.`;
         debug(message);
         reject(message);
+      } else if (!module.exports.isValidDashboardId(dashboardId)) {
+        reject(`“${dashboardId}” isn’t a valid dashboard ID.`);
       } else {
         const fileContents = JSON.stringify(dashboardSettings);
+        const filePath = getDashboardFilePath(dashboardId);
+        const projectFilePath = getProjectDashboardFilePath(dashboardId);
 
-        fs.writeFile(DASHBOARD_FILE_PATH, fileContents, "utf8", error => {
-          if (error) {
-            const message = `Could not write to “${PROJECT_DASHBOARD_FILE_PATH}”.`;
-            debug(message);
-            reject(message);
-          } else {
-            const message = "Dashboard successfully saved.";
-            debug(message);
-            resolve(dashboardSettings);
+        (backUp ? backUpDashboard(dashboardId) : Promise.resolve())
+          .then(() => writeFileAtomically(filePath, fileContents))
+          .then(
+            () => {
+              const message = "Dashboard successfully saved.";
+              debug(message);
+              listeners.forEach(listener =>
+                listener(dashboardId, dashboardSettings)
+              );
+              resolve(dashboardSettings);
+            },
+            () => {
+              const message = `Could not write to “${projectFilePath}”.`;
+              debug(message);
+              reject(message);
+            }
+          );
+      }
+    });
+  },
+
+  /**
+   * Changes a dashboard atomically. Updates of the same dashboard wait for each other, so that each
+   * one changes the dashboard that the previous one saved. Every update increases the revision of
+   * the dashboard.
+   *
+   * @param {string} dashboardId
+   * @param {Function} update Called with the dashboard settings, or `null` if the dashboard doesn’t
+   *   exist yet. Returns the dashboard settings to save, or `null` to leave the dashboard as it is.
+   * @param {{ backUp: boolean }} [options] As for `saveDashboardSettings`.
+   * @returns {Promise<object|null>} The saved dashboard settings, or `null` if nothing was saved.
+   */
+  updateDashboard(dashboardId, update, options) {
+    return queueUpdate(dashboardId, () =>
+      module.exports
+        .hasDashboard(dashboardId)
+        .then(exists =>
+          exists ? module.exports.getDashboardSettings(dashboardId) : null
+        )
+        .then(dashboardSettings => {
+          const updatedSettings = update(dashboardSettings);
+          if (updatedSettings === null) {
+            return null;
           }
+
+          const revision =
+            (dashboardSettings && dashboardSettings.revision) || 0;
+          updatedSettings.revision = revision + 1;
+          return module.exports.saveDashboardSettings(
+            updatedSettings,
+            dashboardId,
+            options
+          );
+        })
+    );
+  },
+
+  /**
+   * @param {Function} listener Called with the dashboard ID and the dashboard settings whenever a
+   *   dashboard was saved, or with `null` instead of the settings when it was deleted.
+   * @returns {Function} Removes the listener again.
+   */
+  onChange(listener) {
+    listeners.push(listener);
+
+    return () => {
+      listeners = listeners.filter(l => l !== listener);
+    };
+  },
+
+  /**
+   * Replaces a dashboard file that can’t be parsed, e.g. because a crash cut it short, with the
+   * newest backup that can. The broken file is kept next to it with the extension “.broken”.
+   *
+   * @param {string} dashboardId
+   * @returns {Promise<string|null>} The ID of the restored backup, or `null` if the dashboard
+   *   needed no recovery.
+   */
+  recoverDashboard(dashboardId) {
+    return new Promise((resolve, reject) => {
+      if (!module.exports.isValidDashboardId(dashboardId)) {
+        reject(`“${dashboardId}” isn’t a valid dashboard ID.`);
+        return;
+      }
+
+      const filePath = getDashboardFilePath(dashboardId);
+
+      fs.readFile(filePath, { encoding: "utf8" }, (error, data) => {
+        // A dashboard that can’t be read at all isn’t broken, it’s missing or inaccessible.
+        if (error || isDashboardFile(data)) {
+          resolve(null);
+          return;
+        }
+
+        fs.writeFile(`${filePath}.broken`, data, "utf8", () => {
+          resolve(
+            DashboardBackupService.listBackups(dashboardId).then(backups =>
+              restoreNewestBackup(dashboardId, backups)
+            )
+          );
         });
+      });
+    });
+  },
+
+  /**
+   * @param {string} dashboardId Any dashboard but the default one.
+   */
+  deleteDashboard(dashboardId) {
+    return new Promise((resolve, reject) => {
+      if (EXCLUDED_DASHBOARD_MODES.includes(DASHBOARD_EDIT_MODE)) {
+        const message = `Can’t delete dashboard in ${DASHBOARD_EDIT_MODE} mode.`;
+        debug(message);
+        reject(message);
+      } else if (dashboardId === DEFAULT_DASHBOARD_ID) {
+        reject("The default dashboard can’t be deleted.");
+      } else if (!module.exports.isValidDashboardId(dashboardId)) {
+        reject(`“${dashboardId}” isn’t a valid dashboard ID.`);
+      } else {
+        // Updates that are in progress finish first, so that they don’t bring the dashboard back.
+        // The last version is backed up, since the changes of its cards might not have been.
+        resolve(
+          queueUpdate(dashboardId, () =>
+            backUpDashboard(dashboardId).then(() =>
+              unlinkDashboard(dashboardId)
+            )
+          ).then(() => {
+            listeners.forEach(listener => listener(dashboardId, null));
+          })
+        );
       }
     });
   }
 };
+
+/**
+ * Runs a change of a dashboard after the changes of the same dashboard that are in progress.
+ *
+ * @param {string} dashboardId
+ * @param {Function} change Returns a promise.
+ * @returns {Promise} Settles the same as the promise of the change.
+ */
+function queueUpdate(dashboardId, change) {
+  const previousUpdate = updates.get(dashboardId) || Promise.resolve();
+  const currentUpdate = previousUpdate.catch(() => undefined).then(change);
+
+  updates.set(dashboardId, currentUpdate);
+  const forget = () => {
+    if (updates.get(dashboardId) === currentUpdate) {
+      updates.delete(dashboardId);
+    }
+  };
+  currentUpdate.then(forget, forget);
+
+  return currentUpdate;
+}
+
+/**
+ * @param {string} dashboardId
+ * @returns {Promise} Rejects with a message if the file couldn’t be deleted.
+ */
+function unlinkDashboard(dashboardId) {
+  return new Promise((resolve, reject) => {
+    fs.unlink(getDashboardFilePath(dashboardId), error => {
+      if (error) {
+        const projectFilePath = getProjectDashboardFilePath(dashboardId);
+        const message = `Could not delete “${projectFilePath}”.`;
+        debug(message);
+        reject(message);
+      } else {
+        debug(`Dashboard “${dashboardId}” deleted.`);
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Backs up the dashboard file before it’s replaced. A file that can’t be parsed isn’t worth
+ * keeping, and a backup that fails mustn’t keep the dashboard from being saved.
+ *
+ * @param {string} dashboardId
+ * @returns {Promise} Always resolves.
+ */
+function backUpDashboard(dashboardId) {
+  return new Promise(resolve => {
+    fs.readFile(
+      getDashboardFilePath(dashboardId),
+      { encoding: "utf8" },
+      (error, data) => {
+        if (error || !isDashboardFile(data)) {
+          resolve();
+          return;
+        }
+
+        DashboardBackupService.createBackup(dashboardId, data)
+          .catch(message => console.warn(message))
+          .then(() => resolve());
+      }
+    );
+  });
+}
+
+/**
+ * @param {string} dashboardId
+ * @param {{ id: string }[]} backups The backups to try, the newest first.
+ * @returns {Promise<string>} The ID of the restored backup.
+ */
+function restoreNewestBackup(dashboardId, backups) {
+  if (backups.length === 0) {
+    const projectFilePath = getProjectDashboardFilePath(dashboardId);
+    return Promise.reject(
+      `Could not parse the contents of “${projectFilePath}” and found no backup to restore.`
+    );
+  }
+
+  const [backup, ...olderBackups] = backups;
+
+  return DashboardBackupService.readBackup(dashboardId, backup.id).then(
+    dashboardSettings => {
+      if (!isDashboardSettings(dashboardSettings)) {
+        return restoreNewestBackup(dashboardId, olderBackups);
+      }
+
+      return writeFileAtomically(
+        getDashboardFilePath(dashboardId),
+        JSON.stringify(dashboardSettings)
+      ).then(() => backup.id);
+    },
+    () => restoreNewestBackup(dashboardId, olderBackups)
+  );
+}
+
+/**
+ * @param {string} data
+ * @returns {boolean} Whether the data is dashboard settings that `getDashboardSettings` can read.
+ */
+function isDashboardFile(data) {
+  try {
+    return isDashboardSettings(JSON.parse(data));
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDashboardSettings(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.dashboard === "object" &&
+    value.dashboard !== null
+  );
+}
+
+function getDashboardFilePath(dashboardId) {
+  return path.join(DASHBOARDS_DIRECTORY_PATH, `${dashboardId}.json`);
+}
+
+function getProjectDashboardFilePath(dashboardId) {
+  return path.join(PROJECT_DASHBOARDS_DIRECTORY_PATH, `${dashboardId}.json`);
+}
@@ -34,6 +34,34 @@ const mockDashboardSettings = {
   version: 1
 };
 
+// Saving reads the current file to back it up, then writes a temporary file and renames it.
+function mockSaving({ currentData, writeError } = {}) {
+  jest.spyOn(fs, "readFile").mockImplementation((_path, _options, callback) => {
+    if (currentData === undefined) {
+      callback({ code: "ENOENT" }, undefined);
+    } else {
+      callback(undefined, currentData);
+    }
+  });
+  jest
+    .spyOn(fs, "writeFile")
+    .mockImplementation((_path, _data, _options, callback) => {
+      callback(writeError);
+    });
+  jest.spyOn(fs, "rename").mockImplementation((_from, _to, callback) => {
+    callback(undefined);
+  });
+  jest.spyOn(fs, "unlink").mockImplementation((_path, callback) => {
+    callback(undefined);
+  });
+  jest.spyOn(fs, "mkdir").mockImplementation((_path, _options, callback) => {
+    callback(undefined);
+  });
+  jest.spyOn(fs, "readdir").mockImplementation((_path, callback) => {
+    callback(undefined, []);
+  });
+}
+
 describe("DashboardService", () => {
   let BACKUP_ENV = process.env;
 
@@ -47,6 +75,9 @@ describe("DashboardService", () => {
 
   afterEach(() => {
     process.env = BACKUP_ENV;
+
+    // `fs` is shared with the other test files, so its spies must not outlive these tests.
+    jest.restoreAllMocks();
   });
 
   test("can read dashboard settings", async () => {
@@ -92,11 +123,7 @@ describe("DashboardService", () => {
   });
 
   test("can save dashboard settings", async () => {
-    jest
-      .spyOn(fs, "writeFile")
-      .mockImplementation((_path, _data, _options, callback) => {
-        callback(undefined);
-      });
+    mockSaving();
 
     const dashboardSettings = await DashboardService.saveDashboardSettings(
       mockDashboardSettings
@@ -111,11 +138,7 @@ describe("DashboardService", () => {
 
     const NewDashboardServive = require("./dashboard.service.js");
     // Make sure we don’t actually write to the current “dashboard.json” file.
-    jest
-      .spyOn(fs, "writeFile")
-      .mockImplementation((_path, _data, _options, callback) => {
-        callback(undefined);
-      });
+    mockSaving();
 
     try {
       await NewDashboardServive.saveDashboardSettings(mockDashboardSettings);
@@ -125,12 +148,7 @@ describe("DashboardService", () => {
   });
 
   test("can’t save dashboard settings if fs.writeFile produces an error", async () => {
-    jest
-      .spyOn(fs, "writeFile")
-      .mockImplementation((_path, _data, _options, callback) => {
-        const error = {};
-        callback(error);
-      });
+    mockSaving({ writeError: {} });
 
     try {
       await DashboardService.saveDashboardSettings(mockDashboardSettings);
@@ -138,4 +156,373 @@ describe("DashboardService", () => {
       expect(error).toContain("Could not write to");
     }
   });
+
+  test("reads and writes each dashboard in its own file", async () => {
+    mockSaving();
+    fs.readFile.mockImplementation((_path, _options, callback) => {
+      callback(undefined, JSON.stringify(mockDashboardSettings));
+    });
+
+    await DashboardService.getDashboardSettings("lobby");
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby"
+    );
+
+    expect(fs.readFile.mock.calls[0][0]).toMatch(/dashboards[\\/]lobby\.json$/);
+    expect(fs.rename).toHaveBeenLastCalledWith(
+      expect.any(String),
+      expect.stringMatching(/dashboards[\\/]lobby\.json$/),
+      expect.any(Function)
+    );
+  });
+
+  test("tells listeners about saved dashboards", async () => {
+    mockSaving();
+    const listener = jest.fn();
+    const removeListener = DashboardService.onChange(listener);
+
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby"
+    );
+    removeListener();
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby"
+    );
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith("lobby", mockDashboardSettings);
+  });
+
+  test("doesn’t tell listeners about dashboards that couldn’t be saved", async () => {
+    mockSaving({ writeError: {} });
+    const listener = jest.fn();
+    const removeListener = DashboardService.onChange(listener);
+
+    await expect(
+      DashboardService.saveDashboardSettings(mockDashboardSettings, "lobby")
+    ).rejects.toContain("Could not write to");
+    removeListener();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test("updates dashboards one after the other and counts their revisions", async () => {
+    let storedSettings = { ...mockDashboardSettings, revision: 2 };
+    jest
+      .spyOn(DashboardService, "hasDashboard")
+      .mockImplementation(() => Promise.resolve(true));
+    jest
+      .spyOn(DashboardService, "getDashboardSettings")
+      .mockImplementation(() => Promise.resolve({ ...storedSettings }));
+    jest
+      .spyOn(DashboardService, "saveDashboardSettings")
+      .mockImplementation(settings => {
+        storedSettings = settings;
+        return Promise.resolve(settings);
+      });
+    const addTitle = title => dashboardSettings => ({
+      ...dashboardSettings,
+      titles: (dashboardSettings.titles || []).concat(title)
+    });
+
+    await Promise.all([
+      DashboardService.updateDashboard("lobby", addTitle("Lobby")),
+      DashboardService.updateDashboard("lobby", addTitle("Reception"))
+    ]);
+
+    expect(storedSettings.titles).toEqual(["Lobby", "Reception"]);
+    expect(storedSettings.revision).toBe(4);
+  });
+
+  test("leaves dashboards as they are if the update says so", async () => {
+    jest
+      .spyOn(DashboardService, "hasDashboard")
+      .mockImplementation(() => Promise.resolve(false));
+    jest.spyOn(DashboardService, "saveDashboardSettings");
+    const update = jest.fn(() => null);
+
+    const result = await DashboardService.updateDashboard("lobby", update);
+
+    expect(result).toBe(null);
+    expect(update).toHaveBeenCalledWith(null);
+    expect(DashboardService.saveDashboardSettings).not.toHaveBeenCalled();
+  });
+
+  test("writes dashboards to a temporary file and renames it", async () => {
+    mockSaving();
+
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby"
+    );
+
+    const [temporaryFilePath, fileContents] = fs.writeFile.mock.calls[0];
+    expect(temporaryFilePath).toMatch(/dashboards[\\/]lobby\.json\..+\.tmp$/);
+    expect(JSON.parse(fileContents)).toEqual(mockDashboardSettings);
+    expect(fs.rename).toHaveBeenCalledWith(
+      temporaryFilePath,
+      expect.stringMatching(/dashboards[\\/]lobby\.json$/),
+      expect.any(Function)
+    );
+  });
+
+  test("removes the temporary file if it can’t be renamed", async () => {
+    mockSaving();
+    fs.rename.mockImplementation((_from, _to, callback) => {
+      callback({ code: "EPERM" });
+    });
+
+    await expect(
+      DashboardService.saveDashboardSettings(mockDashboardSettings, "lobby")
+    ).rejects.toContain("Could not write to");
+    expect(fs.unlink).toHaveBeenCalledWith(
+      fs.writeFile.mock.calls[0][0],
+      expect.any(Function)
+    );
+  });
+
+  test("backs up the dashboard before saving it", async () => {
+    const currentData = JSON.stringify(mockDashboardSettings);
+    mockSaving({ currentData });
+
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby"
+    );
+
+    const [backupFilePath, backupData] = fs.writeFile.mock.calls[0];
+    expect(backupFilePath).toMatch(
+      /dashboards[\\/]backups[\\/]lobby[\\/][\dT-]+Z\.json\..+\.tmp$/
+    );
+    expect(backupData).toBe(currentData);
+    expect(fs.rename).toHaveBeenLastCalledWith(
+      expect.any(String),
+      expect.stringMatching(/dashboards[\\/]lobby\.json$/),
+      expect.any(Function)
+    );
+  });
+
+  test("doesn’t back up the dashboard if the save says so", async () => {
+    mockSaving({ currentData: JSON.stringify(mockDashboardSettings) });
+
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby",
+      { backUp: false }
+    );
+
+    expect(fs.readFile).not.toHaveBeenCalled();
+    expect(fs.writeFile).toHaveBeenCalledTimes(1);
+  });
+
+  test("doesn’t back up dashboard files that can’t be parsed", async () => {
+    mockSaving({ currentData: "{" });
+
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby"
+    );
+
+    expect(fs.writeFile).toHaveBeenCalledTimes(1);
+    expect(fs.mkdir).not.toHaveBeenCalled();
+  });
+
+  test("removes the oldest backups", async () => {
+    mockSaving({ currentData: JSON.stringify(mockDashboardSettings) });
+    const backupIds = [...Array(12).keys()].map(
+      day => `2020-03-${String(day + 1).padStart(2, "0")}T12-00-00-000Z`
+    );
+    fs.readdir.mockImplementation((_path, callback) => {
+      callback(
+        undefined,
+        backupIds.map(backupId => `${backupId}.json`)
+      );
+    });
+
+    await DashboardService.saveDashboardSettings(
+      mockDashboardSettings,
+      "lobby"
+    );
+
+    expect(fs.unlink.mock.calls.map(([filePath]) => filePath)).toEqual([
+      expect.stringContaining("2020-03-02T12-00-00-000Z.json"),
+      expect.stringContaining("2020-03-01T12-00-00-000Z.json")
+    ]);
+  });
+
+  test("recovers dashboard files that can’t be parsed from the newest good backup", async () => {
+    // What a crash in the middle of writing the file might leave behind.
+    const brokenData = JSON.stringify(mockDashboardSettings).slice(0, 40);
+    mockSaving();
+    fs.readdir.mockImplementation((_path, callback) => {
+      callback(undefined, [
+        "2020-03-01T12-00-00-000Z.json",
+        "2020-03-03T12-00-00-000Z.json",
+        "2020-03-02T12-00-00-000Z.json"
+      ]);
+    });
+    fs.readFile.mockImplementation((filePath, _options, callback) => {
+      if (filePath.includes("2020-03-03")) {
+        callback(undefined, "");
+      } else if (filePath.includes("2020-03-02")) {
+        callback(undefined, JSON.stringify(mockDashboardSettings));
+      } else {
+        callback(undefined, brokenData);
+      }
+    });
+
+    const backupId = await DashboardService.recoverDashboard("lobby");
+
+    expect(backupId).toBe("2020-03-02T12-00-00-000Z");
+    expect(fs.writeFile).toHaveBeenCalledWith(
+      expect.stringMatching(/lobby\.json\.broken$/),
+      brokenData,
+      "utf8",
+      expect.any(Function)
+    );
+    const [temporaryFilePath, fileContents] = fs.writeFile.mock.calls[1];
+    expect(JSON.parse(fileContents)).toEqual(mockDashboardSettings);
+    expect(fs.rename).toHaveBeenCalledWith(
+      temporaryFilePath,
+      expect.stringMatching(/dashboards[\\/]lobby\.json$/),
+      expect.any(Function)
+    );
+  });
+
+  test("doesn’t recover dashboard files that can be parsed", async () => {
+    mockSaving({ currentData: JSON.stringify(mockDashboardSettings) });
+
+    await expect(DashboardService.recoverDashboard("lobby")).resolves.toBe(
+      null
+    );
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test("can’t recover dashboard files without a good backup", async () => {
+    mockSaving({ currentData: "{" });
+
+    await expect(DashboardService.recoverDashboard("lobby")).rejects.toContain(
+      "found no backup to restore"
+    );
+  });
+
+  test("can’t read or write dashboards with invalid IDs", async () => {
+    jest.spyOn(fs, "readFile");
+    jest.spyOn(fs, "writeFile");
+
+    await expect(
+      DashboardService.getDashboardSettings("../dashboard")
+    ).rejects.toContain("isn’t a valid dashboard ID");
+    await expect(
+      DashboardService.saveDashboardSettings(mockDashboardSettings, "a/b")
+    ).rejects.toContain("isn’t a valid dashboard ID");
+
+    expect(fs.readFile).not.toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test("lists the dashboards with the default one first", async () => {
+    jest.spyOn(fs, "readdir").mockImplementation((_path, callback) => {
+      callback(undefined, ["lobby.json", "default.json", "notes.txt"]);
+    });
+    jest
+      .spyOn(fs, "readFile")
+      .mockImplementation((filePath, _options, callback) => {
+        const title = filePath.includes("lobby") ? "Lobby" : "Main";
+        callback(
+          undefined,
+          JSON.stringify({ dashboard: { title, tiles: [] }, version: 3 })
+        );
+      });
+
+    const dashboards = await DashboardService.listDashboards();
+
+    expect(dashboards).toEqual([
+      { id: "default", title: "Main" },
+      { id: "lobby", title: "Lobby" }
+    ]);
+  });
+
+  test("lists dashboards that can’t be read without a title", async () => {
+    jest.spyOn(fs, "readdir").mockImplementation((_path, callback) => {
+      callback(undefined, ["broken.json"]);
+    });
+    jest
+      .spyOn(fs, "readFile")
+      .mockImplementation((_path, _options, callback) => {
+        callback(undefined, "{");
+      });
+
+    const dashboards = await DashboardService.listDashboards();
+
+    expect(dashboards).toEqual([{ id: "broken", title: "" }]);
+  });
+
+  test("can delete dashboards", async () => {
+    mockSaving({ currentData: JSON.stringify(mockDashboardSettings) });
+
+    await DashboardService.deleteDashboard("lobby");
+
+    expect(fs.writeFile.mock.calls[0][0]).toMatch(
+      /dashboards[\\/]backups[\\/]lobby[\\/]/
+    );
+    expect(fs.unlink.mock.calls[0][0]).toMatch(/dashboards[\\/]lobby\.json$/);
+  });
+
+  test("deletes dashboards after their updates and tells listeners", async () => {
+    const events = [];
+    let finishSaving;
+    jest.spyOn(DashboardService, "hasDashboard").mockResolvedValue(false);
+    jest.spyOn(DashboardService, "saveDashboardSettings").mockImplementation(
+      dashboardSettings =>
+        new Promise(resolve => {
+          finishSaving = () => {
+            events.push("saved");
+            resolve(dashboardSettings);
+          };
+        })
+    );
+    mockSaving();
+    fs.unlink.mockImplementation((_path, callback) => {
+      events.push("deleted");
+      callback(undefined);
+    });
+    const listener = jest.fn();
+    const removeListener = DashboardService.onChange(listener);
+
+    const update = DashboardService.updateDashboard("lobby", () => ({
+      ...mockDashboardSettings
+    }));
+    const deletion = DashboardService.deleteDashboard("lobby");
+    await new Promise(resolve => setImmediate(resolve));
+    finishSaving();
+    await Promise.all([update, deletion]);
+    removeListener();
+
+    expect(events).toEqual(["saved", "deleted"]);
+    expect(listener).toHaveBeenCalledWith("lobby", null);
+  });
+
+  test("can’t delete the default dashboard", async () => {
+    jest.spyOn(fs, "unlink");
+
+    await expect(DashboardService.deleteDashboard("default")).rejects.toBe(
+      "The default dashboard can’t be deleted."
+    );
+    expect(fs.unlink).not.toHaveBeenCalled();
+  });
+
+  test("can’t delete dashboards in locked mode", async () => {
+    process.env.EDIT_MODE = "locked";
+    const LockedDashboardService = require("./dashboard.service.js");
+    jest.spyOn(fs, "unlink");
+
+    await expect(LockedDashboardService.deleteDashboard("lobby")).rejects.toBe(
+      "Can’t delete dashboard in locked mode."
+    );
+    expect(fs.unlink).not.toHaveBeenCalled();
+  });
 });
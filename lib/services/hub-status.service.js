@@ -0,0 +1,75 @@
+const debug = require("debug")("server");
+
+/**
+ * - connecting: A connection to the hub is being set up.
+ * - connected: Telemetry is being received.
+ * - degraded: The receivers reported errors but are still trying to receive.
+ * - failed: Connecting failed or the receivers gave up. Another attempt is made at `retryAt`.
+ */
+const STATES = ["connecting", "connected", "degraded", "failed"];
+
+let status = createStatus("connecting");
+let listeners = [];
+
+module.exports = {
+  STATES,
+
+  /**
+   * @returns {{ state: string, message: string, since: string, retryAt: string|null }}
+   */
+  getStatus() {
+    return { ...status };
+  },
+
+  /**
+   * @param {string} state One of `STATES`.
+   * @param {object} [details]
+   * @param {string} [details.message] What went wrong, if anything.
+   * @param {Date} [details.retryAt] When the next connection attempt is made.
+   */
+  setStatus(state, { message = "", retryAt = null } = {}) {
+    if (!STATES.includes(state)) {
+      throw new Error(`Unknown hub state “${state}”.`);
+    }
+
+    if (
+      state === status.state &&
+      message === status.message &&
+      retryAt === null &&
+      status.retryAt === null
+    ) {
+      return;
+    }
+
+    status = createStatus(state, message, retryAt);
+    debug(`LOG: The hub is ${state}. ${message}`);
+
+    listeners.forEach(listener => listener(module.exports.getStatus()));
+  },
+
+  /**
+   * @param {Function} listener Called with the new status whenever it changes.
+   * @returns {Function} Removes the listener again.
+   */
+  onChange(listener) {
+    listeners.push(listener);
+
+    return () => {
+      listeners = listeners.filter(l => l !== listener);
+    };
+  },
+
+  reset() {
+    status = createStatus("connecting");
+    listeners = [];
+  }
+};
+
+function createStatus(state, message = "", retryAt = null) {
+  return {
+    state,
+    message,
+    since: new Date().toISOString(),
+    retryAt: retryAt !== null ? retryAt.toISOString() : null
+  };
+}
@@ -0,0 +1,60 @@
+const HubStatusService = require("./hub-status.service.js");
+
+describe("HubStatusService", () => {
+  beforeEach(() => {
+    HubStatusService.reset();
+  });
+
+  test("starts out connecting", () => {
+    expect(HubStatusService.getStatus()).toMatchObject({
+      state: "connecting",
+      message: "",
+      retryAt: null
+    });
+  });
+
+  test("notifies listeners of changes", () => {
+    const listener = jest.fn();
+    HubStatusService.onChange(listener);
+
+    HubStatusService.setStatus("failed", {
+      message: "Authentication was not successful.",
+      retryAt: new Date("2020-03-01T12:00:30.000Z")
+    });
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({
+        state: "failed",
+        message: "Authentication was not successful.",
+        retryAt: "2020-03-01T12:00:30.000Z"
+      })
+    );
+    expect(HubStatusService.getStatus().state).toBe("failed");
+  });
+
+  test("doesn’t notify listeners if nothing changed", () => {
+    const listener = jest.fn();
+    HubStatusService.setStatus("connected");
+    HubStatusService.onChange(listener);
+
+    HubStatusService.setStatus("connected");
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test("listeners can be removed", () => {
+    const listener = jest.fn();
+    const removeListener = HubStatusService.onChange(listener);
+
+    removeListener();
+    HubStatusService.setStatus("connected");
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test("rejects unknown states", () => {
+    expect(() => HubStatusService.setStatus("sleepy")).toThrow(
+      "Unknown hub state"
+    );
+  });
+});
@@ -12,9 +12,49 @@ module.exports = {
     });
   },
 
+  /**
+   * Lists the modules of the IoT Edge devices. Other devices can’t have modules, so they aren’t
+   * asked for any.
+   *
+   * @returns {Promise<Object<string, string[]>>} The module IDs by device ID, e.g.
+   *   `{ "edge-gateway": ["$edgeAgent", "$edgeHub", "sensor"] }`.
+   */
+  getDeviceModules(iotHubService) {
+    return new Promise((resolve, reject) => {
+      iotHubService.listDevices((error, deviceList) => {
+        if (error) {
+          const message = "Failed to list the devices.";
+          debug(`ERROR: ${message} ${error.toString()}`);
+
+          reject(message);
+          return;
+        }
+
+        const edgeDeviceIds = deviceList
+          .filter(device => device.capabilities && device.capabilities.iotEdge)
+          .map(device => device.deviceId);
+
+        resolve(
+          Promise.all(
+            edgeDeviceIds.map(deviceId => getModuleIds(iotHubService, deviceId))
+          ).then(moduleIdLists => {
+            const deviceModules = {};
+            edgeDeviceIds.forEach((deviceId, index) => {
+              deviceModules[deviceId] = moduleIdLists[index];
+            });
+            return deviceModules;
+          })
+        );
+      });
+    });
+  },
+
+  /**
+   * Calls a direct method of a device, or of one of its IoT Edge modules if a module ID is given.
+   */
   callDeviceMethod(
     iotHubService,
-    { deviceId, deviceMethodName, deviceMethodPayload }
+    { deviceId, moduleId, deviceMethodName, deviceMethodPayload }
   ) {
     return new Promise((resolve, reject) => {
       let payload;
@@ -41,17 +81,20 @@ module.exports = {
         timeoutInSeconds: 30
       };
 
-      iotHubService.callDeviceMethod(deviceId, methodParams, function(
-        error,
-        result
-      ) {
-        if (error) {
+      const target = moduleId ? `${deviceId}/${moduleId}` : deviceId;
+      const done = function(error, result) {
+        // Devices answer with an HTTP-like status, so a method can fail without an error.
+        if (error || (result && result.status >= 400)) {
           const message = `Failed to invoke method ${deviceMethodName}.`;
-          debug(`ERROR: ${message} ${error.toString()}`);
+          debug(
+            `ERROR: ${message} ${
+              error ? error.toString() : JSON.stringify(result.payload)
+            }`
+          );
 
           reject(message);
         } else {
-          const message = `Successfully invoked method ${deviceMethodName} on ${deviceId}.`;
+          const message = `Successfully invoked method ${deviceMethodName} on ${target}.`;
           debug(`LOG: ${message}`);
           debug(JSON.stringify(result, null, 2));
 
@@ -59,7 +102,13 @@ module.exports = {
             data: { message }
           });
         }
-      });
+      };
+
+      if (moduleId) {
+        iotHubService.callDeviceMethod(deviceId, moduleId, methodParams, done);
+      } else {
+        iotHubService.callDeviceMethod(deviceId, methodParams, done);
+      }
     });
   },
 
@@ -100,5 +149,108 @@ module.exports = {
         }
       );
     });
+  },
+
+  getDeviceTwin(iotHubService, { deviceId }) {
+    return new Promise((resolve, reject) => {
+      iotHubService.getTwin(deviceId, function(error, twin) {
+        if (error) {
+          const message = `Failed to get the device twin of ${deviceId}.`;
+          debug(`ERROR: ${message} ${error.toString()}`);
+
+          reject(message);
+        } else {
+          debug(`LOG: Got the device twin of ${deviceId}.`);
+
+          resolve(getTwinData(twin));
+        }
+      });
+    });
+  },
+
+  /**
+   * Patches the desired properties of a device twin. Properties set to `null` are removed.
+   *
+   * The etag is the one of the twin the patch is based on. Without one (or with `*`), the patch is
+   * applied even if the twin was changed in the meantime.
+   *
+   * @returns {Promise<object|null>} The updated twin, or `null` if the twin was changed since the
+   *   etag.
+   */
+  updateDesiredProperties(
+    iotHubService,
+    { deviceId, desiredProperties, etag }
+  ) {
+    return new Promise((resolve, reject) => {
+      if (
+        desiredProperties === null ||
+        typeof desiredProperties !== "object" ||
+        Array.isArray(desiredProperties)
+      ) {
+        const message = "The desired properties must be a JSON object.";
+        debug(`ERROR: ${message}`);
+
+        reject(message);
+        return;
+      }
+
+      const patch = { properties: { desired: desiredProperties } };
+
+      iotHubService.updateTwin(deviceId, patch, etag || "*", function(
+        error,
+        twin
+      ) {
+        if (error && error.name === "PreconditionFailedError") {
+          debug(`LOG: The twin of ${deviceId} was changed in the meantime.`);
+
+          resolve(null);
+        } else if (error) {
+          const message = `Failed to update the desired properties of ${deviceId}.`;
+          debug(`ERROR: ${message} ${error.toString()}`);
+
+          reject(message);
+        } else {
+          debug(`LOG: Updated the desired properties of ${deviceId}.`);
+
+          resolve(getTwinData(twin));
+        }
+      });
+    });
   }
 };
+
+/**
+ * @returns {Promise<string[]>} The IDs of the device’s modules, including the IoT Edge runtime’s own
+ *   `$edgeAgent` and `$edgeHub`.
+ */
+function getModuleIds(iotHubService, deviceId) {
+  return new Promise((resolve, reject) => {
+    iotHubService.listModules(deviceId, function(error, modules) {
+      if (error) {
+        const message = `Failed to list the modules of ${deviceId}.`;
+        debug(`ERROR: ${message} ${error.toString()}`);
+
+        reject(message);
+      } else {
+        resolve(modules.map(module => module.moduleId));
+      }
+    });
+  });
+}
+
+/**
+ * The SDK’s twin objects hold a reference to the registry, so only the plain twin data is passed on.
+ *
+ * @returns {{ deviceId: string, etag: string, tags: object, properties: { desired: object, reported: object } }}
+ */
+function getTwinData(twin) {
+  return {
+    deviceId: twin.deviceId,
+    etag: twin.etag,
+    tags: twin.tags || {},
+    properties: {
+      desired: (twin.properties && twin.properties.desired) || {},
+      reported: (twin.properties && twin.properties.reported) || {}
+    }
+  };
+}
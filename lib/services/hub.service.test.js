@@ -25,6 +25,47 @@ describe("HubService", () => {
     expect(deviceIds).toEqual(mockDeviceIds);
   });
 
+  test("lists the modules of IoT Edge devices", async () => {
+    const iotHubService = {
+      listDevices: jest.fn().mockImplementation(callback => {
+        callback(undefined, [
+          { deviceId: "AZ3166", capabilities: { iotEdge: false } },
+          { deviceId: "edge-gateway", capabilities: { iotEdge: true } }
+        ]);
+      }),
+      listModules: jest.fn().mockImplementation((deviceId, callback) => {
+        callback(undefined, [
+          { deviceId, moduleId: "$edgeAgent" },
+          { deviceId, moduleId: "tempSensor" }
+        ]);
+      })
+    };
+
+    const deviceModules = await HubService.getDeviceModules(iotHubService);
+
+    expect(deviceModules).toEqual({
+      "edge-gateway": ["$edgeAgent", "tempSensor"]
+    });
+    expect(iotHubService.listModules).toHaveBeenCalledTimes(1);
+  });
+
+  test("can’t list modules if hub service produces an error", async () => {
+    const iotHubService = {
+      listDevices: jest.fn().mockImplementation(callback => {
+        callback(undefined, [
+          { deviceId: "edge-gateway", capabilities: { iotEdge: true } }
+        ]);
+      }),
+      listModules: jest.fn().mockImplementation((_deviceId, callback) => {
+        callback(new Error("Unauthorized"));
+      })
+    };
+
+    await expect(HubService.getDeviceModules(iotHubService)).rejects.toBe(
+      "Failed to list the modules of edge-gateway."
+    );
+  });
+
   test("can call device method with valid stringified JSON payload", async () => {
     const iotHubService = {
       callDeviceMethod: jest
@@ -125,6 +166,60 @@ describe("HubService", () => {
     }
   });
 
+  test("can’t call device method if the device answers with an error status", async () => {
+    const iotHubService = {
+      callDeviceMethod: jest
+        .fn()
+        .mockImplementation((_deviceId, _methodParams, callback) => {
+          const error = undefined;
+          const result = {
+            status: 404,
+            payload: { message: "Unknown method" }
+          };
+          callback(error, result);
+        })
+    };
+
+    const deviceData = {
+      deviceId: "AZ3166",
+      deviceMethodName: "dance",
+      deviceMethodPayload: ""
+    };
+
+    await expect(
+      HubService.callDeviceMethod(iotHubService, deviceData)
+    ).rejects.toBe("Failed to invoke method dance.");
+  });
+
+  test("can call the method of a module", async () => {
+    const iotHubService = {
+      callDeviceMethod: jest
+        .fn()
+        .mockImplementation((_deviceId, _moduleId, _methodParams, callback) => {
+          callback(undefined, { status: 200 });
+        })
+    };
+
+    const result = await HubService.callDeviceMethod(iotHubService, {
+      deviceId: "edge-gateway",
+      moduleId: "tempSensor",
+      deviceMethodName: "stop",
+      deviceMethodPayload: ""
+    });
+
+    expect(iotHubService.callDeviceMethod).toHaveBeenCalledWith(
+      "edge-gateway",
+      "tempSensor",
+      { methodName: "stop", payload: {}, timeoutInSeconds: 30 },
+      expect.any(Function)
+    );
+    expect(result).toEqual({
+      data: {
+        message: "Successfully invoked method stop on edge-gateway/tempSensor."
+      }
+    });
+  });
+
   test("can call device message with valid stringified JSON payload", async () => {
     const iotHubService = {
       callDeviceMessage: jest
@@ -224,4 +319,144 @@ describe("HubService", () => {
       expect(error).toBe("Failed to queue message.");
     }
   });
+
+  test("can get a device twin", async () => {
+    const iotHubService = {
+      getTwin: jest.fn().mockImplementation((_deviceId, callback) => {
+        const error = undefined;
+        callback(error, {
+          deviceId: "AZ3166",
+          etag: "AAAAAAAAAAE=",
+          tags: {},
+          properties: {
+            desired: { interval: 1000 },
+            reported: { interval: 500 }
+          },
+          _registry: {}
+        });
+      })
+    };
+
+    const twin = await HubService.getDeviceTwin(iotHubService, {
+      deviceId: "AZ3166"
+    });
+    expect(twin).toEqual({
+      deviceId: "AZ3166",
+      etag: "AAAAAAAAAAE=",
+      tags: {},
+      properties: {
+        desired: { interval: 1000 },
+        reported: { interval: 500 }
+      }
+    });
+  });
+
+  test("can’t get a device twin if hub service produces an error", async () => {
+    const iotHubService = {
+      getTwin: jest.fn().mockImplementation((_deviceId, callback) => {
+        callback(new Error("Device not found"));
+      })
+    };
+
+    await expect(
+      HubService.getDeviceTwin(iotHubService, { deviceId: "AZ3166" })
+    ).rejects.toBe("Failed to get the device twin of AZ3166.");
+  });
+
+  test("can update desired properties", async () => {
+    const iotHubService = {
+      updateTwin: jest
+        .fn()
+        .mockImplementation((deviceId, patch, _etag, callback) => {
+          const error = undefined;
+          callback(error, {
+            deviceId,
+            etag: "AAAAAAAAAAI=",
+            properties: patch.properties
+          });
+        })
+    };
+
+    const twin = await HubService.updateDesiredProperties(iotHubService, {
+      deviceId: "AZ3166",
+      desiredProperties: { interval: 2000 },
+      etag: "AAAAAAAAAAE="
+    });
+
+    expect(iotHubService.updateTwin).toHaveBeenCalledWith(
+      "AZ3166",
+      { properties: { desired: { interval: 2000 } } },
+      "AAAAAAAAAAE=",
+      expect.any(Function)
+    );
+    expect(twin.properties.desired).toEqual({ interval: 2000 });
+  });
+
+  test("updates desired properties regardless of the twin’s version if no etag is given", async () => {
+    const iotHubService = {
+      updateTwin: jest
+        .fn()
+        .mockImplementation((deviceId, _patch, _etag, callback) => {
+          callback(undefined, { deviceId });
+        })
+    };
+
+    await HubService.updateDesiredProperties(iotHubService, {
+      deviceId: "AZ3166",
+      desiredProperties: { interval: 2000 }
+    });
+
+    expect(iotHubService.updateTwin.mock.calls[0][2]).toBe("*");
+  });
+
+  test("can’t update desired properties with something other than an object", async () => {
+    const iotHubService = {
+      updateTwin: jest.fn()
+    };
+
+    await expect(
+      HubService.updateDesiredProperties(iotHubService, {
+        deviceId: "AZ3166",
+        desiredProperties: [1, 2]
+      })
+    ).rejects.toBe("The desired properties must be a JSON object.");
+    expect(iotHubService.updateTwin).not.toHaveBeenCalled();
+  });
+
+  test("doesn’t update desired properties if the twin was changed since its etag", async () => {
+    const iotHubService = {
+      updateTwin: jest
+        .fn()
+        .mockImplementation((_deviceId, _patch, _etag, callback) => {
+          const error = new Error("Precondition failed");
+          error.name = "PreconditionFailedError";
+          callback(error);
+        })
+    };
+
+    const twin = await HubService.updateDesiredProperties(iotHubService, {
+      deviceId: "AZ3166",
+      desiredProperties: { interval: 2000 },
+      etag: "AAAAAAAAAAE="
+    });
+
+    expect(twin).toBeNull();
+  });
+
+  test("can’t update desired properties if hub service produces an error", async () => {
+    const iotHubService = {
+      updateTwin: jest
+        .fn()
+        .mockImplementation((_deviceId, _patch, _etag, callback) => {
+          callback(new Error("Precondition failed"));
+        })
+    };
+
+    await expect(
+      HubService.updateDesiredProperties(iotHubService, {
+        deviceId: "AZ3166",
+        desiredProperties: { interval: 2000 }
+      })
+    ).rejects.toBe("Failed to update the desired properties of AZ3166.");
+  });
 });
@@ -0,0 +1,254 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { isValidRole } = require("../roles.js");
+const writeFileAtomically = require("../utilities/writeFileAtomically.js");
+
+const PROJECT_USERS_FILE_PATH = path.join(".data", "users.json");
+const USERS_FILE_PATH =
+  process.env.USERS_FILE ||
+  path.join(__dirname, "../..", PROJECT_USERS_FILE_PATH);
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Users with passwords and API tokens, stored in `.data/users.json` or the file that `USERS_FILE`
+ * points to:
+ *
+ * ```json
+ * {
+ *   "users": [{ "name": "ada", "role": "editor", "passwordHash": "scrypt:…:…" }],
+ *   "tokens": [{ "name": "build-server", "role": "operator", "tokenHash": "sha256:…" }]
+ * }
+ * ```
+ *
+ * Only hashes are stored, so neither passwords nor tokens can be read from the file.
+ */
+module.exports = {
+  /**
+   * @param {string} name
+   * @param {string} password
+   * @returns {Promise<{ name: string, role: string }|null>} The user, or `null` if there’s no user
+   *   with this name and password.
+   */
+  verifyPassword(name, password) {
+    return readUsersFile().then(({ users }) => {
+      const user = users.find(user => user.name === name);
+      if (user === undefined) {
+        return null;
+      }
+
+      return verifyPasswordHash(password, user.passwordHash).then(isValid =>
+        isValid ? { name: user.name, role: user.role } : null
+      );
+    });
+  },
+
+  /**
+   * @param {string} token
+   * @returns {Promise<{ name: string, role: string }|null>} Who the token was created for, or
+   *   `null` if there’s no such token.
+   */
+  verifyToken(token) {
+    return readUsersFile().then(({ tokens }) => {
+      const tokenHash = hashToken(token);
+      const match = tokens.find(({ tokenHash: storedHash }) =>
+        isEqualHash(tokenHash, storedHash)
+      );
+
+      return match ? { name: match.name, role: match.role } : null;
+    });
+  },
+
+  /**
+   * @returns {Promise<{ users: object[], tokens: object[] }>} The names and roles of the users and
+   *   tokens, without their hashes.
+   */
+  listUsers() {
+    return readUsersFile().then(({ users, tokens }) => ({
+      users: users.map(({ name, role }) => ({ name, role })),
+      tokens: tokens.map(({ name, role }) => ({ name, role }))
+    }));
+  },
+
+  /**
+   * Adds a user, or replaces the password and role of the user with this name.
+   *
+   * @param {string} name
+   * @param {string} password
+   * @param {string} role
+   * @returns {Promise}
+   */
+  addUser(name, password, role) {
+    if (!isValidRole(role)) {
+      return Promise.reject(`“${role}” isn’t a role.`);
+    }
+
+    return Promise.all([readUsersFile(), hashPassword(password)]).then(
+      ([usersFile, passwordHash]) => {
+        const users = usersFile.users.filter(user => user.name !== name);
+        users.push({ name, role, passwordHash });
+        return writeUsersFile({ ...usersFile, users });
+      }
+    );
+  },
+
+  /**
+   * Creates an API token, or replaces the token with this name.
+   *
+   * @param {string} name What the token is for, e.g. “build-server”.
+   * @param {string} role
+   * @returns {Promise<string>} The token, which can’t be looked up later.
+   */
+  addToken(name, role) {
+    if (!isValidRole(role)) {
+      return Promise.reject(`“${role}” isn’t a role.`);
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+
+    return readUsersFile().then(usersFile => {
+      const tokens = usersFile.tokens.filter(token => token.name !== name);
+      tokens.push({ name, role, tokenHash: hashToken(token) });
+      return writeUsersFile({ ...usersFile, tokens }).then(() => token);
+    });
+  },
+
+  /**
+   * Removes the user and the token with this name.
+   *
+   * @param {string} name
+   * @returns {Promise<boolean>} Whether there was something to remove.
+   */
+  remove(name) {
+    return readUsersFile().then(usersFile => {
+      const users = usersFile.users.filter(user => user.name !== name);
+      const tokens = usersFile.tokens.filter(token => token.name !== name);
+      const removedCount =
+        usersFile.users.length -
+        users.length +
+        usersFile.tokens.length -
+        tokens.length;
+
+      if (removedCount === 0) {
+        return false;
+      }
+
+      return writeUsersFile({ ...usersFile, users, tokens }).then(() => true);
+    });
+  },
+
+  hashPassword
+};
+
+/**
+ * @returns {Promise<{ users: object[], tokens: object[] }>} The contents of the users file, which
+ *   is read every time so that changes apply without restarting the server.
+ */
+function readUsersFile() {
+  return new Promise((resolve, reject) => {
+    fs.readFile(USERS_FILE_PATH, { encoding: "utf8" }, (error, data) => {
+      if (error) {
+        if (error.code === "ENOENT") {
+          resolve({ users: [], tokens: [] });
+        } else {
+          reject(`Could not read from file “${getProjectUsersFilePath()}”.`);
+        }
+        return;
+      }
+
+      try {
+        const usersFile = JSON.parse(data);
+        resolve({
+          ...usersFile,
+          users: Array.isArray(usersFile.users) ? usersFile.users : [],
+          tokens: Array.isArray(usersFile.tokens) ? usersFile.tokens : []
+        });
+      } catch (error) {
+        reject(
+          `Could not parse the contents of “${getProjectUsersFilePath()}” as JSON.`
+        );
+      }
+    });
+  });
+}
+
+function writeUsersFile(usersFile) {
+  return new Promise((resolve, reject) => {
+    fs.mkdir(path.dirname(USERS_FILE_PATH), { recursive: true }, () => {
+      writeFileAtomically(
+        USERS_FILE_PATH,
+        JSON.stringify(usersFile, null, 2)
+      ).then(resolve, () =>
+        reject(`Could not write to “${getProjectUsersFilePath()}”.`)
+      );
+    });
+  });
+}
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} The salted hash of the password, e.g. `scrypt:<salt>:<hash>`.
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      if (error) {
+        reject("Could not hash the password.");
+      } else {
+        resolve(`scrypt:${salt}:${key.toString("hex")}`);
+      }
+    });
+  });
+}
+
+/**
+ * @param {string} password
+ * @param {string} passwordHash
+ * @returns {Promise<boolean>}
+ */
+function verifyPasswordHash(password, passwordHash) {
+  const [algorithm, salt, hash] = String(passwordHash).split(":");
+  if (algorithm !== "scrypt" || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise(resolve => {
+    crypto.scrypt(String(password), salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      resolve(!error && isEqualHash(key.toString("hex"), hash));
+    });
+  });
+}
+
+/**
+ * Tokens are long and random, so unlike passwords they need neither salt nor a slow hash.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(String(token))
+    .digest("hex");
+  return `sha256:${hash}`;
+}
+
+// Compares in constant time, so that the time it takes doesn’t tell how much of a hash is right.
+function isEqualHash(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+function getProjectUsersFilePath() {
+  return process.env.USERS_FILE || PROJECT_USERS_FILE_PATH;
+}
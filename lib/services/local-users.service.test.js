@@ -0,0 +1,91 @@
+const fs = require("fs");
+
+const LocalUsersService = require("./local-users.service.js");
+
+describe("LocalUsersService", () => {
+  let usersFile;
+
+  // Keeps the users file in memory.
+  beforeEach(() => {
+    usersFile = undefined;
+
+    jest
+      .spyOn(fs, "readFile")
+      .mockImplementation((_path, _options, callback) => {
+        if (usersFile === undefined) {
+          callback({ code: "ENOENT" });
+        } else {
+          callback(undefined, usersFile);
+        }
+      });
+    jest.spyOn(fs, "mkdir").mockImplementation((_path, _options, callback) => {
+      callback();
+    });
+    jest
+      .spyOn(fs, "writeFile")
+      .mockImplementation((_path, data, _options, callback) => {
+        usersFile = data;
+        callback();
+      });
+    jest.spyOn(fs, "rename").mockImplementation((_from, _to, callback) => {
+      callback();
+    });
+  });
+
+  // `fs` is shared with the other test files, so its spies must not outlive these tests.
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("has no users without a users file", async () => {
+    await expect(LocalUsersService.listUsers()).resolves.toEqual({
+      users: [],
+      tokens: []
+    });
+    await expect(
+      LocalUsersService.verifyPassword("ada", "secret")
+    ).resolves.toBe(null);
+  });
+
+  test("verifies the passwords of users", async () => {
+    await LocalUsersService.addUser("ada", "secret", "editor");
+
+    await expect(
+      LocalUsersService.verifyPassword("ada", "secret")
+    ).resolves.toEqual({ name: "ada", role: "editor" });
+    await expect(
+      LocalUsersService.verifyPassword("ada", "guess")
+    ).resolves.toBe(null);
+    expect(usersFile).not.toContain("secret");
+  });
+
+  test("verifies API tokens", async () => {
+    const token = await LocalUsersService.addToken("build-server", "operator");
+
+    await expect(LocalUsersService.verifyToken(token)).resolves.toEqual({
+      name: "build-server",
+      role: "operator"
+    });
+    await expect(LocalUsersService.verifyToken("guess")).resolves.toBe(null);
+    expect(usersFile).not.toContain(token);
+  });
+
+  test("replaces users with the same name and removes them", async () => {
+    await LocalUsersService.addUser("ada", "secret", "editor");
+    await LocalUsersService.addUser("ada", "secret", "viewer");
+
+    await expect(LocalUsersService.listUsers()).resolves.toEqual({
+      users: [{ name: "ada", role: "viewer" }],
+      tokens: []
+    });
+
+    await expect(LocalUsersService.remove("ada")).resolves.toBe(true);
+    await expect(LocalUsersService.remove("ada")).resolves.toBe(false);
+  });
+
+  test("can’t add users with roles that don’t exist", async () => {
+    await expect(
+      LocalUsersService.addUser("ada", "secret", "admin")
+    ).rejects.toBe("“admin” isn’t a role.");
+  });
+});
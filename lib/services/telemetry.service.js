@@ -0,0 +1,91 @@
+require("dotenv").config();
+const debug = require("debug")("server");
+
+const HISTORY_MINUTES = parseFloat(process.env.TELEMETRY_HISTORY_MINUTES) || 60;
+const HISTORY_SIZE = parseInt(process.env.TELEMETRY_HISTORY_SIZE, 10) || 3600;
+
+// Recent messages keyed by device ID. Each list is ordered by enqueued time.
+const history = new Map();
+
+module.exports = {
+  /**
+   * Keeps a received hub message so that dashboards opened later can be backfilled with it.
+   *
+   * Messages older than `TELEMETRY_HISTORY_MINUTES` are dropped, as are the oldest messages of a
+   * device once it has more than `TELEMETRY_HISTORY_SIZE` messages.
+   *
+   * @param {object} message A message as emitted by the hub’s receive handler.
+   */
+  addMessage(message) {
+    const deviceId = getDeviceId(message);
+    if (deviceId === undefined) {
+      return;
+    }
+
+    if (!history.has(deviceId)) {
+      history.set(deviceId, []);
+    }
+
+    const entries = history.get(deviceId);
+    entries.push({ time: getEnqueuedTime(message), message });
+
+    while (entries.length > HISTORY_SIZE) {
+      entries.shift();
+    }
+
+    pruneEntries(entries, Date.now());
+  },
+
+  /**
+   * Returns the stored messages of a device, oldest first.
+   *
+   * @param {string} deviceId
+   * @param {{ from?: Date, to?: Date }} range Optional bounds (inclusive) on the enqueued time.
+   * @returns {object[]}
+   */
+  getMessages(deviceId, { from, to } = {}) {
+    const entries = history.get(deviceId);
+    if (!entries) {
+      return [];
+    }
+
+    pruneEntries(entries, Date.now());
+
+    const fromTime = from ? from.getTime() : -Infinity;
+    const toTime = to ? to.getTime() : Infinity;
+    const messages = entries
+      .filter(entry => entry.time >= fromTime && entry.time <= toTime)
+      .map(entry => entry.message);
+
+    debug(`LOG: Found ${messages.length} stored messages for ${deviceId}.`);
+    return messages;
+  },
+
+  clear() {
+    history.clear();
+  }
+};
+
+function getDeviceId(message) {
+  if (!message || !message.systemProperties) {
+    return undefined;
+  }
+
+  return message.systemProperties["iothub-connection-device-id"];
+}
+
+function getEnqueuedTime(message) {
+  const time = new Date(message.systemProperties["iothub-enqueuedtime"]);
+  return isNaN(time) ? Date.now() : time.getTime();
+}
+
+/**
+ * Drops entries that fell out of the retention window.
+ */
+function pruneEntries(entries, now) {
+  const oldestTime = now - HISTORY_MINUTES * 60 * 1000;
+
+  while (entries.length > 0 && entries[0].time < oldestTime) {
+    entries.shift();
+  }
+}
@@ -0,0 +1,67 @@
+const TelemetryService = require("./telemetry.service.js");
+
+function createMessage(deviceId, enqueuedTime, body = {}) {
+  return {
+    systemProperties: {
+      "iothub-connection-device-id": deviceId,
+      "iothub-enqueuedtime": enqueuedTime
+    },
+    body
+  };
+}
+
+describe("TelemetryService", () => {
+  beforeEach(() => {
+    TelemetryService.clear();
+  });
+
+  test("returns no messages for unknown devices", () => {
+    expect(TelemetryService.getMessages("AZ3166")).toEqual([]);
+  });
+
+  test("stores messages per device in the order they were received", () => {
+    const now = Date.now();
+    const first = createMessage("AZ3166", new Date(now - 2000));
+    const second = createMessage("Tessel2", new Date(now - 1000));
+    const third = createMessage("AZ3166", new Date(now));
+
+    TelemetryService.addMessage(first);
+    TelemetryService.addMessage(second);
+    TelemetryService.addMessage(third);
+
+    expect(TelemetryService.getMessages("AZ3166")).toEqual([first, third]);
+    expect(TelemetryService.getMessages("Tessel2")).toEqual([second]);
+  });
+
+  test("ignores messages without a device ID", () => {
+    TelemetryService.addMessage({ body: {} });
+
+    expect(TelemetryService.getMessages(undefined)).toEqual([]);
+  });
+
+  test("filters messages by enqueued time", () => {
+    const now = Date.now();
+    const messages = [3000, 2000, 1000].map(age =>
+      createMessage("AZ3166", new Date(now - age))
+    );
+    messages.forEach(message => TelemetryService.addMessage(message));
+
+    const result = TelemetryService.getMessages("AZ3166", {
+      from: new Date(now - 2500),
+      to: new Date(now - 1500)
+    });
+
+    expect(result).toEqual([messages[1]]);
+  });
+
+  test("drops messages older than the retention window", () => {
+    const now = Date.now();
+    const oldMessage = createMessage("AZ3166", new Date(now - 2 * 60 * 60000));
+    const newMessage = createMessage("AZ3166", new Date(now));
+
+    TelemetryService.addMessage(oldMessage);
+    TelemetryService.addMessage(newMessage);
+
+    expect(TelemetryService.getMessages("AZ3166")).toEqual([newMessage]);
+  });
+});
@@ -1,20 +1,34 @@
 const iothub = require("./simulator/simulatedHub");
 const Receiver = require("./simulator/simulatedReceiver");
 const Simulator = require("./simulator/runSimulator");
+const { loadScenario } = require("./simulator/scenario");
+const HubStatusService = require("./services/hub-status.service.js");
 
 function startService(options) {
-  const registry = iothub.Registry.fromConnectionString();
-  const client = iothub.Client.fromConnectionString();
+  const scenario = loadScenario(options.simulatorConfig);
+  const registry = iothub.Registry.fromConnectionString(
+    undefined,
+    scenario.devices
+  );
   const receiver = new Receiver();
-  const simulator = new Simulator(receiver);
+  const simulator = new Simulator(receiver, scenario);
+  const client = iothub.Client.fromConnectionString(undefined, simulator);
   simulator.start();
   receiver.on("data", options.receiveHandler);
+  HubStatusService.setStatus("connected");
 
   return new Promise(resolve => {
     resolve({
-      listDevices: registry.list,
-      callDeviceMethod: client.invokeDeviceMethod,
-      callDeviceMessage: client.callDeviceMessage
+      listDevices: registry.list.bind(registry),
+      listModules: registry.getModulesOnDevice.bind(registry),
+      callDeviceMethod: client.invokeDeviceMethod.bind(client),
+      callDeviceMessage: client.callDeviceMessage.bind(client),
+      getTwin: registry.getTwin.bind(registry),
+      updateTwin: registry.updateTwin.bind(registry),
+      stop: () => {
+        simulator.stop();
+        return Promise.resolve();
+      }
     });
   });
 }
@@ -0,0 +1,281 @@
+/**
+ * Generators produce the property values of simulated telemetry. Each one is created from a
+ * spec like `{ type: "sine", min: 0, max: 10, period: 60 }` and returns a function that’s called
+ * with the number of seconds since the device started sending, once per message.
+ *
+ * All randomness comes from the `random` function that’s passed in, so a seeded one makes the
+ * values reproducible.
+ */
+
+const EARTH_RADIUS = 6371000;
+
+const generatorFactories = {
+  constant(spec) {
+    return () => spec.value;
+  },
+
+  random(spec, random, name) {
+    const [min, max] = getRange(spec, name);
+    return () => min + random() * (max - min);
+  },
+
+  sine(spec, random, name) {
+    const [min, max] = getRange(spec, name);
+    const period = getPositiveNumber(spec, "period", 60, name);
+    const phase = getNumber(spec, "phase", 0, name);
+
+    return time =>
+      min +
+      (max - min) *
+        (0.5 + 0.5 * Math.sin((2 * Math.PI * (time + phase)) / period));
+  },
+
+  "random-walk"(spec, random, name) {
+    const [min, max] = getRange(spec, name);
+    const step = getPositiveNumber(spec, "step", (max - min) / 20, name);
+    let value = getNumber(spec, "start", (min + max) / 2, name);
+
+    return () => {
+      const current = value;
+      value = Math.max(min, Math.min(max, value + (random() * 2 - 1) * step));
+      return current;
+    };
+  },
+
+  step(spec, random, name) {
+    if (!Array.isArray(spec.steps) || spec.steps.length === 0) {
+      throw new Error(`“${name}” needs a list of steps.`);
+    }
+
+    const steps = spec.steps.map((step, index) => ({
+      value: step.value,
+      duration: getPositiveNumber(
+        step,
+        "duration",
+        1,
+        `${name}.steps[${index}]`
+      )
+    }));
+    const cycle = steps.reduce((sum, step) => sum + step.duration, 0);
+
+    return time => {
+      let remaining = time % cycle;
+      const current = steps.find(step => {
+        remaining -= step.duration;
+        return remaining < 0;
+      });
+      return (current || steps[steps.length - 1]).value;
+    };
+  },
+
+  enum(spec, random, name) {
+    if (!Array.isArray(spec.values) || spec.values.length === 0) {
+      throw new Error(`“${name}” needs a list of values.`);
+    }
+
+    const weights = spec.weights || spec.values.map(() => 1);
+    if (
+      weights.length !== spec.values.length ||
+      !weights.every(weight => typeof weight === "number" && weight >= 0)
+    ) {
+      throw new Error(`“${name}” needs a non-negative weight per value.`);
+    }
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return () => {
+      let remaining = random() * totalWeight;
+      const index = weights.findIndex(weight => {
+        remaining -= weight;
+        return remaining < 0;
+      });
+      return spec.values[index === -1 ? spec.values.length - 1 : index];
+    };
+  },
+
+  boolean(spec, random, name) {
+    const probability = getNumber(spec, "probability", 0.5, name);
+    return () => random() < probability;
+  },
+
+  object(spec, random, name) {
+    if (spec.properties === null || typeof spec.properties !== "object") {
+      throw new Error(`“${name}” needs properties.`);
+    }
+
+    const generators = Object.keys(spec.properties).map(key => [
+      key,
+      createGenerator(
+        spec.properties[key],
+        random,
+        name ? `${name}.${key}` : key
+      )
+    ]);
+
+    return time => {
+      const value = {};
+      generators.forEach(([key, generate]) => {
+        value[key] = generate(time);
+      });
+      return value;
+    };
+  },
+
+  /**
+   * Moves along a track of `[latitude, longitude]` waypoints at `speed` meters per second. After
+   * the last waypoint, the track starts over from the first one.
+   */
+  gps(spec, random, name) {
+    const waypoints = spec.waypoints;
+    if (
+      !Array.isArray(waypoints) ||
+      waypoints.length < 2 ||
+      !waypoints.every(
+        point =>
+          Array.isArray(point) && point.length === 2 && point.every(isNumber)
+      )
+    ) {
+      throw new Error(
+        `“${name}” needs at least two [latitude, longitude] waypoints.`
+      );
+    }
+
+    const speed = getPositiveNumber(spec, "speed", 10, name);
+    const track = waypoints.concat([waypoints[0]]);
+    const legs = track.slice(1).map((point, index) => ({
+      from: track[index],
+      to: point,
+      length: getDistance(track[index], point)
+    }));
+    const trackLength = legs.reduce((sum, leg) => sum + leg.length, 0);
+
+    return time => {
+      let remaining = trackLength > 0 ? (time * speed) % trackLength : 0;
+      const leg = legs.find(leg => {
+        if (remaining < leg.length) {
+          return true;
+        }
+        remaining -= leg.length;
+        return false;
+      }) || { from: track[0], to: track[0], length: 0 };
+
+      const factor = leg.length > 0 ? remaining / leg.length : 0;
+      return {
+        latitude: leg.from[0] + (leg.to[0] - leg.from[0]) * factor,
+        longitude: leg.from[1] + (leg.to[1] - leg.from[1]) * factor
+      };
+    };
+  }
+};
+
+const GENERATOR_TYPES = Object.keys(generatorFactories);
+
+/**
+ * @param {object|string|number|boolean} spec A generator spec. Anything that isn’t an object is
+ *   a constant.
+ * @param {Function} random Returns a number between 0 (inclusive) and 1 (exclusive).
+ * @param {string} [name] The name of the generated property, used in error messages.
+ * @returns {Function} Called with the seconds since the device started, returns a value.
+ */
+function createGenerator(spec, random, name = "") {
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+    return () => spec;
+  }
+
+  const factory = generatorFactories[spec.type];
+  if (!factory) {
+    throw new Error(
+      `“${name}” has the unknown generator type “${
+        spec.type
+      }”. Use one of ${GENERATOR_TYPES.join(", ")}.`
+    );
+  }
+
+  return factory(spec, random, name);
+}
+
+/**
+ * A small seeded pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {Function} Returns a number between 0 (inclusive) and 1 (exclusive).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {number} A seed derived from the text, so that every device gets its own values.
+ */
+function hashText(text) {
+  let hash = 2166136261;
+
+  for (let i = 0; i < text.length; ++i) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function getNumber(spec, key, defaultValue, name) {
+  if (spec[key] === undefined) {
+    return defaultValue;
+  }
+
+  if (!isNumber(spec[key])) {
+    throw new Error(`“${key}” of “${name}” must be a number.`);
+  }
+
+  return spec[key];
+}
+
+function getPositiveNumber(spec, key, defaultValue, name) {
+  const value = getNumber(spec, key, defaultValue, name);
+
+  if (!(value > 0)) {
+    throw new Error(`“${key}” of “${name}” must be greater than 0.`);
+  }
+
+  return value;
+}
+
+function getRange(spec, name) {
+  const min = getNumber(spec, "min", 0, name);
+  const max = getNumber(spec, "max", 1, name);
+
+  if (max < min) {
+    throw new Error(`“max” of “${name}” must not be less than “min”.`);
+  }
+
+  return [min, max];
+}
+
+/**
+ * @returns {number} The distance between two `[latitude, longitude]` points in meters.
+ */
+function getDistance([lat1, lon1], [lat2, lon2]) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+module.exports = { createGenerator, createRandom, hashText, GENERATOR_TYPES };
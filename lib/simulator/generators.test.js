@@ -0,0 +1,145 @@
+const { createGenerator, createRandom } = require("./generators.js");
+
+// Always returns the same “random” number.
+function fixedRandom(value) {
+  return () => value;
+}
+
+describe("Simulator generators", () => {
+  test("seeded random numbers are reproducible", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+
+    const numbers = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(numbers);
+    expect([c(), c(), c()]).not.toEqual(numbers);
+    numbers.forEach(number => {
+      expect(number).toBeGreaterThanOrEqual(0);
+      expect(number).toBeLessThan(1);
+    });
+  });
+
+  test("anything that isn’t a generator spec is a constant", () => {
+    expect(createGenerator("2.1.0", Math.random)(10)).toBe("2.1.0");
+    expect(
+      createGenerator({ type: "constant", value: 6.5 }, Math.random)(10)
+    ).toBe(6.5);
+  });
+
+  test("random", () => {
+    const generate = createGenerator(
+      { type: "random", min: 10, max: 20 },
+      fixedRandom(0.25)
+    );
+
+    expect(generate(0)).toBe(12.5);
+  });
+
+  test("sine", () => {
+    const generate = createGenerator(
+      { type: "sine", min: 0, max: 10, period: 40 },
+      Math.random
+    );
+
+    expect(generate(0)).toBeCloseTo(5);
+    expect(generate(10)).toBeCloseTo(10);
+    expect(generate(30)).toBeCloseTo(0);
+    expect(generate(40)).toBeCloseTo(5);
+  });
+
+  test("random walk stays within its range", () => {
+    const generate = createGenerator(
+      { type: "random-walk", min: 0, max: 10, start: 9, step: 2 },
+      fixedRandom(0.99)
+    );
+
+    expect(generate(0)).toBe(9);
+    expect(generate(1)).toBe(10);
+    expect(generate(2)).toBe(10);
+  });
+
+  test("step", () => {
+    const generate = createGenerator(
+      {
+        type: "step",
+        steps: [
+          { value: "off", duration: 50 },
+          { value: "on", duration: 10 }
+        ]
+      },
+      Math.random
+    );
+
+    expect([0, 49, 50, 59, 60].map(generate)).toEqual([
+      "off",
+      "off",
+      "on",
+      "on",
+      "off"
+    ]);
+  });
+
+  test("enum respects weights", () => {
+    const spec = { type: "enum", values: ["a", "b"], weights: [3, 1] };
+
+    expect(createGenerator(spec, fixedRandom(0.7))(0)).toBe("a");
+    expect(createGenerator(spec, fixedRandom(0.8))(0)).toBe("b");
+  });
+
+  test("boolean", () => {
+    const spec = { type: "boolean", probability: 0.1 };
+
+    expect(createGenerator(spec, fixedRandom(0.05))(0)).toBe(true);
+    expect(createGenerator(spec, fixedRandom(0.5))(0)).toBe(false);
+  });
+
+  test("nested objects", () => {
+    const generate = createGenerator(
+      {
+        type: "object",
+        properties: {
+          soil: {
+            type: "object",
+            properties: { ph: 6.5, wet: { type: "boolean", probability: 1 } }
+          }
+        }
+      },
+      Math.random
+    );
+
+    expect(generate(0)).toEqual({ soil: { ph: 6.5, wet: true } });
+  });
+
+  test("gps moves along its waypoints and loops", () => {
+    // Two points about 1112 meters apart along a meridian.
+    const generate = createGenerator(
+      {
+        type: "gps",
+        speed: 10,
+        waypoints: [
+          [0, 0],
+          [0.01, 0]
+        ]
+      },
+      Math.random
+    );
+
+    expect(generate(0)).toEqual({ latitude: 0, longitude: 0 });
+    expect(generate(55.6).latitude).toBeCloseTo(0.005, 3);
+    expect(generate(111.2).latitude).toBeCloseTo(0.01, 3);
+    expect(generate(222.4).latitude).toBeCloseTo(0, 3);
+  });
+
+  test("reports mistakes in specs", () => {
+    expect(() =>
+      createGenerator({ type: "wobble" }, Math.random, "temperature")
+    ).toThrow("“temperature” has the unknown generator type “wobble”");
+    expect(() =>
+      createGenerator({ type: "sine", min: 10, max: 0 }, Math.random, "t")
+    ).toThrow("must not be less than");
+    expect(() =>
+      createGenerator({ type: "gps", waypoints: [[0, 0]] }, Math.random, "p")
+    ).toThrow("at least two");
+  });
+});
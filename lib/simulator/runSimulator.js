@@ -1,21 +1,58 @@
 const device = require("./simulatedDevice");
-const devices = require("./simulatedDeviceList");
-const deviceList = devices.list;
-const telemetry = devices.telemetry;
+const { createRandom, hashText } = require("./generators");
 
-function Simulator(receiver) {
+/**
+ * @param {Receiver} receiver
+ * @param {object} scenario A scenario as returned by `loadScenario`.
+ */
+function Simulator(receiver, scenario) {
   this.receiver = receiver;
+  this.scenario = scenario;
   this.sims = [];
 }
 
 Simulator.prototype.start = function() {
-  deviceList.forEach(d => {
-    const sim = new device(this.receiver, d.deviceId, telemetry[d.deviceId]);
+  const { seed, devices } = this.scenario;
+
+  devices.forEach(d => {
+    // Each device gets its own random numbers, so adding a device doesn’t change the others.
+    const random = createRandom(seed ^ hashText(d.deviceId));
+    const sim = new device(this.receiver, d.deviceId, d, random);
     this.sims.push(sim);
-    sim.start();
+
+    // An IoT Edge device leaves sending telemetry to its modules unless it has properties.
+    if (d.modules.length === 0 || Object.keys(d.properties).length > 0) {
+      sim.start();
+    }
+
+    d.modules.forEach(m => {
+      const moduleRandom = createRandom(
+        seed ^ hashText(`${d.deviceId}/${m.moduleId}`)
+      );
+      const moduleSim = new device(
+        this.receiver,
+        d.deviceId,
+        m,
+        moduleRandom,
+        m.moduleId
+      );
+      this.sims.push(moduleSim);
+      moduleSim.start();
+    });
   });
 };
 
+/**
+ * @param {string} deviceId
+ * @param {string} [moduleId] Finds the module of that name on the device instead.
+ * @returns {simulatedDevice|undefined}
+ */
+Simulator.prototype.getDevice = function(deviceId, moduleId) {
+  return this.sims.find(
+    sim => sim.id === deviceId && sim.moduleId === (moduleId || null)
+  );
+};
+
 Simulator.prototype.stop = function() {
   this.sims.forEach(sim => sim.stop());
 };
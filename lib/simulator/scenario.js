@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const { createGenerator } = require("./generators");
+
+const DEFAULT_SCENARIO_PATH = path.join(__dirname, "scenarios", "default.json");
+const DEFAULT_INTERVAL = 1000;
+
+/**
+ * Loads the scenario that describes the simulated devices and their telemetry from a JSON or
+ * YAML file:
+ *
+ * ```yaml
+ * seed: 42
+ * devices:
+ *   - deviceId: thermostat
+ *     interval: 1000
+ *     properties:
+ *       temperature: { type: sine, min: 18, max: 24, period: 300 }
+ *   - deviceId: edge-gateway
+ *     modules:
+ *       - moduleId: sensor
+ *         properties:
+ *           pressure: { type: random, min: 1, max: 2 }
+ * ```
+ *
+ * Devices with modules are IoT Edge devices. Each module sends its own telemetry, with the
+ * device’s interval unless it has one of its own. The device itself only sends telemetry if it has
+ * properties.
+ *
+ * @param {string} [filePath] Relative paths are resolved against the working directory.
+ * @returns {{ seed: number, devices: { deviceId: string, interval: number, properties: object, modules: { moduleId: string, interval: number, properties: object }[] }[] }}
+ */
+function loadScenario(filePath = DEFAULT_SCENARIO_PATH) {
+  const resolvedPath = path.resolve(filePath);
+
+  let scenario;
+  try {
+    const contents = fs.readFileSync(resolvedPath, "utf8");
+    scenario = /\.ya?ml$/i.test(resolvedPath)
+      ? yaml.safeLoad(contents)
+      : JSON.parse(contents);
+  } catch (error) {
+    throw new Error(
+      `oops, could not read the simulator scenario “${filePath}”: ${error.message}`
+    );
+  }
+
+  try {
+    return validateScenario(scenario);
+  } catch (error) {
+    throw new Error(
+      `oops, the simulator scenario “${filePath}” is invalid: ${error.message}`
+    );
+  }
+}
+
+function validateScenario(scenario) {
+  if (scenario === null || typeof scenario !== "object") {
+    throw new Error("It must be an object with a list of devices.");
+  }
+
+  const seed = scenario.seed === undefined ? 1 : scenario.seed;
+  if (!Number.isInteger(seed)) {
+    throw new Error("The seed must be an integer.");
+  }
+
+  if (!Array.isArray(scenario.devices) || scenario.devices.length === 0) {
+    throw new Error("It needs at least one device.");
+  }
+
+  const deviceIds = new Set();
+  const devices = scenario.devices.map((device, index) => {
+    if (!device || typeof device.deviceId !== "string" || !device.deviceId) {
+      throw new Error(`Device ${index + 1} needs a deviceId.`);
+    }
+
+    if (deviceIds.has(device.deviceId)) {
+      throw new Error(`There’s more than one device “${device.deviceId}”.`);
+    }
+    deviceIds.add(device.deviceId);
+
+    const telemetry = validateTelemetry(
+      device,
+      DEFAULT_INTERVAL,
+      `“${device.deviceId}”`
+    );
+    const modules = validateModules(device, telemetry.interval);
+
+    return { deviceId: device.deviceId, ...telemetry, modules };
+  });
+
+  return { seed, devices };
+}
+
+function validateModules(device, defaultInterval) {
+  if (device.modules === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(device.modules)) {
+    throw new Error(`The modules of “${device.deviceId}” must be a list.`);
+  }
+
+  const moduleIds = new Set();
+  return device.modules.map((module, index) => {
+    // IoT Edge reserves module IDs that start with “$” for its own modules.
+    if (
+      !module ||
+      typeof module.moduleId !== "string" ||
+      !/^[^$]/.test(module.moduleId)
+    ) {
+      throw new Error(
+        `Module ${index + 1} of “${
+          device.deviceId
+        }” needs a moduleId that doesn’t start with “$”.`
+      );
+    }
+
+    if (moduleIds.has(module.moduleId)) {
+      throw new Error(
+        `“${device.deviceId}” has more than one module “${module.moduleId}”.`
+      );
+    }
+    moduleIds.add(module.moduleId);
+
+    const telemetry = validateTelemetry(
+      module,
+      defaultInterval,
+      `“${device.deviceId}/${module.moduleId}”`
+    );
+
+    return { moduleId: module.moduleId, ...telemetry };
+  });
+}
+
+/**
+ * @param {{ interval?: number, properties?: object }} sender A device or a module.
+ * @param {number} defaultInterval
+ * @param {string} name How errors refer to the sender.
+ * @returns {{ interval: number, properties: object }}
+ */
+function validateTelemetry(sender, defaultInterval, name) {
+  const interval =
+    sender.interval === undefined ? defaultInterval : sender.interval;
+  if (typeof interval !== "number" || !(interval > 0)) {
+    throw new Error(
+      `The interval of ${name} must be a number of milliseconds.`
+    );
+  }
+
+  const properties = sender.properties || {};
+  // Creating the generators once reports mistakes in their specs right away.
+  createGenerator({ type: "object", properties }, Math.random);
+
+  return { interval, properties };
+}
+
+module.exports = { loadScenario, DEFAULT_SCENARIO_PATH };
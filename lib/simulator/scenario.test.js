@@ -0,0 +1,169 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadScenario } = require("./scenario.js");
+const Simulator = require("./runSimulator.js");
+
+describe("Simulator scenarios", () => {
+  let directory;
+
+  function writeScenario(fileName, contents) {
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, contents, "utf8");
+    return filePath;
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "scenario-"));
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(directory, { recursive: true });
+  });
+
+  test("the default scenario has the classic simulated devices", () => {
+    const scenario = loadScenario();
+
+    expect(scenario.devices.map(device => device.deviceId)).toEqual([
+      "AZ3166",
+      "Tessel2",
+      "Jenn"
+    ]);
+  });
+
+  test("the example scenario is valid", () => {
+    const scenario = loadScenario(
+      path.join(__dirname, "scenarios", "example.yml")
+    );
+
+    expect(scenario.seed).toBe(42);
+    expect(scenario.devices.length).toBe(3);
+    expect(scenario.devices[2].modules).toEqual([
+      expect.objectContaining({ moduleId: "tempSensor", interval: 5000 }),
+      expect.objectContaining({ moduleId: "vibration", interval: 1000 })
+    ]);
+  });
+
+  test("loads YAML and fills in defaults", () => {
+    const filePath = writeScenario(
+      "scenario.yaml",
+      "devices:\n  - deviceId: thermostat\n    properties:\n      temperature: 21\n"
+    );
+
+    expect(loadScenario(filePath)).toEqual({
+      seed: 1,
+      devices: [
+        {
+          deviceId: "thermostat",
+          interval: 1000,
+          properties: { temperature: 21 },
+          modules: []
+        }
+      ]
+    });
+  });
+
+  test("explains what’s wrong with a scenario", () => {
+    const noDevices = writeScenario("empty.json", "{ \"devices\": [] }"); // prettier-ignore
+    const duplicate = writeScenario(
+      "duplicate.json",
+      JSON.stringify({ devices: [{ deviceId: "a" }, { deviceId: "a" }] })
+    );
+    const badGenerator = writeScenario(
+      "generator.json",
+      JSON.stringify({
+        devices: [{ deviceId: "a", properties: { t: { type: "wobble" } } }]
+      })
+    );
+
+    expect(() => loadScenario(noDevices)).toThrow("at least one device");
+    expect(() => loadScenario(duplicate)).toThrow("more than one device “a”");
+    expect(() => loadScenario(badGenerator)).toThrow("unknown generator type");
+    expect(() =>
+      loadScenario(
+        writeScenario(
+          "modules.yml",
+          "devices:\n  - deviceId: a\n    modules:\n      - moduleId: $edgeHub\n"
+        )
+      )
+    ).toThrow("Module 1 of “a” needs a moduleId that doesn’t start with “$”.");
+    expect(() =>
+      loadScenario(
+        writeScenario(
+          "module-generator.json",
+          JSON.stringify({
+            devices: [
+              {
+                deviceId: "a",
+                modules: [{ moduleId: "m", interval: 0 }]
+              }
+            ]
+          })
+        )
+      )
+    ).toThrow("The interval of “a/m” must be a number of milliseconds.");
+    expect(() => loadScenario(path.join(directory, "missing.json"))).toThrow(
+      "could not read the simulator scenario"
+    );
+  });
+
+  test("produces the same telemetry on every run", () => {
+    const scenario = loadScenario(
+      path.join(__dirname, "scenarios", "example.yml")
+    );
+
+    function record() {
+      const messages = [];
+      const receiver = { emitMessage: message => messages.push(message) };
+      const simulator = new Simulator(receiver, scenario);
+
+      jest.useFakeTimers();
+      simulator.start();
+      jest.advanceTimersByTime(5000);
+      simulator.stop();
+      jest.useRealTimers();
+
+      return messages.map(message => message.body);
+    }
+
+    const bodies = record();
+    expect(bodies.length).toBeGreaterThan(0);
+    expect(record()).toEqual(bodies);
+  });
+
+  test("simulates the modules of IoT Edge devices", () => {
+    const scenario = loadScenario(
+      path.join(__dirname, "scenarios", "example.yml")
+    );
+    const messages = [];
+    const receiver = { emitMessage: message => messages.push(message) };
+    const simulator = new Simulator(receiver, scenario);
+
+    jest.useFakeTimers();
+    simulator.start();
+    jest.advanceTimersByTime(5000);
+    simulator.stop();
+    jest.useRealTimers();
+
+    const gatewayMessages = messages.filter(
+      message =>
+        message.systemProperties["iothub-connection-device-id"] ===
+        "edge-gateway"
+    );
+    const countBy = moduleId =>
+      gatewayMessages.filter(
+        message =>
+          message.systemProperties["iothub-connection-module-id"] === moduleId
+      ).length;
+
+    expect(countBy("tempSensor")).toBe(1);
+    expect(countBy("vibration")).toBe(5);
+    // The gateway has no properties, so it doesn’t send anything itself.
+    expect(gatewayMessages.length).toBe(6);
+    expect(simulator.getDevice("edge-gateway", "vibration").moduleId).toBe(
+      "vibration"
+    );
+    expect(simulator.getDevice("edge-gateway").moduleId).toBeNull();
+  });
+});
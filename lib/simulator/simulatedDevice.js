@@ -1,28 +1,224 @@
-function simulatedDevice(receiver, id, telemetry) {
+const debug = require("debug")("server");
+
+const { createGenerator } = require("./generators");
+
+// The generator types whose range can be changed with the `setRange` method.
+const RANGED_TYPES = ["random", "sine", "random-walk"];
+
+/**
+ * @param {Receiver} receiver
+ * @param {string} id
+ * @param {{ interval: number, properties: object }} telemetry How often the device sends which
+ *   properties, as described in the simulator scenario.
+ * @param {Function} random The source of the device’s random values.
+ * @param {string} [moduleId] Simulates the IoT Edge module of that name on the device instead.
+ */
+function simulatedDevice(receiver, id, telemetry, random, moduleId) {
   this.receiver = receiver;
   this.id = id;
-  this.telemetry = telemetry;
+  this.moduleId = moduleId || null;
+  // How log entries and method results refer to the device or module.
+  this.name = moduleId ? `${id}/${moduleId}` : id;
+  this.telemetry = {
+    interval: telemetry.interval,
+    properties: { ...telemetry.properties }
+  };
+  this.random = random;
+  this.generateBody = this.createBodyGenerator();
+  this.messageCount = 0;
+  this.interval = null;
+  this.methodHandlers = {};
+  // Cloud-to-device messages waiting to be processed.
+  this.inbox = [];
+  this.processingInbox = null;
+
+  this.onDeviceMethod("start", () => this.handleStart());
+  this.onDeviceMethod("stop", () => this.handleStop());
+  this.onDeviceMethod("setInterval", payload =>
+    this.handleSetInterval(payload)
+  );
+  this.onDeviceMethod("setRange", payload => this.handleSetRange(payload));
 }
 
 simulatedDevice.prototype.start = function() {
-  this.interval = setInterval(() => {
-    var body = {};
-    this.telemetry.properties.forEach(prop => {
-      const [min, max] = prop.minmax;
-      body[prop.name] = Math.random() * (max - min) + min;
-    });
-    const systemProperties = {
-      "iothub-connection-device-id": this.id,
-      "iothub-enqueuedtime": new Date()
-    };
-    const message = { systemProperties, body };
+  if (this.interval !== null) {
+    return;
+  }
 
-    this.receiver.emitMessage(message);
+  this.interval = setInterval(() => {
+    this.receiver.emitMessage(this.createMessage(new Date()));
   }, this.telemetry.interval);
 };
 
+/**
+ * The generated values only depend on how many messages the device sent before, not on when
+ * they’re sent, so a scenario produces the same telemetry on every run.
+ *
+ * @param {Date} enqueuedTime
+ */
+simulatedDevice.prototype.createMessage = function(enqueuedTime) {
+  const time = (this.messageCount * this.telemetry.interval) / 1000;
+  this.messageCount += 1;
+
+  const body = this.generateBody(time);
+  const systemProperties = {
+    "iothub-connection-device-id": this.id,
+    "iothub-enqueuedtime": enqueuedTime
+  };
+  if (this.moduleId !== null) {
+    systemProperties["iothub-connection-module-id"] = this.moduleId;
+  }
+
+  return { systemProperties, body };
+};
+
 simulatedDevice.prototype.stop = function() {
   clearInterval(this.interval);
+  this.interval = null;
+};
+
+simulatedDevice.prototype.createBodyGenerator = function() {
+  return createGenerator(
+    { type: "object", properties: this.telemetry.properties },
+    this.random
+  );
+};
+
+/**
+ * Registers a direct method handler, like the device SDK’s `Client#onDeviceMethod` does.
+ *
+ * @param {string} methodName
+ * @param {Function} handler Called with the method payload. Returns `{ status, payload }`.
+ */
+simulatedDevice.prototype.onDeviceMethod = function(methodName, handler) {
+  this.methodHandlers[methodName] = handler;
+};
+
+/**
+ * @param {string} methodName
+ * @param {*} payload
+ * @returns {{ status: number, payload: object }}
+ */
+simulatedDevice.prototype.invokeMethod = function(methodName, payload) {
+  const handler = this.methodHandlers[methodName];
+
+  if (!handler) {
+    return {
+      status: 404,
+      payload: {
+        message: `${this.name} doesn’t know the method “${methodName}”.`
+      }
+    };
+  }
+
+  debug(`LOG: ${this.name} handles the method “${methodName}”.`);
+  return handler(payload || {});
+};
+
+/**
+ * Queues a cloud-to-device message. Messages are processed one after another once the current
+ * call stack is done, like a real device would get to them a little later. A message with a
+ * `command` property is handled like the direct method of that name; any other message is just
+ * acknowledged.
+ *
+ * @param {{ messageId: string, data: string }} message
+ */
+simulatedDevice.prototype.queueMessage = function(message) {
+  this.inbox.push({ ...message, status: "queued" });
+
+  if (this.processingInbox === null) {
+    this.processingInbox = setTimeout(() => this.processInbox(), 0);
+  }
+};
+
+simulatedDevice.prototype.processInbox = function() {
+  this.processingInbox = null;
+
+  while (this.inbox.length > 0) {
+    const message = this.inbox.shift();
+    let body;
+
+    try {
+      body = JSON.parse(message.data);
+    } catch (error) {
+      body = null;
+    }
+
+    if (body && typeof body.command === "string") {
+      const { command, ...payload } = body;
+      const result = this.invokeMethod(command, payload);
+      message.status = result.status < 400 ? "completed" : "rejected";
+    } else {
+      message.status = "completed";
+    }
+
+    debug(
+      `LOG: ${this.name} acknowledged message ${message.messageId} as ${message.status}.`
+    );
+  }
+};
+
+simulatedDevice.prototype.handleStart = function() {
+  this.start();
+  return { status: 200, payload: { sending: true } };
+};
+
+simulatedDevice.prototype.handleStop = function() {
+  this.stop();
+  return { status: 200, payload: { sending: false } };
+};
+
+/**
+ * @param {{ interval: number }} payload The new interval in milliseconds.
+ */
+simulatedDevice.prototype.handleSetInterval = function({ interval }) {
+  if (typeof interval !== "number" || !(interval > 0)) {
+    return {
+      status: 400,
+      payload: { message: "The interval must be a number of milliseconds." }
+    };
+  }
+
+  this.telemetry.interval = interval;
+
+  if (this.interval !== null) {
+    this.stop();
+    this.start();
+  }
+
+  return { status: 200, payload: { interval } };
+};
+
+/**
+ * @param {{ property: string, min: number, max: number }} payload
+ */
+simulatedDevice.prototype.handleSetRange = function({ property, min, max }) {
+  const spec = this.telemetry.properties[property];
+
+  if (!spec || !RANGED_TYPES.includes(spec.type)) {
+    return {
+      status: 400,
+      payload: {
+        message: `${this.name} has no property “${property}” with a range.`
+      }
+    };
+  }
+
+  if (typeof min !== "number" || typeof max !== "number" || max < min) {
+    return {
+      status: 400,
+      payload: { message: "The range needs numbers “min” and “max”." }
+    };
+  }
+
+  const updatedSpec = { ...spec, min, max };
+  if (updatedSpec.start !== undefined) {
+    updatedSpec.start = Math.max(min, Math.min(max, updatedSpec.start));
+  }
+  this.telemetry.properties[property] = updatedSpec;
+  this.generateBody = this.createBodyGenerator();
+
+  return { status: 200, payload: { property, min, max } };
 };
 
 module.exports = simulatedDevice;
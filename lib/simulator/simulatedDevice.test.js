@@ -0,0 +1,132 @@
+const SimulatedDevice = require("./simulatedDevice.js");
+
+function createDevice(messages = []) {
+  const receiver = { emitMessage: message => messages.push(message) };
+
+  return new SimulatedDevice(
+    receiver,
+    "thermostat",
+    {
+      interval: 1000,
+      properties: {
+        temperature: { type: "random", min: 20, max: 22 },
+        firmware: "1.0.0"
+      }
+    },
+    () => 0.5
+  );
+}
+
+describe("Simulated device", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("can be stopped and started with methods", () => {
+    const messages = [];
+    const device = createDevice(messages);
+    device.start();
+
+    jest.advanceTimersByTime(2000);
+    expect(device.invokeMethod("stop")).toEqual({
+      status: 200,
+      payload: { sending: false }
+    });
+    jest.advanceTimersByTime(5000);
+    expect(messages.length).toBe(2);
+
+    device.invokeMethod("start");
+    jest.advanceTimersByTime(1000);
+    expect(messages.length).toBe(3);
+  });
+
+  test("changes how often it sends with setInterval", () => {
+    const messages = [];
+    const device = createDevice(messages);
+    device.start();
+
+    expect(device.invokeMethod("setInterval", { interval: 250 }).status).toBe(
+      200
+    );
+    jest.advanceTimersByTime(1000);
+    expect(messages.length).toBe(4);
+
+    expect(device.invokeMethod("setInterval", { interval: -1 }).status).toBe(
+      400
+    );
+  });
+
+  test("changes the range of a property with setRange", () => {
+    const device = createDevice();
+
+    expect(
+      device.invokeMethod("setRange", {
+        property: "temperature",
+        min: 100,
+        max: 200
+      }).status
+    ).toBe(200);
+    expect(device.createMessage(new Date()).body.temperature).toBe(150);
+
+    expect(
+      device.invokeMethod("setRange", { property: "firmware", min: 0, max: 1 })
+        .status
+    ).toBe(400);
+  });
+
+  test("doesn’t know other methods", () => {
+    const device = createDevice();
+
+    expect(device.invokeMethod("dance")).toEqual({
+      status: 404,
+      payload: { message: "thermostat doesn’t know the method “dance”." }
+    });
+  });
+
+  test("sends telemetry as an IoT Edge module", () => {
+    const messages = [];
+    const module = new SimulatedDevice(
+      { emitMessage: message => messages.push(message) },
+      "edge-gateway",
+      { interval: 1000, properties: { temperature: 21 } },
+      () => 0.5,
+      "tempSensor"
+    );
+    module.start();
+
+    jest.advanceTimersByTime(1000);
+
+    expect(messages[0].systemProperties).toMatchObject({
+      "iothub-connection-device-id": "edge-gateway",
+      "iothub-connection-module-id": "tempSensor"
+    });
+    expect(module.invokeMethod("dance").payload.message).toBe(
+      "edge-gateway/tempSensor doesn’t know the method “dance”."
+    );
+  });
+
+  test("handles queued messages with a command like methods", () => {
+    const messages = [];
+    const device = createDevice(messages);
+    device.start();
+
+    device.queueMessage({
+      messageId: "1",
+      data: JSON.stringify({ command: "stop" })
+    });
+    device.queueMessage({ messageId: "2", data: "hello" });
+    expect(device.inbox.map(message => message.status)).toEqual([
+      "queued",
+      "queued"
+    ]);
+
+    jest.advanceTimersByTime(3000);
+
+    expect(device.inbox).toEqual([]);
+    expect(messages.length).toBe(0);
+  });
+});
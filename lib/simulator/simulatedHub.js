@@ -1,36 +1,214 @@
-const simulatedDeviceList = require("./simulatedDeviceList").list;
+const { loadScenario } = require("./scenario");
 
-function Registry() {}
+function Registry(devices) {
+  this.devices = devices.map(({ deviceId, modules = [] }) => ({
+    deviceId,
+    capabilities: { iotEdge: modules.length > 0 }
+  }));
+  this.modules = new Map(
+    devices.map(({ deviceId, modules = [] }) => [
+      deviceId,
+      modules.map(({ moduleId }) => ({ deviceId, moduleId }))
+    ])
+  );
+  this.twins = new Map(
+    this.devices.map(({ deviceId }) => [deviceId, createTwin(deviceId)])
+  );
+}
 
 Registry.prototype.list = function(callback) {
-  return callback(null, simulatedDeviceList);
+  return callback(null, this.devices);
 };
 
-function Client() {}
+Registry.prototype.getModulesOnDevice = function(deviceId, callback) {
+  const modules = this.modules.get(deviceId);
+  if (!modules) {
+    return callback(createDeviceNotFoundError(deviceId));
+  }
 
+  return callback(
+    null,
+    modules.map(module => ({ ...module }))
+  );
+};
+
+Registry.prototype.getTwin = function(deviceId, callback) {
+  const twin = this.twins.get(deviceId);
+  if (!twin) {
+    return callback(new Error(`Device ${deviceId} not found.`));
+  }
+
+  return callback(null, copy(twin));
+};
+
+/**
+ * Applies a twin patch like IoT Hub does: objects are merged and properties set to `null` are
+ * removed. The simulated devices accept every setpoint they’re sent, so desired properties are
+ * reported back right away.
+ */
+Registry.prototype.updateTwin = function(deviceId, patch, etag, callback) {
+  const twin = this.twins.get(deviceId);
+  if (!twin) {
+    return callback(new Error(`Device ${deviceId} not found.`));
+  }
+
+  if (etag !== "*" && etag !== twin.etag) {
+    const error = new Error(
+      `The twin of ${deviceId} was changed in the meantime.`
+    );
+    error.name = "PreconditionFailedError";
+    return callback(error);
+  }
+
+  const desired = (patch.properties && patch.properties.desired) || {};
+  const now = new Date().toISOString();
+
+  twin.version += 1;
+  twin.etag = createEtag(twin.version);
+  twin.tags = mergePatch(twin.tags, patch.tags || {});
+
+  for (const properties of [
+    twin.properties.desired,
+    twin.properties.reported
+  ]) {
+    mergePatch(properties, desired);
+    properties.$version += 1;
+    properties.$metadata.$lastUpdated = now;
+  }
+
+  return callback(null, copy(twin));
+};
+
+function Client(simulator) {
+  this.simulator = simulator;
+  this.nextMessageId = 1;
+}
+
+/**
+ * Like the SDK’s `Client#invokeDeviceMethod`, this calls the method of a module if it’s given a
+ * module ID before the method parameters.
+ */
 Client.prototype.invokeDeviceMethod = function(
   deviceId,
-  methodParams,
+  moduleIdOrMethodParams,
+  methodParamsOrCallback,
   callback
 ) {
-  return callback(null, { status: 200 });
+  const hasModuleId = typeof moduleIdOrMethodParams === "string";
+  const moduleId = hasModuleId ? moduleIdOrMethodParams : null;
+  const methodParams = hasModuleId
+    ? methodParamsOrCallback
+    : moduleIdOrMethodParams;
+  const done = hasModuleId ? callback : methodParamsOrCallback;
+
+  const device = this.simulator.getDevice(deviceId, moduleId);
+  if (!device) {
+    return done(
+      moduleId
+        ? createModuleNotFoundError(deviceId, moduleId)
+        : createDeviceNotFoundError(deviceId)
+    );
+  }
+
+  return done(
+    null,
+    device.invokeMethod(methodParams.methodName, methodParams.payload)
+  );
 };
 
+/**
+ * Queues a cloud-to-device message on the device. Like IoT Hub, it calls back as soon as the
+ * message is queued and the device acknowledges it later on.
+ */
 Client.prototype.callDeviceMessage = function(deviceId, payload, callback) {
-  return callback(null);
+  const device = this.simulator.getDevice(deviceId);
+  if (!device) {
+    return callback(createDeviceNotFoundError(deviceId));
+  }
+
+  const messageId = `simulated-message-${this.nextMessageId++}`;
+  device.queueMessage({ messageId, data: payload });
+
+  return callback(null, { messageId, status: "queued" });
 };
 
+function createDeviceNotFoundError(deviceId) {
+  const error = new Error(`Device ${deviceId} not found.`);
+  error.name = "DeviceNotFoundError";
+  return error;
+}
+
+function createModuleNotFoundError(deviceId, moduleId) {
+  const error = new Error(`Module ${moduleId} of ${deviceId} not found.`);
+  error.name = "ModuleNotFoundError";
+  return error;
+}
+
+function createTwin(deviceId) {
+  const now = new Date().toISOString();
+
+  return {
+    deviceId,
+    etag: createEtag(1),
+    version: 1,
+    tags: {},
+    properties: {
+      desired: { $metadata: { $lastUpdated: now }, $version: 1 },
+      reported: { $metadata: { $lastUpdated: now }, $version: 1 }
+    }
+  };
+}
+
+function createEtag(version) {
+  return Buffer.from(`simulated-${version}`).toString("base64");
+}
+
+function mergePatch(target, patch) {
+  Object.keys(patch).forEach(key => {
+    const value = patch[key];
+
+    if (value === null) {
+      delete target[key];
+    } else if (typeof value === "object" && !Array.isArray(value)) {
+      const current = target[key];
+      target[key] = mergePatch(
+        current && typeof current === "object" ? current : {},
+        value
+      );
+    } else {
+      target[key] = value;
+    }
+  });
+
+  return target;
+}
+
+function copy(twin) {
+  return JSON.parse(JSON.stringify(twin));
+}
+
 var hub = {
   Client: {},
   Registry: {}
 };
 
-hub.Client.fromConnectionString = function() {
-  return new Client();
+/**
+ * @param {string} [connectionString] Ignored, there’s nothing to connect to.
+ * @param {Simulator} simulator The simulator whose devices receive methods and messages.
+ */
+hub.Client.fromConnectionString = function(connectionString, simulator) {
+  return new Client(simulator);
 };
 
-hub.Registry.fromConnectionString = function() {
-  return new Registry();
+/**
+ * @param {string} [connectionString] Ignored, there’s nothing to connect to.
+ * @param {object[]} [devices] The devices of the simulator scenario.
+ */
+hub.Registry.fromConnectionString = function(
+  connectionString,
+  devices = loadScenario().devices
+) {
+  return new Registry(devices);
 };
 
 module.exports = hub;
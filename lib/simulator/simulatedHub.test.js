@@ -0,0 +1,203 @@
+const iothub = require("./simulatedHub");
+
+function getTwin(registry, deviceId) {
+  return new Promise((resolve, reject) => {
+    registry.getTwin(deviceId, (error, twin) =>
+      error ? reject(error) : resolve(twin)
+    );
+  });
+}
+
+function updateTwin(registry, deviceId, patch, etag) {
+  return new Promise((resolve, reject) => {
+    registry.updateTwin(deviceId, patch, etag, (error, twin) =>
+      error ? reject(error) : resolve(twin)
+    );
+  });
+}
+
+describe("Simulated hub", () => {
+  test("has a twin for every simulated device", async () => {
+    const registry = iothub.Registry.fromConnectionString();
+
+    const twin = await getTwin(registry, "AZ3166");
+
+    expect(twin.deviceId).toBe("AZ3166");
+    expect(twin.properties.desired.$version).toBe(1);
+    await expect(getTwin(registry, "unknown")).rejects.toThrow(
+      "Device unknown not found."
+    );
+  });
+
+  test("merges desired property patches and reports them back", async () => {
+    const registry = iothub.Registry.fromConnectionString();
+    const { etag } = await getTwin(registry, "AZ3166");
+
+    await updateTwin(
+      registry,
+      "AZ3166",
+      {
+        properties: { desired: { setpoint: { temperature: 21, humidity: 40 } } }
+      },
+      etag
+    );
+    const twin = await updateTwin(
+      registry,
+      "AZ3166",
+      {
+        properties: { desired: { setpoint: { humidity: null }, mode: "eco" } }
+      },
+      "*"
+    );
+
+    expect(twin.properties.desired).toMatchObject({
+      setpoint: { temperature: 21 },
+      mode: "eco",
+      $version: 3
+    });
+    expect(twin.properties.desired.setpoint).not.toHaveProperty("humidity");
+    expect(twin.properties.reported).toMatchObject({
+      setpoint: { temperature: 21 },
+      mode: "eco"
+    });
+    expect(twin.etag).not.toBe(etag);
+  });
+
+  test("doesn’t update a twin that was changed in the meantime", async () => {
+    const registry = iothub.Registry.fromConnectionString();
+    const { etag } = await getTwin(registry, "Jenn");
+    await updateTwin(
+      registry,
+      "Jenn",
+      { properties: { desired: { a: 1 } } },
+      "*"
+    );
+
+    await expect(
+      updateTwin(registry, "Jenn", { properties: { desired: { a: 2 } } }, etag)
+    ).rejects.toThrow("changed in the meantime");
+    expect((await getTwin(registry, "Jenn")).properties.desired.a).toBe(1);
+  });
+
+  test("lists the modules of IoT Edge devices", done => {
+    const registry = iothub.Registry.fromConnectionString(undefined, [
+      { deviceId: "AZ3166", modules: [] },
+      { deviceId: "edge-gateway", modules: [{ moduleId: "tempSensor" }] }
+    ]);
+
+    registry.list((error, devices) => {
+      expect(devices).toEqual([
+        { deviceId: "AZ3166", capabilities: { iotEdge: false } },
+        { deviceId: "edge-gateway", capabilities: { iotEdge: true } }
+      ]);
+
+      registry.getModulesOnDevice("edge-gateway", (error, modules) => {
+        expect(error).toBeNull();
+        expect(modules).toEqual([
+          { deviceId: "edge-gateway", moduleId: "tempSensor" }
+        ]);
+
+        registry.getModulesOnDevice("unknown", error => {
+          expect(error.name).toBe("DeviceNotFoundError");
+          done();
+        });
+      });
+    });
+  });
+
+  describe("Client", () => {
+    function createClient() {
+      const device = {
+        invokeMethod: jest.fn().mockReturnValue({ status: 200, payload: {} }),
+        queueMessage: jest.fn()
+      };
+      const module = {
+        invokeMethod: jest.fn().mockReturnValue({ status: 200, payload: {} })
+      };
+      const simulator = {
+        getDevice(deviceId, moduleId) {
+          if (deviceId !== "AZ3166") {
+            return undefined;
+          }
+          return moduleId
+            ? moduleId === "tempSensor"
+              ? module
+              : undefined
+            : device;
+        }
+      };
+
+      return {
+        client: iothub.Client.fromConnectionString(undefined, simulator),
+        device,
+        module
+      };
+    }
+
+    test("passes methods on to the device", done => {
+      const { client, device } = createClient();
+
+      client.invokeDeviceMethod(
+        "AZ3166",
+        { methodName: "setInterval", payload: { interval: 500 } },
+        (error, result) => {
+          expect(error).toBeNull();
+          expect(result.status).toBe(200);
+          expect(device.invokeMethod).toHaveBeenCalledWith("setInterval", {
+            interval: 500
+          });
+          done();
+        }
+      );
+    });
+
+    test("passes module methods on to the module", done => {
+      const { client, device, module } = createClient();
+
+      client.invokeDeviceMethod(
+        "AZ3166",
+        "tempSensor",
+        { methodName: "stop", payload: {} },
+        (error, result) => {
+          expect(error).toBeNull();
+          expect(result.status).toBe(200);
+          expect(module.invokeMethod).toHaveBeenCalledWith("stop", {});
+          expect(device.invokeMethod).not.toHaveBeenCalled();
+
+          client.invokeDeviceMethod(
+            "AZ3166",
+            "unknown",
+            { methodName: "stop", payload: {} },
+            error => {
+              expect(error.name).toBe("ModuleNotFoundError");
+              done();
+            }
+          );
+        }
+      );
+    });
+
+    test("queues messages on the device", done => {
+      const { client, device } = createClient();
+
+      client.callDeviceMessage("AZ3166", "{}", (error, result) => {
+        expect(error).toBeNull();
+        expect(result.status).toBe("queued");
+        expect(device.queueMessage).toHaveBeenCalledWith({
+          messageId: result.messageId,
+          data: "{}"
+        });
+        done();
+      });
+    });
+
+    test("can’t reach unknown devices", done => {
+      const { client } = createClient();
+
+      client.callDeviceMessage("unknown", "{}", error => {
+        expect(error.name).toBe("DeviceNotFoundError");
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const ROOM_PREFIX = "telemetry:";
+
+/**
+ * Browsers subscribe to the telemetry that their cards show, and each message is only sent to the
+ * browsers that subscribed to its device. Browsers that want the same properties of a device share
+ * a socket.io room, e.g. `telemetry:["AZ3166",["humidity","temperature"]]`, or
+ * `telemetry:["AZ3166",null]` for all of its properties.
+ *
+ * A subscription names the devices and, optionally, the top-level properties of their messages’
+ * bodies that are needed:
+ *
+ * ```json
+ * { "devices": { "AZ3166": ["temperature"], "Tessel2": null } }
+ * ```
+ *
+ * @param {object} socket
+ * @param {*} subscription
+ * @returns {boolean} Whether the subscription was valid. If it wasn’t, the socket keeps its
+ *   previous subscription.
+ */
+function subscribe(socket, subscription) {
+  const selections = parseSubscription(subscription);
+  if (selections === null) {
+    return false;
+  }
+
+  Object.keys(socket.rooms)
+    .filter(room => room.startsWith(ROOM_PREFIX))
+    .forEach(room => socket.leave(room));
+  selections.forEach(({ deviceId, properties }) =>
+    socket.join(getRoomName(deviceId, properties))
+  );
+
+  return true;
+}
+
+/**
+ * Sends a message from the hub to the browsers that subscribed to its device.
+ *
+ * @param {object} io
+ * @param {object} message
+ */
+function emitMessage(io, message) {
+  const deviceId = getDeviceId(message);
+  if (deviceId === undefined) {
+    return;
+  }
+
+  const devicePrefix = `${ROOM_PREFIX}[${JSON.stringify(deviceId)},`;
+
+  Object.keys(io.sockets.adapter.rooms)
+    .filter(room => room.startsWith(devicePrefix))
+    .forEach(room => {
+      const properties = JSON.parse(room.slice(devicePrefix.length, -1));
+      io.to(room).emit(
+        "message",
+        properties === null ? message : withBodyProperties(message, properties)
+      );
+    });
+}
+
+/**
+ * @param {*} subscription
+ * @returns {{ deviceId: string, properties: string[]|null }[]|null} `null` if the subscription
+ *   isn’t valid.
+ */
+function parseSubscription(subscription) {
+  if (
+    subscription === null ||
+    typeof subscription !== "object" ||
+    subscription.devices === null ||
+    typeof subscription.devices !== "object" ||
+    Array.isArray(subscription.devices)
+  ) {
+    return null;
+  }
+
+  const selections = Object.keys(subscription.devices).map(deviceId => ({
+    deviceId,
+    properties: subscription.devices[deviceId]
+  }));
+
+  const isValid = selections.every(
+    ({ properties }) =>
+      properties === null ||
+      (Array.isArray(properties) &&
+        properties.every(property => typeof property === "string"))
+  );
+  if (!isValid) {
+    return null;
+  }
+
+  // Sorted, so that browsers that want the same properties end up in the same room.
+  return selections.map(({ deviceId, properties }) => ({
+    deviceId,
+    properties:
+      properties === null ? null : Array.from(new Set(properties)).sort()
+  }));
+}
+
+/**
+ * @param {string} deviceId
+ * @param {string[]|null} properties
+ * @returns {string}
+ */
+function getRoomName(deviceId, properties) {
+  return `${ROOM_PREFIX}${JSON.stringify([deviceId, properties])}`;
+}
+
+/**
+ * @param {object} message
+ * @returns {string|undefined} The device that sent the message, if a device sent it.
+ */
+function getDeviceId(message) {
+  return message.systemProperties
+    ? message.systemProperties["iothub-connection-device-id"]
+    : undefined;
+}
+
+/**
+ * @param {object} message
+ * @param {string[]} properties
+ * @returns {object} The message with only these properties in its body.
+ */
+function withBodyProperties(message, properties) {
+  const { body } = message;
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return message;
+  }
+
+  const filteredBody = {};
+  properties
+    .filter(property => property in body)
+    .forEach(property => {
+      filteredBody[property] = body[property];
+    });
+
+  return { ...message, body: filteredBody };
+}
+
+module.exports = {
+  subscribe,
+  emitMessage,
+  getRoomName
+};
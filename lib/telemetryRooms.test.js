@@ -0,0 +1,155 @@
+const TelemetryRooms = require("./telemetryRooms.js");
+
+function createSocket() {
+  return {
+    // Every socket is in a room of its own.
+    rooms: { "socket-id": "socket-id" },
+    join(room) {
+      this.rooms[room] = room;
+    },
+    leave(room) {
+      delete this.rooms[room];
+    }
+  };
+}
+
+function createIo(sockets) {
+  const emitted = [];
+
+  return {
+    emitted,
+    sockets: {
+      adapter: {
+        get rooms() {
+          const rooms = {};
+          sockets.forEach(socket => Object.assign(rooms, socket.rooms));
+          return rooms;
+        }
+      }
+    },
+    to(room) {
+      return {
+        emit: (event, message) => emitted.push({ room, event, message })
+      };
+    }
+  };
+}
+
+function createMessage(deviceId, body) {
+  return {
+    body,
+    systemProperties: { "iothub-connection-device-id": deviceId }
+  };
+}
+
+describe("TelemetryRooms", () => {
+  test("joins the rooms of the subscribed devices", () => {
+    const socket = createSocket();
+
+    const isValid = TelemetryRooms.subscribe(socket, {
+      devices: {
+        AZ3166: ["temperature", "humidity", "temperature"],
+        Jenn: null
+      }
+    });
+
+    expect(isValid).toBe(true);
+    expect(Object.keys(socket.rooms)).toEqual([
+      "socket-id",
+      TelemetryRooms.getRoomName("AZ3166", ["humidity", "temperature"]),
+      TelemetryRooms.getRoomName("Jenn", null)
+    ]);
+  });
+
+  test("replaces the previous subscription", () => {
+    const socket = createSocket();
+
+    TelemetryRooms.subscribe(socket, { devices: { AZ3166: null } });
+    TelemetryRooms.subscribe(socket, { devices: { Jenn: null } });
+
+    expect(Object.keys(socket.rooms)).toEqual([
+      "socket-id",
+      TelemetryRooms.getRoomName("Jenn", null)
+    ]);
+  });
+
+  test("keeps the previous subscription if a subscription isn’t valid", () => {
+    const socket = createSocket();
+    TelemetryRooms.subscribe(socket, { devices: { AZ3166: null } });
+
+    [
+      null,
+      "AZ3166",
+      { devices: ["AZ3166"] },
+      { devices: { AZ3166: "temperature" } },
+      { devices: { AZ3166: [1] } }
+    ].forEach(subscription => {
+      expect(TelemetryRooms.subscribe(socket, subscription)).toBe(false);
+    });
+
+    expect(Object.keys(socket.rooms)).toEqual([
+      "socket-id",
+      TelemetryRooms.getRoomName("AZ3166", null)
+    ]);
+  });
+
+  test("sends messages only to the rooms of their device", () => {
+    const allOfAZ3166 = createSocket();
+    const temperatureOfAZ3166 = createSocket();
+    const jenn = createSocket();
+    const io = createIo([allOfAZ3166, temperatureOfAZ3166, jenn]);
+
+    TelemetryRooms.subscribe(allOfAZ3166, { devices: { AZ3166: null } });
+    TelemetryRooms.subscribe(temperatureOfAZ3166, {
+      devices: { AZ3166: ["temperature", "pressure"] }
+    });
+    TelemetryRooms.subscribe(jenn, { devices: { Jenn: null } });
+
+    const message = createMessage("AZ3166", { temperature: 21, humidity: 40 });
+    TelemetryRooms.emitMessage(io, message);
+
+    expect(io.emitted).toEqual([
+      {
+        room: TelemetryRooms.getRoomName("AZ3166", null),
+        event: "message",
+        message
+      },
+      {
+        room: TelemetryRooms.getRoomName("AZ3166", ["pressure", "temperature"]),
+        event: "message",
+        message: { ...message, body: { temperature: 21 } }
+      }
+    ]);
+  });
+
+  test("doesn’t send messages that no device sent", () => {
+    const socket = createSocket();
+    const io = createIo([socket]);
+    TelemetryRooms.subscribe(socket, { devices: { AZ3166: null } });
+
+    TelemetryRooms.emitMessage(io, { body: {} });
+
+    expect(io.emitted).toEqual([]);
+  });
+
+  test("tells devices apart whose IDs start the same", () => {
+    const socket = createSocket();
+    const io = createIo([socket]);
+    TelemetryRooms.subscribe(socket, { devices: { "AZ3166-2": null } });
+
+    TelemetryRooms.emitMessage(io, createMessage("AZ3166", {}));
+
+    expect(io.emitted).toEqual([]);
+  });
+
+  test("sends bodies that aren’t objects as they are", () => {
+    const socket = createSocket();
+    const io = createIo([socket]);
+    TelemetryRooms.subscribe(socket, { devices: { AZ3166: ["temperature"] } });
+
+    const message = createMessage("AZ3166", "21 °C");
+    TelemetryRooms.emitMessage(io, message);
+
+    expect(io.emitted[0].message).toBe(message);
+  });
+});
@@ -3,49 +3,90 @@ const path = require("path");
 
 const blankDashboard = require("../../.data/dashboard.blank.json");
 
-const PROJECT_DASHBOARD_FILE_PATH = path.join(".data", "dashboard.json");
+const DATA_DIRECTORY_PATH = path.join(__dirname, "../..", ".data");
+const DASHBOARDS_DIRECTORY_PATH = path.join(DATA_DIRECTORY_PATH, "dashboards");
+// Where the only dashboard was stored before there could be several of them.
+const LEGACY_DASHBOARD_FILE_PATH = path.join(
+  DATA_DIRECTORY_PATH,
+  "dashboard.json"
+);
 const DASHBOARD_FILE_PATH = path.join(
-  __dirname,
-  "../..",
-  PROJECT_DASHBOARD_FILE_PATH
+  DASHBOARDS_DIRECTORY_PATH,
+  "default.json"
 );
 
+/**
+ * Makes sure that the dashboards directory has a default dashboard. A dashboard file from before
+ * there could be several dashboards becomes the default dashboard, otherwise a blank one is
+ * created.
+ */
 function createDashboardFileIfItDoesNotExist() {
   return new Promise((resolve, reject) => {
-    fs.open(DASHBOARD_FILE_PATH, "wx", (error, fileDescriptor) => {
+    fs.mkdir(DASHBOARDS_DIRECTORY_PATH, { recursive: true }, error => {
       if (error) {
-        if (Number.isInteger(fileDescriptor)) {
-          fs.close(fileDescriptor, () => undefined);
-        }
-
-        if (error.code === "EEXIST") {
-          resolve({
-            filePath: DASHBOARD_FILE_PATH,
-            fileCreated: false,
-            message: "Found a dashboard file. Let’s move on."
-          });
-        } else {
-          reject(error);
-        }
+        reject(error);
         return;
       }
 
-      const fileContents = JSON.stringify(blankDashboard);
-      fs.writeFile(fileDescriptor, fileContents, "utf8", error => {
-        fs.close(fileDescriptor, () => undefined);
-
+      fs.open(DASHBOARD_FILE_PATH, "wx", (error, fileDescriptor) => {
         if (error) {
-          reject(error);
-        } else {
-          resolve({
-            filePath: DASHBOARD_FILE_PATH,
-            fileCreated: true,
-            message: "Didn’t find a dashboard file so I created one for you. 🧚"
-          });
+          if (Number.isInteger(fileDescriptor)) {
+            fs.close(fileDescriptor, () => undefined);
+          }
+
+          if (error.code === "EEXIST") {
+            resolve({
+              filePath: DASHBOARD_FILE_PATH,
+              fileCreated: false,
+              message: "Found a dashboard file. Let’s move on."
+            });
+          } else {
+            reject(error);
+          }
+          return;
         }
+
+        fs.rename(LEGACY_DASHBOARD_FILE_PATH, DASHBOARD_FILE_PATH, error => {
+          if (!error) {
+            fs.close(fileDescriptor, () => undefined);
+            resolve({
+              filePath: DASHBOARD_FILE_PATH,
+              fileCreated: false,
+              message: "Moved your dashboard file to the dashboards directory."
+            });
+            return;
+          }
+
+          if (error.code !== "ENOENT") {
+            // Don’t leave an empty default dashboard behind for the next start to trip over.
+            fs.close(fileDescriptor, () => undefined);
+            fs.unlink(DASHBOARD_FILE_PATH, () => reject(error));
+            return;
+          }
+
+          writeBlankDashboard(fileDescriptor, resolve, reject);
+        });
       });
     });
   });
 }
 
+function writeBlankDashboard(fileDescriptor, resolve, reject) {
+  const fileContents = JSON.stringify(blankDashboard);
+
+  fs.writeFile(fileDescriptor, fileContents, "utf8", error => {
+    fs.close(fileDescriptor, () => undefined);
+
+    if (error) {
+      reject(error);
+    } else {
+      resolve({
+        filePath: DASHBOARD_FILE_PATH,
+        fileCreated: true,
+        message: "Didn’t find a dashboard file so I created one for you. 🧚"
+      });
+    }
+  });
+}
+
 module.exports = createDashboardFileIfItDoesNotExist;
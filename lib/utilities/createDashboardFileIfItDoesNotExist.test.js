@@ -3,6 +3,21 @@ const fs = require("fs");
 const createDashboardFileIfItDoesNotExist = require("./createDashboardFileIfItDoesNotExist.js");
 
 describe("createDashboardFileIfItDoesNotExist", () => {
+  beforeEach(() => {
+    jest.spyOn(fs, "mkdir").mockImplementation((_path, _options, callback) => {
+      callback(undefined);
+    });
+
+    jest.spyOn(fs, "close").mockImplementation((_fileDescriptor, callback) => {
+      callback(undefined);
+    });
+  });
+
+  // `fs` is shared with the other test files, so its spies must not outlive these tests.
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   test("resolves if dashboard file already exists", async () => {
     jest.spyOn(fs, "open").mockImplementation((_path, _flags, callback) => {
       const error = {
@@ -14,17 +29,10 @@ describe("createDashboardFileIfItDoesNotExist", () => {
       callback(error, fileDescriptor);
     });
 
-    jest.spyOn(fs, "close").mockImplementation((_fileDescriptor, callback) => {
-      const error = {
-        name: "Error",
-        message: ""
-      };
-      callback(error);
-    });
-
     const result = await createDashboardFileIfItDoesNotExist();
 
     expect(result.fileCreated).toBe(false);
+    expect(result.filePath).toContain("default.json");
   });
 
   test("rejects on open errors that are not EEXIST", async () => {
@@ -39,11 +47,43 @@ describe("createDashboardFileIfItDoesNotExist", () => {
       callback(fsOpenError, fileDescriptor);
     });
 
-    try {
-      await createDashboardFileIfItDoesNotExist();
-    } catch (error) {
-      expect(error).toEqual(fsOpenError);
-    }
+    await expect(createDashboardFileIfItDoesNotExist()).rejects.toEqual(
+      fsOpenError
+    );
+  });
+
+  test("rejects if the dashboards directory can’t be created", async () => {
+    const fsMkdirError = { code: "EACCES" };
+
+    fs.mkdir.mockImplementation((_path, _options, callback) => {
+      callback(fsMkdirError);
+    });
+    jest.spyOn(fs, "open");
+
+    await expect(createDashboardFileIfItDoesNotExist()).rejects.toEqual(
+      fsMkdirError
+    );
+    expect(fs.open).not.toHaveBeenCalled();
+  });
+
+  test("moves the dashboard file of older versions to the dashboards directory", async () => {
+    jest.spyOn(fs, "open").mockImplementation((_path, _flags, callback) => {
+      callback(undefined, 3);
+    });
+    jest.spyOn(fs, "rename").mockImplementation((_from, _to, callback) => {
+      callback(undefined);
+    });
+    jest.spyOn(fs, "writeFile");
+
+    const result = await createDashboardFileIfItDoesNotExist();
+
+    expect(fs.rename).toHaveBeenCalledWith(
+      expect.stringMatching(/dashboard\.json$/),
+      expect.stringMatching(/dashboards[\\/]default\.json$/),
+      expect.any(Function)
+    );
+    expect(fs.writeFile).not.toHaveBeenCalled();
+    expect(result.fileCreated).toBe(false);
   });
 
   test("creates dashboard file if it doesn’t exist and resolves", async () => {
@@ -53,6 +93,10 @@ describe("createDashboardFileIfItDoesNotExist", () => {
       callback(error, fileDescriptor);
     });
 
+    jest.spyOn(fs, "rename").mockImplementation((_from, _to, callback) => {
+      callback({ code: "ENOENT" });
+    });
+
     jest
       .spyOn(fs, "writeFile")
       .mockImplementation((_path, _data, _options, callback) => {
@@ -71,6 +115,10 @@ describe("createDashboardFileIfItDoesNotExist", () => {
       callback(error, fileDescriptor);
     });
 
+    jest.spyOn(fs, "rename").mockImplementation((_from, _to, callback) => {
+      callback({ code: "ENOENT" });
+    });
+
     const fsWriteFileError = {};
 
     jest
@@ -79,10 +127,8 @@ describe("createDashboardFileIfItDoesNotExist", () => {
         callback(fsWriteFileError);
       });
 
-    try {
-      await createDashboardFileIfItDoesNotExist();
-    } catch (error) {
-      expect(error).toEqual(fsWriteFileError);
-    }
+    await expect(createDashboardFileIfItDoesNotExist()).rejects.toBe(
+      fsWriteFileError
+    );
   });
 });
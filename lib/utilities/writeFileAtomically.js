@@ -0,0 +1,36 @@
+const fs = require("fs");
+
+let temporaryFileCount = 0;
+
+/**
+ * Writes a file so that it’s either replaced completely or not at all: the data is written to a
+ * temporary file next to it, which is then renamed. A crash mid-write leaves the old file intact,
+ * and of two concurrent writes, the last one wins instead of both ending up in the file.
+ *
+ * @param {string} filePath
+ * @param {string} data
+ * @returns {Promise} Rejects with the error of `fs` if the file couldn’t be written.
+ */
+function writeFileAtomically(filePath, data) {
+  temporaryFileCount += 1;
+  const temporaryFilePath = `${filePath}.${process.pid}-${temporaryFileCount}.tmp`;
+
+  return new Promise((resolve, reject) => {
+    fs.writeFile(temporaryFilePath, data, "utf8", error => {
+      if (error) {
+        fs.unlink(temporaryFilePath, () => reject(error));
+        return;
+      }
+
+      fs.rename(temporaryFilePath, filePath, error => {
+        if (error) {
+          fs.unlink(temporaryFilePath, () => reject(error));
+        } else {
+          resolve();
+        }
+      });
+    });
+  });
+}
+
+module.exports = writeFileAtomically;
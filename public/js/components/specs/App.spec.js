@@ -53,25 +53,78 @@ function shallowMountComponent(props = {}) {
   });
 }
 
+// Waits for the promises that are already resolved, e.g. of the mocked requests.
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve));
+}
+
 expect.extend(toHaveNoViolations);
 
 describe("App", () => {
+  // Copies of the cards of the mock dashboard, which some tests change.
+  const button = {
+    buttonText: "stop",
+    deviceId: "AZ3166",
+    deviceMethod: "stop",
+    id: "2471d5ab-0d73-42a3-ba4f-f694574feb6b",
+    position: [54, 466],
+    size: [0.8, 0.7],
+    title: "MXChip sending",
+    type: "button"
+  };
+  const sticker = {
+    id: "84de1d0d-d1ae-4daa-9540-179e9dd4155c",
+    position: [50, 730],
+    size: [1, 1],
+    title: "",
+    type: "sticker",
+    url: "https://upload.wikimedia.org/wikipedia/commons/3/3a/Cat03.jpg"
+  };
+  const dashboard = {
+    ...mockDashboardData.dashboard,
+    tiles: [button, sticker]
+  };
+
   beforeEach(() => {
     jest.restoreAllMocks();
 
+    jest
+      .spyOn(configFns, "getSession")
+      .mockImplementation(() =>
+        Promise.resolve({ name: null, role: "editor" })
+      );
     jest
       .spyOn(configFns, "getDashboard")
+      .mockImplementation(() =>
+        Promise.resolve({ dashboard: mockDashboardData.dashboard, revision: 1 })
+      );
+    jest.spyOn(configFns, "getDashboards").mockImplementation(() =>
+      Promise.resolve([
+        { id: "default", title: mockDashboardData.dashboard.title },
+        { id: "lobby", title: "Lobby" }
+      ])
+    );
+    jest
+      .spyOn(configFns, "importDashboard")
       .mockImplementation(() => Promise.resolve(mockDashboardData.dashboard));
+    jest
+      .spyOn(configFns, "deleteDashboard")
+      .mockImplementation(() => Promise.resolve(""));
     jest
       .spyOn(configFns, "getDeviceList")
       .mockImplementation(() => Promise.resolve([]));
-    jest.spyOn(configFns, "saveDashboard").mockImplementation(() =>
-      Promise.resolve({
-        data: {
-          message: "Dashboard saved."
-        }
-      })
-    );
+    jest
+      .spyOn(configFns, "getDeviceModules")
+      .mockImplementation(() => Promise.resolve({}));
+    jest
+      .spyOn(configFns, "getDeviceTelemetry")
+      .mockImplementation(() => Promise.resolve([]));
+    jest
+      .spyOn(configFns, "saveDashboard")
+      .mockImplementation(() => Promise.resolve(2));
+    ["addTile", "updateTile", "deleteTile"].forEach(name => {
+      jest.spyOn(configFns, name).mockImplementation(() => Promise.resolve(2));
+    });
   });
 
   test("Component can be mounted", () => {
@@ -83,7 +136,7 @@ describe("App", () => {
   test("Child components can be mounted", async () => {
     const wrapper = shallowMount(App);
 
-    await wrapper.vm.$nextTick();
+    await flushPromises();
 
     expect(wrapper.findComponent({ name: "DashboardSettings" }).exists()).toBe(
       true
@@ -96,7 +149,7 @@ describe("App", () => {
 
     expect(wrapper.vm.dashboard.blockSize).toEqual([]);
     expect(wrapper.vm.dashboard.tiles).toEqual([]);
-    expect(wrapper.vm.messages).toEqual([]);
+    expect(wrapper.vm.telemetry).toEqual({});
     expect(wrapper.vm.deviceList).toEqual([]);
     expect(wrapper.vm.simulating).toEqual(SIMULATING);
   });
@@ -207,9 +260,29 @@ describe("App", () => {
     expect(wrapper.vm.dashboard.tiles.length).toBe(2);
   });
 
+  test("shows why the server refused to save card settings", async () => {
+    configFns.updateTile.mockImplementation(() =>
+      Promise.reject(
+        new Error(
+          "The card wasn’t saved. tiles[0].callType must be one of “method”, “message”."
+        )
+      )
+    );
+    const wrapper = shallowMountComponent();
+
+    await wrapper.vm.onTileSettingsChange({
+      id: mockDashboardData.dashboard.tiles[0].id,
+      callType: "email"
+    });
+
+    expect(wrapper.vm.electricToasts.map(toast => toast.content)).toEqual([
+      "🚨 The card wasn’t saved. tiles[0].callType must be one of “method”, “message”."
+    ]);
+  });
+
   test("onTileDelete method", async () => {
     const wrapper = shallowMount(App);
-    await wrapper.vm.$nextTick();
+    await flushPromises();
 
     const tileId = mockDashboardData.dashboard.tiles[0].id;
 
@@ -229,20 +302,117 @@ describe("App", () => {
     wrapper
       .findComponent({ name: "DashboardSettings" })
       .vm.$emit("tile-create", {
-        deviceId: "",
         id: "2ece272b-a403-46d6-b136-e35906fe1d0d",
-        lineColor: "#FF6384",
         position: [0, 0],
-        property: "",
+        series: [{ deviceId: "", property: "", label: "", color: "#FF6384" }],
         size: [2, 1.5],
         title: "Line Chart",
         type: "line-chart"
       });
 
-    expect(configFns.saveDashboard).toHaveBeenCalled();
+    expect(configFns.addTile).toHaveBeenCalledWith(
+      "default",
+      expect.objectContaining({ id: "2ece272b-a403-46d6-b136-e35906fe1d0d" })
+    );
     expect(wrapper.vm.dashboard.tiles.length).toBe(3);
   });
 
+  test("keeps the messages of each device apart", () => {
+    const wrapper = shallowMountComponent();
+    const number = {
+      id: "2ece272b-a403-46d6-b136-e35906fe1d0d",
+      position: [0, 0],
+      size: [1, 1],
+      title: "Number",
+      type: "number",
+      deviceId: "Jenn",
+      property: "body.temperature"
+    };
+    const lineChart = {
+      id: "b8cc6a0b-5c4d-4d5f-a8c3-7b1fc1d1d6b2",
+      position: [1, 0],
+      size: [2, 1.5],
+      title: "Line Chart",
+      type: "line-chart",
+      series: [{ deviceId: "AZ3166" }, { deviceId: "Jenn" }],
+      windowMode: "points",
+      pointCount: "20"
+    };
+    wrapper.setData({ dashboard: { tiles: [number, lineChart] } });
+
+    const createBody = (deviceId, index) => ({
+      deviceId,
+      enqueuedTime: new Date(Date.UTC(2020, 2, 1, 12, 0, index)).toISOString(),
+      body: { temperature: index }
+    });
+
+    wrapper.vm.storeMessages([createBody("Jenn", 0)]);
+    wrapper.vm.storeMessages(
+      Array.from({ length: 1000 }, (_, index) =>
+        createBody("AZ3166", index + 1)
+      )
+    );
+
+    // However much AZ3166 sends, Jenn’s latest message stays.
+    expect(wrapper.vm.tileMessages[number.id]).toEqual([createBody("Jenn", 0)]);
+    expect(wrapper.vm.telemetry.AZ3166).toHaveLength(100);
+    expect(wrapper.vm.tileMessages[lineChart.id]).toHaveLength(101);
+  });
+
+  test("shows cards with a module only the messages of that module", async () => {
+    const wrapper = shallowMountComponent();
+    await flushPromises();
+    const tile = {
+      id: "5c0e6bd1-8a5e-4b43-9e0c-2f9b1f4d6a7e",
+      position: [0, 0],
+      size: [1, 1],
+      title: "Number",
+      type: "number",
+      deviceId: "edge-gateway",
+      moduleId: "tempSensor",
+      property: "body.temperature"
+    };
+    wrapper.vm.dashboard = { ...wrapper.vm.dashboard, tiles: [tile] };
+
+    const createMessage = (moduleId, temperature) => ({
+      systemProperties: {
+        "iothub-connection-device-id": "edge-gateway",
+        "iothub-connection-module-id": moduleId,
+        "iothub-enqueuedtime": `2020-03-01T12:00:0${temperature}.000Z`
+      },
+      body: { temperature }
+    });
+    configFns.getDeviceTelemetry.mockImplementationOnce(() =>
+      Promise.resolve([
+        createMessage("tempSensor", 1),
+        createMessage("vibration", 2),
+        createMessage(undefined, 3)
+      ])
+    );
+
+    await wrapper.vm.backfillMessages();
+
+    expect(wrapper.vm.telemetry["edge-gateway"]).toHaveLength(3);
+    expect(wrapper.vm.tileMessages[tile.id]).toEqual([
+      expect.objectContaining({
+        moduleId: "tempSensor",
+        body: { temperature: 1 }
+      })
+    ]);
+  });
+
+  test("loads the modules of the IoT Edge devices", async () => {
+    const deviceModules = { "edge-gateway": ["$edgeAgent", "tempSensor"] };
+    configFns.getDeviceModules.mockImplementation(() =>
+      Promise.resolve(deviceModules)
+    );
+    const wrapper = shallowMountComponent();
+
+    await wrapper.vm.loadDeviceModules();
+
+    expect(wrapper.vm.deviceModules).toEqual(deviceModules);
+  });
+
   test("onDeviceListReceived method", () => {
     const wrapper = shallowMountComponent();
 
@@ -254,14 +424,757 @@ describe("App", () => {
     // TODO: test socket.on callback function
   });
 
-  test("the getDashboard and getDeviceList are invoked in the created lifecycle hook", async () => {
+  test("subscribes to the telemetry that the cards show", async () => {
+    const wrapper = shallowMount(App);
+    await flushPromises();
+    const socket = { emit: jest.fn() };
+    wrapper.vm.socket = socket;
+
+    wrapper.vm.dashboard = {
+      ...wrapper.vm.dashboard,
+      tiles: [
+        {
+          id: "a",
+          type: "number",
+          deviceId: "AZ3166",
+          property: "body.temperature",
+          position: [0, 0],
+          size: [1, 1]
+        },
+        {
+          id: "b",
+          type: "line-chart",
+          series: [
+            { deviceId: "AZ3166", property: "body.humidity" },
+            { deviceId: "Jenn", property: "body | max(values)" }
+          ],
+          position: [0, 0],
+          size: [1, 1]
+        }
+      ]
+    };
+    await wrapper.vm.$nextTick();
+
+    expect(socket.emit).toHaveBeenCalledWith("subscribe", {
+      devices: { AZ3166: ["humidity", "temperature"], Jenn: null }
+    });
+
+    // Moving a card doesn’t change which telemetry it needs.
+    socket.emit.mockClear();
+    wrapper.vm.dashboard = {
+      ...wrapper.vm.dashboard,
+      tiles: wrapper.vm.dashboard.tiles.map(tile => ({
+        ...tile,
+        position: [10, 10]
+      }))
+    };
+    await wrapper.vm.$nextTick();
+
+    expect(socket.emit).not.toHaveBeenCalled();
+  });
+
+  test("shows a banner while the live feed is down", async () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.find("[data-test='hub-status']").exists()).toBe(false);
+
+    wrapper.setData({
+      hubStatus: {
+        state: "failed",
+        message: "Authentication was not successful.",
+        retryAt: "2020-03-01T12:00:30.000Z"
+      }
+    });
+    await wrapper.vm.$nextTick();
+
+    const banner = wrapper.find("[data-test='hub-status']");
+    expect(banner.text()).toContain("The live feed is down");
+    expect(banner.text()).toContain("Authentication was not successful.");
+    expect(banner.classes()).toContain("dashboard-hub-status--failed");
+
+    wrapper.setData({ hubStatus: { state: "connected", message: "" } });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.find("[data-test='hub-status']").exists()).toBe(false);
+  });
+
+  test("backfillMessages method", async () => {
+    const wrapper = shallowMountComponent();
+
+    configFns.getDeviceTelemetry.mockImplementationOnce(() =>
+      Promise.resolve([
+        {
+          systemProperties: {
+            "iothub-connection-device-id": "AZ3166",
+            "iothub-enqueuedtime": "2019-06-03T11:33:10.125Z"
+          },
+          body: { temperature: 31.5 }
+        }
+      ])
+    );
+
+    await wrapper.vm.backfillMessages();
+
+    expect(configFns.getDeviceTelemetry).toHaveBeenCalledWith("AZ3166");
+    expect(wrapper.vm.telemetry).toEqual({
+      AZ3166: [
+        {
+          deviceId: "AZ3166",
+          moduleId: null,
+          enqueuedTime: "2019-06-03T11:33:10.125Z",
+          body: { temperature: 31.5 },
+          properties: {},
+          systemProperties: {
+            "iothub-connection-device-id": "AZ3166",
+            "iothub-enqueuedtime": "2019-06-03T11:33:10.125Z"
+          }
+        }
+      ]
+    });
+  });
+
+  test("shows the dashboard that the URL points to", async () => {
+    window.location.hash = "#/d/lobby";
+    const wrapper = shallowMount(App);
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.dashboardId).toBe("lobby");
+    expect(configFns.getDashboard).toHaveBeenCalledWith("lobby");
+
+    window.location.hash = "";
+    await wrapper.vm.onHashChange();
+
+    expect(wrapper.vm.dashboardId).toBe("default");
+    expect(configFns.getDashboard).toHaveBeenLastCalledWith("default");
+    wrapper.destroy();
+  });
+
+  test("stores live messages that the stored telemetry brings again once", async () => {
+    const wrapper = shallowMount(App);
+    await flushPromises();
+    const message = {
+      deviceId: "AZ3166",
+      moduleId: null,
+      enqueuedTime: "2019-06-03T11:33:10.125Z",
+      body: { temperature: 31.5 },
+      properties: {},
+      systemProperties: {
+        "iothub-connection-device-id": "AZ3166",
+        "iothub-enqueuedtime": "2019-06-03T11:33:10.125Z"
+      }
+    };
+    configFns.getDeviceTelemetry.mockImplementation(() => {
+      wrapper.vm.storeMessages([message]);
+      return Promise.resolve([
+        { systemProperties: message.systemProperties, body: message.body }
+      ]);
+    });
+
+    window.location.hash = "#/d/lobby";
+    await wrapper.vm.onHashChange();
+
+    expect(wrapper.vm.telemetry.AZ3166).toEqual([message]);
+    window.location.hash = "";
+    wrapper.destroy();
+  });
+
+  test("saves changes to the dashboard that is shown", async () => {
+    window.location.hash = "#/d/lobby";
+    const wrapper = shallowMount(App);
+    await wrapper.vm.$nextTick();
+
+    await wrapper.vm.onSaveSettings({ title: "Lobby" });
+
+    expect(configFns.saveDashboard).toHaveBeenCalledWith(
+      "lobby",
+      expect.objectContaining({ title: "Lobby" }),
+      1
+    );
+    window.location.hash = "";
+    wrapper.destroy();
+  });
+
+  describe("edits in several browsers", () => {
+    beforeEach(() => {
+      configFns.getDashboard.mockImplementation(() =>
+        Promise.resolve({ dashboard, revision: 1 })
+      );
+    });
+
+    test("bases each save on the revision that the previous one saved", async () => {
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+
+      await Promise.all([
+        wrapper.vm.onSaveSettings({ title: "Lobby" }),
+        wrapper.vm.onSaveSettings({ bgColor: "hotpink" })
+      ]);
+
+      expect(configFns.saveDashboard.mock.calls.map(call => call[2])).toEqual([
+        1,
+        2
+      ]);
+    });
+
+    test("merges the changes of others when saving conflicts with them", async () => {
+      const conflict = new Error("Someone else changed the dashboard.");
+      conflict.status = 409;
+      configFns.saveDashboard
+        .mockImplementationOnce(() => Promise.reject(conflict))
+        .mockImplementationOnce(() => Promise.resolve(4));
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+
+      configFns.getDashboard.mockImplementation(() =>
+        Promise.resolve({
+          dashboard: {
+            ...dashboard,
+            tiles: [button, { ...sticker, title: "Cat" }]
+          },
+          revision: 3
+        })
+      );
+      await wrapper.vm.onSaveSettings({ title: "Lobby" });
+
+      const [
+        dashboardId,
+        savedDashboard,
+        revision
+      ] = configFns.saveDashboard.mock.calls[1];
+      expect(dashboardId).toBe("default");
+      expect(revision).toBe(3);
+      expect(savedDashboard.title).toBe("Lobby");
+      expect(savedDashboard.tiles.map(tile => tile.title)).toEqual([
+        "MXChip sending",
+        "Cat"
+      ]);
+      expect(wrapper.vm.dashboardRevision).toBe(4);
+      expect(wrapper.vm.electricToasts[0].content).toContain(
+        "Merged their changes"
+      );
+    });
+
+    test("sends only the cards that change", async () => {
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+
+      await wrapper.vm.onTileChange({ id: button.id, title: "Stop" });
+      await wrapper.vm.onTileDelete(sticker.id);
+
+      expect(configFns.updateTile).toHaveBeenCalledWith("default", button.id, {
+        id: button.id,
+        title: "Stop"
+      });
+      expect(configFns.deleteTile).toHaveBeenCalledWith("default", sticker.id);
+      expect(configFns.saveDashboard).not.toHaveBeenCalled();
+    });
+
+    test("keeps track of the revisions its own card changes saved", async () => {
+      configFns.deleteTile.mockImplementation(() => Promise.resolve(3));
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+
+      await wrapper.vm.onTileChange({ id: button.id, title: "Stop" });
+      await wrapper.vm.onTileDelete(sticker.id);
+
+      expect(wrapper.vm.dashboardRevision).toBe(3);
+      expect(wrapper.vm.savedDashboard.tiles).toEqual([
+        { ...button, title: "Stop" }
+      ]);
+    });
+
+    test("waits for the changes of others that were saved in between", async () => {
+      configFns.updateTile.mockImplementation(() => Promise.resolve(3));
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+
+      await wrapper.vm.onTileChange({ id: button.id, title: "Stop" });
+
+      expect(wrapper.vm.dashboardRevision).toBe(1);
+      expect(wrapper.vm.savedDashboard.tiles).toEqual([button, sticker]);
+    });
+
+    test("merges dashboards that were saved in other browsers", async () => {
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+      wrapper.vm.dashboard = {
+        ...wrapper.vm.dashboard,
+        tiles: [{ ...button, position: [0, 0] }, sticker]
+      };
+
+      wrapper.vm.onDashboardUpdated({
+        dashboardId: "default",
+        revision: 2,
+        dashboard: {
+          ...dashboard,
+          editMode: undefined,
+          title: "Lobby",
+          tiles: [button, { ...sticker, title: "Cat" }]
+        }
+      });
+
+      expect(wrapper.vm.dashboard.title).toBe("Lobby");
+      expect(wrapper.vm.dashboard.editMode).toBe("unlocked");
+      expect(wrapper.vm.dashboard.tiles).toEqual([
+        { ...button, position: [0, 0] },
+        { ...sticker, title: "Cat" }
+      ]);
+      expect(wrapper.vm.dashboardRevision).toBe(2);
+    });
+
+    test("ignores updates of other dashboards and older revisions", async () => {
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+      const update = { ...dashboard, title: "Lobby" };
+
+      wrapper.vm.onDashboardUpdated({
+        dashboardId: "lobby",
+        revision: 2,
+        dashboard: update
+      });
+      wrapper.vm.onDashboardUpdated({
+        dashboardId: "default",
+        revision: 1,
+        dashboard: update
+      });
+
+      expect(wrapper.vm.dashboard.title).toBe(dashboard.title);
+    });
+  });
+
+  describe("undo and redo", () => {
+    beforeEach(() => {
+      configFns.getDashboard.mockImplementation(() =>
+        Promise.resolve({ dashboard, revision: 1 })
+      );
+    });
+
+    // Lets the saves that were started finish.
+    async function mountApp() {
+      const wrapper = shallowMount(App);
+      await wrapper.vm.$nextTick();
+      return wrapper;
+    }
+
+    test("undoes and redoes changes of cards", async () => {
+      const wrapper = await mountApp();
+
+      await wrapper.vm.onTileSettingsChange({ id: button.id, title: "Stop" });
+      await wrapper.vm.undo();
+
+      expect(wrapper.vm.dashboard.tiles[0]).toEqual(button);
+      expect(configFns.updateTile).toHaveBeenLastCalledWith(
+        "default",
+        button.id,
+        { id: button.id, title: "MXChip sending" }
+      );
+
+      await wrapper.vm.redo();
+
+      expect(wrapper.vm.dashboard.tiles[0]).toEqual({
+        ...button,
+        title: "Stop"
+      });
+    });
+
+    test("undoes setting a setting that a card didn’t have", async () => {
+      const wrapper = await mountApp();
+
+      await wrapper.vm.onTileSettingsChange({
+        id: button.id,
+        moduleId: "pump"
+      });
+      await wrapper.vm.undo();
+
+      expect(wrapper.vm.dashboard.tiles[0]).toEqual(button);
+      expect(configFns.updateTile).toHaveBeenLastCalledWith(
+        "default",
+        button.id,
+        { id: button.id, moduleId: null }
+      );
+    });
+
+    test("puts cards back as they are saved if the server refuses an edit", async () => {
+      const wrapper = await mountApp();
+      configFns.updateTile.mockImplementationOnce(() =>
+        Promise.reject(new Error("The card wasn’t saved."))
+      );
+      configFns.deleteTile.mockImplementationOnce(() =>
+        Promise.reject(new Error("You may not edit the dashboard."))
+      );
+
+      await wrapper.vm.onTileSettingsChange({ id: button.id, title: "Stop" });
+      await wrapper.vm.onTileDelete(sticker.id);
+
+      expect(wrapper.vm.dashboard.tiles).toEqual([button, sticker]);
+      expect(wrapper.vm.undoStack).toEqual([]);
+      expect(wrapper.vm.electricToasts.map(toast => toast.content)).toEqual([
+        "🚨 The card wasn’t saved.",
+        "🚨 You may not edit the dashboard."
+      ]);
+    });
+
+    test("keeps edits in the history if undoing or redoing them fails", async () => {
+      let revision = 1;
+      configFns.updateTile.mockImplementation(() =>
+        Promise.resolve(++revision)
+      );
+      const wrapper = await mountApp();
+      await wrapper.vm.onTileSettingsChange({ id: button.id, title: "Stop" });
+      const [entry] = wrapper.vm.undoStack;
+      configFns.updateTile.mockImplementationOnce(() =>
+        Promise.reject(new Error("Something went wrong."))
+      );
+
+      await wrapper.vm.undo();
+
+      expect(wrapper.vm.undoStack).toEqual([entry]);
+      expect(wrapper.vm.redoStack).toEqual([]);
+      expect(wrapper.vm.dashboard.tiles[0].title).toBe("Stop");
+
+      await wrapper.vm.undo();
+      configFns.updateTile.mockImplementationOnce(() =>
+        Promise.reject(new Error("Something went wrong."))
+      );
+      await wrapper.vm.redo();
+
+      expect(wrapper.vm.undoStack).toEqual([]);
+      expect(wrapper.vm.redoStack).toEqual([entry]);
+      expect(wrapper.vm.dashboard.tiles[0]).toEqual(button);
+    });
+
+    test("brings back deleted cards from the toast", async () => {
+      const wrapper = await mountApp();
+
+      await wrapper.vm.onTileDelete(sticker.id);
+      const [toast] = wrapper.vm.electricToasts;
+      expect(toast.content).toBe("🚮 Card deleted.");
+
+      toast.action.handler();
+      await flushPromises();
+
+      expect(configFns.addTile).toHaveBeenCalledWith("default", sticker);
+      expect(wrapper.vm.dashboard.tiles).toEqual([button, sticker]);
+    });
+
+    test("only undoes the latest edit from a toast", async () => {
+      const wrapper = await mountApp();
+
+      await wrapper.vm.onTileDelete(sticker.id);
+      await wrapper.vm.onTilePositionChange({ ...button, position: [0, 0] });
+      wrapper.vm.electricToasts[0].action.handler();
+      await flushPromises();
+
+      expect(configFns.addTile).not.toHaveBeenCalled();
+      expect(wrapper.vm.electricToasts[1].content).toContain(
+        "Only the latest change can be undone"
+      );
+    });
+
+    test("undoes moves and card creations with Ctrl+Z and redoes them with Ctrl+Shift+Z", async () => {
+      const wrapper = await mountApp();
+      const text = {
+        id: "5d0a3f3e-1b8e-4a43-9a6c-0d5c0f4e2a11",
+        position: [300, 466],
+        size: [1.2, 1],
+        title: "Note",
+        type: "text"
+      };
+
+      await wrapper.vm.onTileCreate(text);
+      await wrapper.vm.onTilePositionChange({ ...text, position: [0, 0] });
+      window.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "z", ctrlKey: true })
+      );
+      await flushPromises();
+      window.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "z", ctrlKey: true })
+      );
+      await flushPromises();
+
+      expect(wrapper.vm.dashboard.tiles).toEqual([button, sticker]);
+      expect(configFns.deleteTile).toHaveBeenCalledWith("default", text.id);
+
+      window.dispatchEvent(
+        new KeyboardEvent("keydown", {
+          key: "Z",
+          ctrlKey: true,
+          shiftKey: true
+        })
+      );
+      await flushPromises();
+
+      expect(wrapper.vm.dashboard.tiles).toEqual([button, sticker, text]);
+      wrapper.destroy();
+    });
+
+    test("leaves Ctrl+Z in text fields to the text field", async () => {
+      const wrapper = await mountApp();
+      await wrapper.vm.onTileDelete(sticker.id);
+      const input = document.createElement("input");
+      document.body.appendChild(input);
+
+      input.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "z", ctrlKey: true, bubbles: true })
+      );
+      await flushPromises();
+
+      expect(configFns.addTile).not.toHaveBeenCalled();
+      input.remove();
+      wrapper.destroy();
+    });
+
+    test("forgets the edits of other dashboards", async () => {
+      const wrapper = await mountApp();
+      await wrapper.vm.onTileDelete(sticker.id);
+
+      window.location.hash = "#/d/lobby";
+      await wrapper.vm.onHashChange();
+      await wrapper.vm.undo();
+
+      expect(configFns.addTile).not.toHaveBeenCalled();
+      window.location.hash = "";
+      wrapper.destroy();
+    });
+  });
+
+  test("creates dashboards with an ID derived from the title and switches to them", async () => {
+    const wrapper = shallowMount(App);
+    await wrapper.vm.$nextTick();
+
+    await wrapper
+      .findComponent({ name: "DashboardSettings" })
+      .vm.$listeners["dashboard-create"]({ title: "Lobby" });
+
+    expect(configFns.saveDashboard).toHaveBeenCalledWith(
+      "lobby-2",
+      expect.objectContaining({ title: "Lobby", tiles: [] })
+    );
+    expect(window.location.hash).toBe("#/d/lobby-2");
+    window.location.hash = "";
+    wrapper.destroy();
+  });
+
+  test("clones the dashboard without its edit mode", async () => {
     const wrapper = shallowMount(App);
     await wrapper.vm.$nextTick();
 
+    await wrapper.vm.onDashboardClone({ title: "Copy" });
+
+    const [dashboardId, dashboard] = configFns.saveDashboard.mock.calls[0];
+    expect(dashboardId).toBe("copy");
+    expect(dashboard.tiles).toEqual(wrapper.vm.dashboard.tiles);
+    expect(dashboard.editMode).toBeUndefined();
+    window.location.hash = "";
+    wrapper.destroy();
+  });
+
+  test("switches to the default dashboard after deleting one", async () => {
+    window.location.hash = "#/d/lobby";
+    const wrapper = shallowMount(App);
+    await wrapper.vm.$nextTick();
+
+    await wrapper.vm.onDashboardDelete();
+
+    expect(configFns.deleteDashboard).toHaveBeenCalledWith("lobby");
+    expect(window.location.hash).toBe("#/d/default");
+    window.location.hash = "";
+    wrapper.destroy();
+  });
+
+  test("leaves a dashboard that was deleted in another browser", async () => {
+    window.location.hash = "#/d/lobby";
+    const wrapper = shallowMount(App);
+    await wrapper.vm.$nextTick();
+    configFns.getDashboards.mockClear();
+
+    wrapper.vm.onDashboardUpdated({
+      dashboardId: "lobby",
+      revision: null,
+      dashboard: null
+    });
+
+    expect(configFns.getDashboards).toHaveBeenCalled();
+    expect(wrapper.vm.electricToasts[0].content).toBe(
+      "🚮 Someone else deleted this dashboard."
+    );
+    expect(window.location.hash).toBe("#/d/default");
+    window.location.hash = "";
+    wrapper.destroy();
+  });
+
+  test("imports into the dashboard that is shown and loads it again", async () => {
+    window.location.hash = "#/d/lobby";
+    const wrapper = shallowMount(App);
+    await wrapper.vm.$nextTick();
+
+    const importOptions = {
+      bundle: { format: "electric-io-dashboard" },
+      mode: "merge",
+      deviceIds: {}
+    };
+    await wrapper
+      .findComponent({ name: "DashboardSettings" })
+      .vm.$listeners["dashboard-import"](importOptions);
+
+    expect(configFns.importDashboard).toHaveBeenCalledWith(
+      "lobby",
+      importOptions
+    );
+    expect(configFns.getDashboard).toHaveBeenCalledTimes(2);
+    expect(wrapper.vm.dashboard.editMode).toBe("unlocked");
+    window.location.hash = "";
+    wrapper.destroy();
+  });
+
+  test("doesn’t store the telemetry it already has again after an import", async () => {
+    const wrapper = shallowMount(App);
+    await flushPromises();
+    const message = {
+      systemProperties: {
+        "iothub-connection-device-id": "AZ3166",
+        "iothub-enqueuedtime": "2019-06-03T11:33:10.125Z"
+      },
+      body: { temperature: 31.5 }
+    };
+    configFns.getDeviceTelemetry.mockImplementation(() =>
+      Promise.resolve([message])
+    );
+    await wrapper.vm.backfillMessages();
+    expect(wrapper.vm.telemetry.AZ3166).toHaveLength(1);
+    configFns.getDeviceTelemetry.mockClear();
+
+    await wrapper.vm.onDashboardImport({
+      bundle: { format: "electric-io-dashboard" },
+      mode: "merge",
+      deviceIds: {}
+    });
+
+    expect(configFns.getDeviceTelemetry).toHaveBeenCalledWith("AZ3166");
+    expect(wrapper.vm.telemetry.AZ3166).toHaveLength(1);
+    wrapper.destroy();
+  });
+
+  test("the getDashboard and getDeviceList are invoked in the created lifecycle hook", async () => {
+    const wrapper = shallowMount(App);
+    await flushPromises();
+
     expect(configFns.getDashboard).toHaveBeenCalled();
     expect(configFns.getDeviceList).toHaveBeenCalled();
   });
 
+  describe("users and roles", () => {
+    function mockUser(user) {
+      configFns.getSession.mockImplementation(() => Promise.resolve(user));
+    }
+
+    test("viewers can neither edit nor control the cards", async () => {
+      mockUser({ name: "grace", role: "viewer" });
+      const wrapper = shallowMount(App);
+      await flushPromises();
+
+      expect(wrapper.vm.showSettings).toBe(false);
+      expect(
+        wrapper.findComponent({ name: "DashboardSettings" }).exists()
+      ).toBe(false);
+
+      const card = wrapper.findComponent({ name: "BaseCard" });
+      expect(card.props("canEdit")).toBe(false);
+      expect(card.props("canControl")).toBe(false);
+    });
+
+    test("operators can control the cards but not edit them", async () => {
+      mockUser({ name: "grace", role: "operator" });
+      const wrapper = shallowMount(App);
+      await flushPromises();
+
+      expect(wrapper.vm.showSettings).toBe(false);
+
+      const card = wrapper.findComponent({ name: "BaseCard" });
+      expect(card.props("canEdit")).toBe(false);
+      expect(card.props("canControl")).toBe(true);
+    });
+
+    test("editors can edit and control the cards", async () => {
+      mockUser({ name: "ada", role: "editor" });
+      const wrapper = shallowMount(App);
+      await flushPromises();
+
+      expect(wrapper.vm.showSettings).toBe(true);
+
+      const card = wrapper.findComponent({ name: "BaseCard" });
+      expect(card.props("canEdit")).toBe(true);
+      expect(card.props("canControl")).toBe(true);
+    });
+
+    test("the user who is logged in is shown", async () => {
+      mockUser({ name: "ada", role: "editor" });
+      const wrapper = shallowMount(App);
+      await flushPromises();
+
+      expect(wrapper.find("[data-test='user']").text()).toContain(
+        "ada (editor)"
+      );
+      expect(wrapper.find("[data-test='log-out-button']").exists()).toBe(true);
+    });
+
+    test("nobody is shown if nobody needs to log in", async () => {
+      const wrapper = shallowMount(App);
+      await flushPromises();
+
+      expect(wrapper.find("[data-test='user']").exists()).toBe(false);
+    });
+
+    test("users who aren’t logged in have to log in first", async () => {
+      configFns.getSession.mockImplementation(() =>
+        Promise.reject(Object.assign(new Error("Log in."), { status: 401 }))
+      );
+      jest
+        .spyOn(configFns, "logIn")
+        .mockImplementation(() =>
+          Promise.resolve({ name: "ada", role: "editor" })
+        );
+
+      const wrapper = shallowMount(App);
+      await flushPromises();
+
+      expect(wrapper.vm.needsLogin).toBe(true);
+      expect(configFns.getDashboard).not.toHaveBeenCalled();
+
+      wrapper
+        .findComponent({ name: "LoginForm" })
+        .vm.$emit("log-in", { name: "ada", password: "secret" });
+      await flushPromises();
+
+      expect(configFns.logIn).toHaveBeenCalledWith("ada", "secret");
+      expect(wrapper.vm.needsLogin).toBe(false);
+      expect(wrapper.vm.user).toEqual({ name: "ada", role: "editor" });
+      expect(configFns.getDashboard).toHaveBeenCalled();
+      expect(wrapper.findComponent({ name: "LoginForm" }).exists()).toBe(false);
+    });
+
+    test("the login form shows why logging in failed", async () => {
+      configFns.getSession.mockImplementation(() =>
+        Promise.reject(Object.assign(new Error("Log in."), { status: 401 }))
+      );
+      jest
+        .spyOn(configFns, "logIn")
+        .mockImplementation(() =>
+          Promise.reject(new Error("The name or the password is wrong."))
+        );
+
+      const wrapper = shallowMount(App);
+      await flushPromises();
+
+      await wrapper.vm.onLogIn({ name: "ada", password: "wrong" });
+
+      expect(wrapper.vm.needsLogin).toBe(true);
+      expect(wrapper.findComponent({ name: "LoginForm" }).props("error")).toBe(
+        "The name or the password is wrong."
+      );
+    });
+  });
+
   test("Axe doesn’t find any violations", async () => {
     const wrapper = shallowMount(App);
     await wrapper.vm.$nextTick();
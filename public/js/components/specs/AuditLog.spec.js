@@ -0,0 +1,128 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import AuditLog from "../AuditLog";
+import * as configFns from "../../lib/configuration";
+
+const entries = [
+  {
+    time: "2020-03-01T12:05:00.000Z",
+    user: "ada",
+    role: "operator",
+    action: "device-method",
+    deviceId: "AZ3166",
+    method: "stop",
+    payload: "",
+    result: "failure",
+    message: "Failed to invoke method stop."
+  },
+  {
+    time: "2020-03-01T12:00:00.000Z",
+    user: null,
+    role: "editor",
+    action: "tile-change",
+    dashboardId: "lobby",
+    tileId: "a",
+    changes: { title: "Cat", position: [0, 0] }
+  }
+];
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(AuditLog, {
+    propsData: {
+      deviceList: ["AZ3166", "Tessel2"],
+      ...props
+    }
+  });
+}
+
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve));
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("AuditLog", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest
+      .spyOn(configFns, "getAuditEntries")
+      .mockImplementation(() => Promise.resolve(entries));
+  });
+
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+    expect(wrapper.find("ol").exists()).toBe(false);
+  });
+
+  test("loads the entries of a device since a time", async () => {
+    jest.spyOn(Date, "now").mockReturnValue(Date.UTC(2020, 2, 2, 12));
+    const wrapper = shallowMountComponent();
+
+    await wrapper.find("#audit-log-device").setValue("AZ3166");
+    await wrapper.find("#audit-log-period").setValue("hour");
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(configFns.getAuditEntries).toHaveBeenCalledWith({
+      deviceId: "AZ3166",
+      since: new Date(Date.UTC(2020, 2, 2, 11))
+    });
+    expect(wrapper.findAll(".audit-log__entry")).toHaveLength(2);
+  });
+
+  test("loads the whole audit log", async () => {
+    const wrapper = shallowMountComponent();
+
+    wrapper.vm.period = "all";
+    await wrapper.vm.loadEntries();
+
+    expect(configFns.getAuditEntries).toHaveBeenCalledWith({
+      deviceId: "",
+      since: undefined
+    });
+  });
+
+  test("describes what happened", async () => {
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.loadEntries();
+
+    const items = wrapper.findAll(".audit-log__entry");
+
+    expect(items.at(0).text()).toContain(
+      "ada (operator) called “stop” on AZ3166. It failed: Failed to invoke method stop."
+    );
+    expect(items.at(0).classes()).toContain("audit-log__entry--failed");
+    expect(items.at(1).text()).toContain(
+      "Someone changed title, position of card a on “lobby”."
+    );
+  });
+
+  test("shows why the audit log couldn’t be loaded", async () => {
+    configFns.getAuditEntries.mockImplementation(() =>
+      Promise.reject(
+        new Error(
+          "You need the role “editor” to do this, but yours is “viewer”."
+        )
+      )
+    );
+    const wrapper = shallowMountComponent();
+
+    await wrapper.vm.loadEntries();
+
+    expect(wrapper.find("[data-test='audit-log-error']").text()).toBe(
+      "You need the role “editor” to do this, but yours is “viewer”."
+    );
+    expect(wrapper.vm.loading).toBe(false);
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.loadEntries();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
@@ -32,6 +32,7 @@ function shallowMountComponent() {
         lineColor: "#FF6384",
         position: [200, 246],
         property: "",
+        series: [{ deviceId: "AZ3166", property: "", color: "#FF6384" }],
         size: [2, 1.5],
         title: "Line Chart",
         type: "line-chart"
@@ -53,7 +54,8 @@ function shallowMountComponent() {
           temperature: 31.599309710235097
         }
       ],
-      editMode: "unlocked"
+      canEdit: true,
+      canControl: true
     },
     stubs: {
       "a11y-dialog": true
@@ -156,12 +158,37 @@ describe("BaseCard", () => {
     expect(wrapper.vm.showCardActions).toEqual(true);
 
     await wrapper.setProps({
-      editMode: "locked"
+      canEdit: false
     });
 
     expect(wrapper.vm.showCardActions).toEqual(false);
   });
 
+  test("only cards that control devices get canControl", async () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.vm.cardProps).toEqual({});
+
+    await wrapper.setProps({
+      tile: { ...wrapper.vm.tile, type: "button", buttonText: "stop" }
+    });
+
+    expect(wrapper.vm.cardProps).toEqual({ canControl: true });
+
+    await wrapper.setProps({ canControl: false });
+
+    expect(wrapper.vm.cardProps).toEqual({ canControl: false });
+  });
+
+  test("cards can’t be dragged or moved without canEdit", async () => {
+    const wrapper = shallowMountComponent();
+    await wrapper.setProps({ canEdit: false });
+
+    wrapper.vm.startDraggingCard({ target: { tagName: "H2" } }, 0, 0);
+
+    expect(wrapper.vm.isDraggingCard).toBe(false);
+  });
+
   test("the isDraggingCard watcher", async () => {
     const spy = jest.spyOn(BaseCard.watch, "isDraggingCard");
     const wrapper = shallowMountComponent();
@@ -185,6 +212,24 @@ describe("BaseCard", () => {
     expect(spy).toHaveBeenCalled();
   });
 
+  test("the tile.position watcher", async () => {
+    const wrapper = shallowMountComponent();
+
+    await wrapper.setProps({
+      tile: { ...wrapper.vm.tile, position: [10, 20] }
+    });
+
+    expect(wrapper.vm.x).toBe(10);
+    expect(wrapper.vm.y).toBe(20);
+
+    wrapper.vm.isDraggingCard = true;
+    await wrapper.setProps({
+      tile: { ...wrapper.vm.tile, position: [30, 40] }
+    });
+
+    expect(wrapper.vm.x).toBe(10);
+  });
+
   test("the assigndialogRef method", () => {
     const { vm } = shallowMountComponent();
 
@@ -301,6 +346,21 @@ describe("BaseCard", () => {
     expect(spy).toHaveBeenCalled();
   });
 
+  test("only sends the position of a moved card", () => {
+    const wrapper = shallowMountComponent();
+    wrapper.vm.editingCard = false;
+    wrapper.vm.$el.focus();
+
+    wrapper.vm.moveCardWithArrows({
+      preventDefault: jest.fn(),
+      key: "ArrowUp"
+    });
+
+    expect(wrapper.emitted("tile-position")).toEqual([
+      [{ id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54", position: [200, 245] }]
+    ]);
+  });
+
   test("the startDraggingCardWithMouse method", () => {
     const spyWithMouse = jest.spyOn(
       BaseCard.methods,
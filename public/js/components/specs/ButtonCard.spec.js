@@ -3,7 +3,7 @@ import { axe, toHaveNoViolations } from "jest-axe";
 
 import ButtonCard from "../ButtonCard";
 
-function shallowMountComponent() {
+function shallowMountComponent(props = {}) {
   return shallowMount(ButtonCard, {
     propsData: {
       tile: {
@@ -19,7 +19,9 @@ function shallowMountComponent() {
         title: "Line Chart",
         type: "line-chart"
       },
-      ariaLabel: "Init Card Creation"
+      ariaLabel: "Init Card Creation",
+      canControl: true,
+      ...props
     },
     data: () => ({
       apiUrlBase: "/api/device/AZ3166",
@@ -122,6 +124,54 @@ describe("ButtonCard", () => {
     expect(wrapper.vm.statusClass).toEqual("error");
   });
 
+  test("calls the method of the tile’s module", async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+    const wrapper = shallowMountComponent();
+    wrapper.setProps({
+      tile: {
+        ...wrapper.vm.tile,
+        deviceId: "edge-gateway",
+        moduleId: "tempSensor"
+      }
+    });
+
+    await wrapper.vm.onClick();
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      "/api/device/edge-gateway/module/tempSensor/method/stop",
+      expect.objectContaining({ method: "POST" })
+    );
+  });
+
+  test("sends messages to the device even if the tile has a module", async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+    const wrapper = shallowMountComponent();
+    wrapper.setProps({
+      tile: {
+        ...wrapper.vm.tile,
+        callType: "message",
+        deviceId: "edge-gateway",
+        moduleId: "tempSensor"
+      }
+    });
+
+    await wrapper.vm.onClick();
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      "/api/device/edge-gateway/message/",
+      expect.objectContaining({ method: "POST" })
+    );
+  });
+
+  test("users who may not control devices can’t use the button", () => {
+    const wrapper = shallowMountComponent({ canControl: false });
+
+    expect(wrapper.find("button").exists()).toBe(false);
+    expect(wrapper.find("[data-test='button-card-not-allowed']").text()).toBe(
+      "Only operators and editors can use “button-action”."
+    );
+  });
+
   test("Axe doesn’t find any violations", async () => {
     const wrapper = shallowMountComponent();
     const html = wrapper.html();
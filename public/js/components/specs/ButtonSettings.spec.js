@@ -3,7 +3,7 @@ import { axe, toHaveNoViolations } from "jest-axe";
 
 import ButtonSettings from "../ButtonSettings";
 
-function shallowMountComponent() {
+function shallowMountComponent(tileProps = {}) {
   return shallowMount(ButtonSettings, {
     propsData: {
       tile: {
@@ -16,7 +16,8 @@ function shallowMountComponent() {
         property: "",
         size: [2, 1.5],
         title: "Line Chart",
-        type: "line-chart"
+        type: "line-chart",
+        ...tileProps
       },
       deviceList: ["AZ3166", "Tessel2", "Jenn"]
     }
@@ -49,6 +50,16 @@ describe("ButtonSettings", () => {
     });
   });
 
+  test("lets methods be called on a module, but not messages be sent to one", () => {
+    const moduleField = wrapper =>
+      wrapper.findComponent({ name: "ModuleField" });
+
+    expect(moduleField(shallowMountComponent()).exists()).toBe(true);
+    expect(
+      moduleField(shallowMountComponent({ callType: "message" })).exists()
+    ).toBe(false);
+  });
+
   test("Axe doesn’t find any violations", async () => {
     const wrapper = shallowMountComponent();
     const html = wrapper.html();
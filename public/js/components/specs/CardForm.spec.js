@@ -62,6 +62,28 @@ describe("CardFrom", () => {
     expect(wrapper.emitted("save-settings")).toBeTruthy();
   });
 
+  test("list fields are collected into arrays of objects", () => {
+    const wrapper = shallowMountComponent();
+    const form = document.createElement("form");
+    form.innerHTML = `
+      <input name="title" value="Pie Chart" />
+      <input name="slices[0].label" value="Kitchen" />
+      <input name="slices[0].property" value="power.kitchen" />
+      <input name="slices[1].label" value="Garage" />
+      <input name="slices[1].property" value="power.garage" />
+    `;
+
+    wrapper.vm.onSubmit({ target: form });
+
+    expect(wrapper.emitted("save-settings")[0][0]).toEqual({
+      title: "Pie Chart",
+      slices: [
+        { label: "Kitchen", property: "power.kitchen" },
+        { label: "Garage", property: "power.garage" }
+      ]
+    });
+  });
+
   test("Axe doesn’t find any violations", async () => {
     const wrapper = shallowMountComponent();
     const html = wrapper.html();
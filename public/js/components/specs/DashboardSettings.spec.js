@@ -0,0 +1,169 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import DashboardSettings from "../DashboardSettings";
+
+const dashboards = [
+  { id: "default", title: "⚡electric io" },
+  { id: "lobby", title: "Lobby" },
+  { id: "broken", title: "" }
+];
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(DashboardSettings, {
+    propsData: {
+      dashboardId: "lobby",
+      dashboards,
+      dashboardTitle: "Lobby",
+      dashboardBackgroundColor: "papayawhip",
+      ...props
+    },
+
+    stubs: {
+      "a11y-dialog": true
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("DashboardSettings", () => {
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("lists the dashboards to switch to", () => {
+    const wrapper = shallowMountComponent();
+    const select = wrapper.find("#dashboard-settings-dashboard");
+
+    expect(select.element.value).toBe("lobby");
+    expect(select.findAll("option").wrappers.map(o => o.text())).toEqual([
+      "⚡electric io",
+      "Lobby",
+      "broken"
+    ]);
+
+    select.element.value = "default";
+    select.trigger("change");
+
+    expect(wrapper.emitted("dashboard-switch")).toEqual([["default"]]);
+  });
+
+  test("creates and clones dashboards", async () => {
+    const wrapper = shallowMountComponent();
+
+    wrapper.find("#dashboard-settings-new-title").setValue("Team A");
+    wrapper.find("#dashboard-settings-new-title").trigger("submit");
+
+    expect(wrapper.emitted("dashboard-create")).toEqual([
+      [{ title: "Team A" }]
+    ]);
+
+    await wrapper.find("[data-test='dashboard-clone-button']").trigger("click");
+
+    expect(wrapper.emitted("dashboard-clone")).toEqual([
+      [{ title: "Lobby (copy)" }]
+    ]);
+  });
+
+  test("renames the dashboard when the settings are saved", () => {
+    const wrapper = shallowMountComponent();
+
+    wrapper.find("#dashboard-settings-title").setValue("Front desk");
+    wrapper.find("#dashboard-settings-title").trigger("submit");
+
+    expect(wrapper.emitted("save-settings")[0][0].title).toBe("Front desk");
+  });
+
+  test("asks before deleting a dashboard", async () => {
+    const wrapper = shallowMountComponent();
+    const dialog = { show: jest.fn(), hide: jest.fn() };
+    wrapper.vm.assignDialogRef(dialog);
+
+    await wrapper
+      .find("[data-test='dashboard-remove-button']")
+      .trigger("click");
+
+    expect(dialog.show).toHaveBeenCalled();
+    expect(wrapper.emitted("dashboard-delete")).toBeUndefined();
+
+    await wrapper
+      .find("[data-test='dashboard-remove-confirm-button']")
+      .trigger("click");
+
+    expect(wrapper.emitted("dashboard-delete")).toEqual([["lobby"]]);
+  });
+
+  test("can’t delete the default dashboard", () => {
+    const wrapper = shallowMountComponent({ dashboardId: "default" });
+
+    expect(wrapper.find("[data-test='dashboard-remove-button']").exists()).toBe(
+      false
+    );
+  });
+
+  test("links to the export of the dashboard", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(
+      wrapper.find("[data-test='dashboard-export-link']").attributes("href")
+    ).toBe("/api/dashboards/lobby/export");
+  });
+
+  test("imports a dashboard file with new card IDs and remapped devices", async () => {
+    const wrapper = shallowMountComponent({ deviceList: ["thermostat"] });
+    const bundle = {
+      format: "electric-io-dashboard",
+      version: 3,
+      dashboard: {
+        blockSize: [250, 200],
+        tiles: [{ id: "1", type: "number", deviceId: "AZ3166" }]
+      }
+    };
+
+    await wrapper.vm.onImportFileChange({
+      target: {
+        files: [new File([JSON.stringify(bundle)], "lobby.electric-io.json")]
+      }
+    });
+    await wrapper.vm.$nextTick();
+
+    const deviceSelect = wrapper.find("#dashboard-settings-import-device-0");
+    expect(deviceSelect.findAll("option").wrappers.map(o => o.text())).toEqual([
+      "AZ3166 (not in this hub)",
+      "thermostat"
+    ]);
+
+    deviceSelect.setValue("thermostat");
+    wrapper.find("#dashboard-settings-import-mode").setValue("merge");
+    wrapper.find("[data-test='dashboard-import-form']").trigger("submit");
+
+    const [[importOptions]] = wrapper.emitted("dashboard-import");
+    expect(importOptions.mode).toBe("merge");
+    expect(importOptions.deviceIds).toEqual({ AZ3166: "thermostat" });
+    expect(importOptions.bundle).toEqual(bundle);
+  });
+
+  test("doesn’t import files that aren’t JSON", async () => {
+    const wrapper = shallowMountComponent();
+
+    await wrapper.vm.onImportFileChange({
+      target: { files: [new File(["{"], "dashboard.json")] }
+    });
+    wrapper.find("[data-test='dashboard-import-form']").trigger("submit");
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.emitted("dashboard-import")).toBeUndefined();
+    expect(wrapper.find("[data-test='dashboard-import-error']").text()).toBe(
+      "The file isn’t a dashboard export."
+    );
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+
+    expect(await axe(wrapper.html())).toHaveNoViolations();
+  });
+});
@@ -43,6 +43,16 @@ describe("FormFields", () => {
 
     expect(wrapper.vm.settingsCard).toEqual("button-settings");
 
+    await wrapper.setProps({
+      tile: {
+        type: "gauge",
+        callType: "method"
+      },
+      deviceList: ["AZ3166", "Tessel2", "Jenn"]
+    });
+
+    expect(wrapper.vm.settingsCard).toEqual("gauge-settings");
+
     await wrapper.setProps({
       tile: {
         type: "number",
@@ -53,6 +63,16 @@ describe("FormFields", () => {
 
     expect(wrapper.vm.settingsCard).toEqual("number-settings");
 
+    await wrapper.setProps({
+      tile: {
+        type: "pie-chart",
+        callType: "method"
+      },
+      deviceList: ["AZ3166", "Tessel2", "Jenn"]
+    });
+
+    expect(wrapper.vm.settingsCard).toEqual("pie-chart-settings");
+
     await wrapper.setProps({
       tile: {
         type: "sticker",
@@ -72,6 +92,16 @@ describe("FormFields", () => {
     });
 
     expect(wrapper.vm.settingsCard).toEqual("text-settings");
+
+    await wrapper.setProps({
+      tile: {
+        type: "twin",
+        callType: "method"
+      },
+      deviceList: ["AZ3166", "Tessel2", "Jenn"]
+    });
+
+    expect(wrapper.vm.settingsCard).toEqual("twin-settings");
   });
 
   test("Axe doesn’t find any violations", async () => {
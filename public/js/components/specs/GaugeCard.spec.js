@@ -0,0 +1,130 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import GaugeCard from "../GaugeCard";
+
+const tile = {
+  bands: [
+    { to: "60", color: "#00ff00" },
+    { to: "80", color: "#ffff00" },
+    { to: "", color: "#ff0000" }
+  ],
+  blendBands: "sharp",
+  deviceId: "AZ3166",
+  gaugeShape: "radial",
+  id: "0f1c7d0e-3c57-4d87-9d9f-0c3c6f9cb0f4",
+  max: "100",
+  min: "0",
+  position: [0, 0],
+  property: "temperature",
+  size: [1.2, 1.1],
+  title: "Gauge",
+  type: "gauge"
+};
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(GaugeCard, {
+    propsData: {
+      tile,
+      messages: [
+        {
+          deviceId: "AZ3166",
+          enqueuedTime: "2019-06-03T11:33:10.125Z",
+          temperature: 70
+        }
+      ],
+      ...props
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("GaugeCard", () => {
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("shows the latest value", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.find(".gauge__value").text()).toBe("70.0");
+    expect(wrapper.find(".gauge__needle").exists()).toBe(true);
+  });
+
+  test("shows a placeholder without a value", () => {
+    const wrapper = shallowMountComponent({ messages: [] });
+
+    expect(wrapper.find(".gauge__value").text()).toBe("🤔");
+    expect(wrapper.find(".gauge__needle").exists()).toBe(false);
+  });
+
+  test("the messages watch method updates the value", async () => {
+    const wrapper = shallowMountComponent();
+
+    await wrapper.setProps({
+      messages: [{ deviceId: "AZ3166", temperature: "12.34" }]
+    });
+
+    expect(wrapper.vm.value).toBe(12.34);
+  });
+
+  test("splits the range into bands", () => {
+    const { vm } = shallowMountComponent();
+
+    expect(
+      vm.bands.map(({ from, to, color }) => ({ from, to, color }))
+    ).toEqual([
+      { from: 0, to: 60, color: "#00ff00" },
+      { from: 60, to: 80, color: "#ffff00" },
+      { from: 80, to: 100, color: "#ff0000" }
+    ]);
+  });
+
+  test("draws one arc per band with sharp edges", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.findAll("path").length).toBe(3);
+    expect(wrapper.vm.getColor(70)).toBe("#ffff00");
+    expect(wrapper.vm.getColor(150)).toBe("#ff0000");
+  });
+
+  test("mixes band colors with smooth transitions", () => {
+    const { vm } = shallowMountComponent({
+      tile: { ...tile, blendBands: "smooth" }
+    });
+
+    expect(vm.segments.length).toBe(48);
+    expect(vm.getColor(10)).toBe("#00ff00");
+    expect(vm.getColor(95)).toBe("#ff0000");
+    // Halfway between the centers of the first two bands
+    expect(vm.getColor(50)).toBe("#80ff00ff");
+  });
+
+  test("positions the needle on the arc", () => {
+    const { vm } = shallowMountComponent({
+      messages: [{ deviceId: "AZ3166", temperature: 50 }]
+    });
+
+    expect(vm.radialNeedleEnd[0]).toBeCloseTo(100);
+    expect(vm.radialNeedleEnd[1]).toBeCloseTo(30);
+  });
+
+  test("can be drawn as a linear gauge", () => {
+    const wrapper = shallowMountComponent({
+      tile: { ...tile, gaugeShape: "linear" }
+    });
+
+    expect(wrapper.findAll("rect").length).toBe(3);
+    expect(wrapper.vm.getLinearPosition(70)).toBeCloseTo(138);
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
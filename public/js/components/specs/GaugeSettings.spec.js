@@ -0,0 +1,92 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import GaugeSettings from "../GaugeSettings";
+
+const tile = {
+  bands: [
+    { to: 60, color: "#2ecc40ff" },
+    { to: 80, color: "#ffb700ff" },
+    { to: "", color: "#e8262bff" }
+  ],
+  blendBands: "sharp",
+  deviceId: "AZ3166",
+  gaugeShape: "radial",
+  id: "0f1c7d0e-3c57-4d87-9d9f-0c3c6f9cb0f4",
+  max: 100,
+  min: 0,
+  position: [0, 0],
+  property: "temperature",
+  size: [1.2, 1.1],
+  title: "Gauge",
+  type: "gauge"
+};
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(GaugeSettings, {
+    propsData: {
+      tile,
+      deviceList: ["AZ3166", "Tessel2", "Jenn"],
+      ...props
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("GaugeSettings", () => {
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("has fields for the device, shape, range and band edges", () => {
+    const wrapper = shallowMountComponent();
+
+    ["deviceId", "gaugeShape", "min", "max", "blendBands"].forEach(name => {
+      expect(wrapper.find(`[name=${name}]`).exists()).toBe(true);
+    });
+    expect(
+      wrapper.findComponent({ name: "DataPropertyField" }).props("name")
+    ).toBe("property");
+  });
+
+  test("renders an upper bound and a color for each band", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.find("[name='bands[0].to']").element.value).toBe("60");
+    expect(wrapper.find("[name='bands[1].to']").element.value).toBe("80");
+    expect(wrapper.find("[name='bands[2].to']").attributes("type")).toBe(
+      "hidden"
+    );
+    expect(wrapper.findAll("[name$='.color']").length).toBe(3);
+  });
+
+  test("bands can be added and removed", async () => {
+    const wrapper = shallowMountComponent();
+
+    wrapper.vm.addBand();
+    wrapper.vm.removeBand(0);
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.bands.map(band => band.key)).toEqual([1, 2, 3]);
+    expect(wrapper.findAll("fieldset").length).toBe(3);
+  });
+
+  test("updateColor()", () => {
+    const wrapper = shallowMountComponent();
+    const band = wrapper.vm.bands[0];
+
+    wrapper.vm.updateColor(band, { cssColor: "#123456ff" });
+
+    expect(band.color).toBe("#123456ff");
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
@@ -8,11 +8,11 @@ function shallowMountComponent(props = {}) {
   return shallowMount(LineChartCard, {
     propsData: {
       tile: {
-        deviceId: "AZ3166",
         id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
-        lineColor: "#FF6384",
         position: [200, 246],
-        property: "",
+        series: [
+          { deviceId: "AZ3166", property: "", label: "", color: "#FF6384" }
+        ],
         size: [2, 1.5],
         title: "Line Chart",
         type: "line-chart"
@@ -68,7 +68,6 @@ describe("LineChartCard", () => {
 
     // Test the calcuation based upon the mock propsData
     expect(vm.chartStyle).toEqual({
-      "--stroke-color": "#FF6384",
       height: "305px",
       marginLeft: "-20px",
       width: "400px"
@@ -82,11 +81,11 @@ describe("LineChartCard", () => {
       blockWidth: 200,
       blockHeight: 250,
       tile: {
-        deviceId: "AZ3166",
         id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
-        lineColor: "#FF6384",
         position: [200, 246],
-        property: "",
+        series: [
+          { deviceId: "AZ3166", property: "", label: "", color: "#FF6384" }
+        ],
         size: [2, 1.5],
         title: "Line Chart",
         type: "line-chart"
@@ -109,6 +108,216 @@ describe("LineChartCard", () => {
     expect(spy).toHaveBeenCalledTimes(1);
   });
 
+  test("plots one series per device and property", async () => {
+    const wrapper = shallowMountComponent({
+      tile: {
+        id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
+        position: [200, 246],
+        series: [
+          {
+            deviceId: "AZ3166",
+            property: "temperature",
+            label: "Study",
+            color: "#FF6384"
+          },
+          {
+            deviceId: "BU2802",
+            property: "temperature",
+            label: "",
+            color: "#6b66ff"
+          }
+        ],
+        size: [2, 1.5],
+        title: "Line Chart",
+        type: "line-chart"
+      }
+    });
+    wrapper.vm.chart.update = jest.fn();
+
+    await wrapper.setProps({
+      messages: [
+        {
+          deviceId: "BU2802",
+          enqueuedTime: "2019-06-03T11:45:10.125Z",
+          temperature: 45.13494407
+        },
+        {
+          deviceId: "AZ3166",
+          enqueuedTime: "2019-06-03T11:33:10.125Z",
+          temperature: 31.599309710235097
+        }
+      ]
+    });
+
+    expect(wrapper.vm.chartData.series).toEqual([
+      [{ x: Date.parse("2019-06-03T11:33:10.125Z"), y: 31.599309710235097 }],
+      [{ x: Date.parse("2019-06-03T11:45:10.125Z"), y: 45.13494407 }]
+    ]);
+    expect(wrapper.findAll(".chart-legend__item").length).toBe(2);
+    expect(wrapper.find(".chart-legend").text()).toContain("Study");
+    expect(wrapper.find(".chart-legend").text()).toContain(
+      "BU2802 temperature"
+    );
+  });
+
+  test("plots the series of a module only with that module’s messages", async () => {
+    const wrapper = shallowMountComponent({
+      tile: {
+        id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
+        position: [200, 246],
+        series: [
+          {
+            deviceId: "edge-gateway",
+            moduleId: "tempSensor",
+            property: "temperature",
+            label: "",
+            color: "#FF6384"
+          }
+        ],
+        size: [2, 1.5],
+        title: "Line Chart",
+        type: "line-chart"
+      }
+    });
+    wrapper.vm.chart.update = jest.fn();
+
+    await wrapper.setProps({
+      messages: [
+        {
+          deviceId: "edge-gateway",
+          moduleId: "tempSensor",
+          enqueuedTime: "2019-06-03T11:33:10.125Z",
+          temperature: 21
+        },
+        {
+          deviceId: "edge-gateway",
+          moduleId: "otherSensor",
+          enqueuedTime: "2019-06-03T11:33:11.125Z",
+          temperature: 99
+        }
+      ]
+    });
+
+    expect(wrapper.vm.chartData.series).toEqual([
+      [{ x: Date.parse("2019-06-03T11:33:10.125Z"), y: 21 }]
+    ]);
+    expect(wrapper.vm.getSeriesLabel(wrapper.vm.series[0])).toBe(
+      "edge-gateway/tempSensor temperature"
+    );
+  });
+
+  test("only plots the configured number of points", async () => {
+    const wrapper = shallowMountComponent({
+      tile: {
+        id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
+        pointCount: "2",
+        position: [200, 246],
+        series: [{ deviceId: "AZ3166", property: "temperature" }],
+        size: [2, 1.5],
+        title: "Line Chart",
+        type: "line-chart",
+        windowMode: "points"
+      }
+    });
+    wrapper.vm.chart.update = jest.fn();
+
+    await wrapper.setProps({
+      messages: [10, 20, 0].map((temperature, index) => ({
+        deviceId: "AZ3166",
+        enqueuedTime: new Date(Date.UTC(2019, 5, 3, 11, 33, index)),
+        temperature
+      }))
+    });
+
+    expect(wrapper.vm.chartData.series[0].map(point => point.y)).toEqual([
+      20,
+      0
+    ]);
+  });
+
+  test("only plots points within the time window", async () => {
+    const now = Date.now();
+    const wrapper = shallowMountComponent({
+      tile: {
+        id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
+        position: [200, 246],
+        series: [{ deviceId: "AZ3166", property: "temperature" }],
+        size: [2, 1.5],
+        timeWindow: "5",
+        title: "Line Chart",
+        type: "line-chart",
+        windowMode: "minutes"
+      }
+    });
+    wrapper.vm.chart.update = jest.fn();
+
+    await wrapper.setProps({
+      messages: [10, 1].map((minutesAgo, index) => ({
+        deviceId: "AZ3166",
+        enqueuedTime: new Date(now - minutesAgo * 60 * 1000),
+        temperature: index
+      }))
+    });
+
+    expect(wrapper.vm.chartData.series[0].map(point => point.y)).toEqual([1]);
+
+    const options = wrapper.vm.chart.update.mock.calls[0][1];
+    expect(options.axisX.high - options.axisX.low).toBe(5 * 60 * 1000);
+  });
+
+  test("uses the y-axis bounds when they are set", () => {
+    const { vm } = shallowMountComponent({
+      tile: {
+        id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
+        position: [200, 246],
+        series: [],
+        size: [2, 1.5],
+        title: "Line Chart",
+        type: "line-chart",
+        yMin: "-10",
+        yMax: ""
+      }
+    });
+
+    const options = vm.getChartOptions(Date.now());
+
+    expect(options.axisY).toEqual({ low: -10, high: undefined });
+  });
+
+  test("formats x-axis labels as times", () => {
+    const { vm } = shallowMountComponent();
+    vm.chartData.series = [
+      [
+        { x: Date.UTC(2019, 5, 3, 11, 33, 10), y: 1 },
+        { x: Date.UTC(2019, 5, 3, 11, 34, 10), y: 2 }
+      ]
+    ];
+
+    const options = vm.getChartOptions(Date.now());
+    const label = options.axisX.labelInterpolationFnc(
+      Date.UTC(2019, 5, 3, 11, 33, 10)
+    );
+
+    expect(label).toBe(
+      new Date(Date.UTC(2019, 5, 3, 11, 33, 10)).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit"
+      })
+    );
+  });
+
+  test("colors lines and points of each series", () => {
+    const { vm } = shallowMountComponent();
+    const element = { attr: jest.fn() };
+
+    vm.colorSeries({ type: "line", seriesIndex: 0, element });
+    vm.colorSeries({ type: "grid", seriesIndex: 0, element });
+
+    expect(element.attr).toHaveBeenCalledTimes(1);
+    expect(element.attr).toHaveBeenCalledWith({ style: "stroke: #FF6384" });
+  });
+
   test("Axe doesn’t find any violations", async () => {
     const wrapper = shallowMountComponent();
     const html = wrapper.html();
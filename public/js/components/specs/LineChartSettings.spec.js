@@ -7,11 +7,11 @@ function shallowMountComponent(props = {}) {
   return shallowMount(LineChartSettings, {
     propsData: {
       tile: {
-        deviceId: "AZ3166",
         id: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
-        lineColor: "#FF6384",
         position: [200, 246],
-        property: "",
+        series: [
+          { deviceId: "AZ3166", property: "", label: "", color: "#FF6384" }
+        ],
         size: [2, 1.5],
         title: "Line Chart",
         type: "line-chart"
@@ -40,7 +40,7 @@ describe("LineChartSettings", () => {
   test("that there is a device ID field in the LineChartSettings window", () => {
     const wrapper = shallowMountComponent();
 
-    const elements = wrapper.findAll("[name=deviceId]");
+    const elements = wrapper.findAll("[name='series[0].deviceId']");
 
     expect(elements.exists()).toBe(true);
     expect(elements.length).toEqual(1);
@@ -49,16 +49,17 @@ describe("LineChartSettings", () => {
   test("that there is a data property field in the LineChartSettings window", () => {
     const wrapper = shallowMountComponent();
 
-    const elements = wrapper.findAll("[name=property]");
+    const elements = wrapper.findAllComponents({ name: "DataPropertyField" });
 
     expect(elements.exists()).toBe(true);
     expect(elements.length).toEqual(1);
+    expect(elements.at(0).props("name")).toBe("series[0].property");
   });
 
   test("that there is a line color field in the LineChartSettings window", () => {
     const wrapper = shallowMountComponent();
 
-    const elements = wrapper.findAll("[name=lineColor]");
+    const elements = wrapper.findAll("[name='series[0].color']");
 
     expect(elements.exists()).toBe(true);
     expect(elements.length).toEqual(1);
@@ -66,9 +67,47 @@ describe("LineChartSettings", () => {
 
   test("updateValue()", () => {
     const wrapper = shallowMountComponent();
-    const spy = jest.spyOn(wrapper.vm, "updateValue");
-    wrapper.vm.updateValue("#ff8800");
-    expect(spy).toBeCalled();
+    const item = wrapper.vm.series[0];
+
+    wrapper.vm.updateValue(item, { cssColor: "#ff8800" });
+
+    expect(item.color).toBe("#ff8800");
+  });
+
+  test("series can be added and removed", async () => {
+    const wrapper = shallowMountComponent();
+
+    wrapper.vm.addSeries();
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.findAll("fieldset").length).toBe(2);
+    expect(wrapper.find("[name='series[1].label']").exists()).toBe(true);
+
+    wrapper.vm.removeSeries(0);
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.series.map(item => item.key)).toEqual([1]);
+    expect(wrapper.find("[name='series[1].label']").exists()).toBe(false);
+  });
+
+  test("shows the point count or the time window depending on the window mode", async () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.find("[name=pointCount]").exists()).toBe(true);
+    expect(wrapper.find("[name=timeWindow]").exists()).toBe(false);
+
+    wrapper.setData({ windowMode: "minutes" });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.find("[name=pointCount]").exists()).toBe(false);
+    expect(wrapper.find("[name=timeWindow]").exists()).toBe(true);
+  });
+
+  test("that there are y-axis bound fields in the LineChartSettings window", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.find("[name=yMin]").exists()).toBe(true);
+    expect(wrapper.find("[name=yMax]").exists()).toBe(true);
   });
 
   test("Axe doesn’t find any violations", async () => {
@@ -0,0 +1,58 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import LoginForm from "../LoginForm";
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(LoginForm, {
+    propsData: {
+      ...props
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("LoginForm", () => {
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("emits the name and the password and forgets the password", async () => {
+    const wrapper = shallowMountComponent();
+
+    await wrapper.find("#login-name").setValue("ada");
+    await wrapper.find("#login-password").setValue("secret");
+    await wrapper.find("form").trigger("submit");
+
+    expect(wrapper.emitted("log-in")).toEqual([
+      [{ name: "ada", password: "secret" }]
+    ]);
+    expect(wrapper.vm.password).toBe("");
+  });
+
+  test("shows why logging in failed", () => {
+    const wrapper = shallowMountComponent({
+      error: "The name or the password is wrong."
+    });
+
+    expect(wrapper.find("[data-test='login-error']").text()).toBe(
+      "The name or the password is wrong."
+    );
+  });
+
+  test("doesn’t show an error before logging in", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.find("[data-test='login-error']").exists()).toBe(false);
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
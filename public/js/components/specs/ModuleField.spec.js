@@ -0,0 +1,57 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import ModuleField from "../ModuleField";
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(ModuleField, {
+    propsData: {
+      name: "moduleId",
+      value: "",
+      tileId: "ac57912f-1a04-4cc2-a587-1bc116e8cc54",
+      deviceModules: {
+        "edge-gateway": ["tempSensor", "$edgeAgent"],
+        "edge-gateway-2": ["tempSensor"]
+      },
+      ...props
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("ModuleField", () => {
+  test("offers the modules of all IoT Edge devices", () => {
+    const wrapper = shallowMountComponent({ value: "tempSensor" });
+
+    const input = wrapper.find("[data-test='module-input']");
+    expect(input.attributes("name")).toBe("moduleId");
+    expect(input.element.value).toBe("tempSensor");
+    expect(
+      wrapper
+        .findAll("option")
+        .wrappers.map(option => option.attributes("value"))
+    ).toEqual(["$edgeAgent", "tempSensor"]);
+  });
+
+  test("is hidden while there are no modules to pick", () => {
+    const wrapper = shallowMountComponent({ deviceModules: {} });
+
+    expect(wrapper.find("[data-test='module-input']").exists()).toBe(false);
+  });
+
+  test("stays so that a module picked before can be removed", () => {
+    const wrapper = shallowMountComponent({
+      deviceModules: {},
+      value: "tempSensor"
+    });
+
+    expect(wrapper.find("[data-test='module-input']").exists()).toBe(true);
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+
+    expect(await axe(wrapper.html())).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,166 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+import Chartist from "chartist";
+
+import PieChartCard from "../PieChartCard";
+
+const tile = {
+  chartType: "pie",
+  deviceId: "AZ3166",
+  id: "5d8c5b4e-8f7a-4c5e-9d36-2b0a6f1c9e21",
+  pieMode: "properties",
+  position: [200, 246],
+  property: "status",
+  size: [1.5, 1.5],
+  slices: [
+    { label: "Kitchen", property: "power.kitchen" },
+    { label: "", property: "power.garage" }
+  ],
+  timeWindow: "",
+  title: "Pie Chart",
+  type: "pie-chart"
+};
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(PieChartCard, {
+    propsData: {
+      tile,
+      blockWidth: 200,
+      blockHeight: 250,
+      messages: [
+        {
+          deviceId: "AZ3166",
+          enqueuedTime: "2019-06-03T11:33:10.125Z",
+          power: { kitchen: 120, garage: 30 },
+          status: "on"
+        },
+        {
+          deviceId: "AZ3166",
+          enqueuedTime: "2019-06-03T11:33:11.125Z",
+          power: { kitchen: 100 },
+          status: "off"
+        },
+        {
+          deviceId: "AZ3166",
+          enqueuedTime: "2019-06-03T11:33:12.125Z",
+          power: {},
+          status: "on"
+        }
+      ],
+      ...props
+    }
+  });
+}
+
+jest.mock("chartist");
+expect.extend(toHaveNoViolations);
+
+describe("PieChartCard", () => {
+  beforeEach(() => {
+    Chartist.Pie.mockClear();
+  });
+
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("new Chartist.Pie is called in mounted lifecycle hook", () => {
+    shallowMountComponent();
+
+    expect(Chartist.Pie).toHaveBeenCalledWith(
+      "#chart-5d8c5b4e-8f7a-4c5e-9d36-2b0a6f1c9e21",
+      expect.any(Object),
+      expect.objectContaining({ donut: false })
+    );
+  });
+
+  test("draws a donut if the chart type is donut", () => {
+    shallowMountComponent({ tile: { ...tile, chartType: "donut" } });
+
+    expect(Chartist.Pie).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.any(Object),
+      expect.objectContaining({ donut: true })
+    );
+  });
+
+  test("breaks down the latest value of each slice’s property", () => {
+    const { vm } = shallowMountComponent();
+
+    expect(vm.getChartData()).toEqual({
+      labels: ["Kitchen", "power.garage"],
+      series: [100, 30]
+    });
+  });
+
+  test("counts the distinct values of a property", () => {
+    const { vm } = shallowMountComponent({
+      tile: { ...tile, pieMode: "count" }
+    });
+
+    expect(vm.getChartData()).toEqual({
+      labels: ["off", "on"],
+      series: [1, 2]
+    });
+  });
+
+  test("only counts values within the time window", () => {
+    const { vm } = shallowMountComponent({
+      tile: { ...tile, pieMode: "count", timeWindow: "5" }
+    });
+
+    expect(vm.getChartData()).toEqual({ labels: [], series: [] });
+  });
+
+  test("updates the chart when messages change", async () => {
+    const wrapper = shallowMountComponent();
+    wrapper.vm.chart.update = jest.fn();
+
+    await wrapper.setProps({ messages: [] });
+
+    expect(wrapper.vm.chart.update).toHaveBeenCalledWith(
+      { labels: [], series: [] },
+      expect.objectContaining({ donut: false })
+    );
+  });
+
+  test("redraws the chart when its settings change", async () => {
+    const wrapper = shallowMountComponent();
+    wrapper.vm.chart.update = jest.fn();
+
+    await wrapper.setProps({
+      tile: { ...tile, chartType: "donut", pieMode: "count" }
+    });
+
+    expect(wrapper.vm.chart.update).toHaveBeenCalledTimes(1);
+    expect(wrapper.vm.chart.update).toHaveBeenCalledWith(
+      { labels: ["off", "on"], series: [1, 2] },
+      expect.objectContaining({ donut: true })
+    );
+  });
+
+  test("counts over the new time window when it changes", async () => {
+    const wrapper = shallowMountComponent({
+      tile: { ...tile, pieMode: "count" }
+    });
+    wrapper.vm.chart.update = jest.fn();
+
+    await wrapper.setProps({
+      tile: { ...tile, pieMode: "count", timeWindow: "5" }
+    });
+
+    expect(wrapper.vm.chart.update).toHaveBeenCalledWith(
+      { labels: [], series: [] },
+      expect.any(Object)
+    );
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,93 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import PieChartSettings from "../PieChartSettings";
+
+const tile = {
+  chartType: "pie",
+  deviceId: "AZ3166",
+  id: "5d8c5b4e-8f7a-4c5e-9d36-2b0a6f1c9e21",
+  pieMode: "properties",
+  position: [200, 246],
+  property: "",
+  size: [1.5, 1.5],
+  slices: [
+    { label: "Kitchen", property: "power.kitchen" },
+    { label: "Garage", property: "power.garage" }
+  ],
+  timeWindow: 60,
+  title: "Pie Chart",
+  type: "pie-chart"
+};
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(PieChartSettings, {
+    propsData: {
+      tile,
+      deviceList: ["AZ3166", "Tessel2", "Jenn"],
+      ...props
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("PieChartSettings", () => {
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("that there is a device ID field in the PieChartSettings window", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.findAll("[name=deviceId]").length).toEqual(1);
+  });
+
+  test("renders a label and data property field for each slice", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.find("[name='slices[0].label']").exists()).toBe(true);
+    expect(wrapper.find("[name='slices[1].label']").exists()).toBe(true);
+    expect(
+      wrapper
+        .findAllComponents({ name: "DataPropertyField" })
+        .wrappers.map(w => w.props("name"))
+    ).toEqual(["slices[0].property", "slices[1].property"]);
+  });
+
+  test("starts out with one empty slice", () => {
+    const wrapper = shallowMountComponent({ tile: { ...tile, slices: [] } });
+
+    expect(wrapper.vm.slices).toEqual([{ label: "", property: "", key: 0 }]);
+  });
+
+  test("slices can be added and removed", async () => {
+    const wrapper = shallowMountComponent();
+
+    wrapper.vm.addSlice();
+    wrapper.vm.removeSlice(0);
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.slices.map(slice => slice.key)).toEqual([1, 2]);
+    expect(wrapper.find("[name='slices[1].label']").exists()).toBe(true);
+    expect(wrapper.find("[name='slices[2].label']").exists()).toBe(false);
+  });
+
+  test("shows the counting fields in count mode", () => {
+    const wrapper = shallowMountComponent({
+      tile: { ...tile, pieMode: "count" }
+    });
+
+    expect(wrapper.find("[name=timeWindow]").exists()).toBe(true);
+    expect(wrapper.find("[name='slices[0].label']").exists()).toBe(false);
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,233 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import TwinCard from "../TwinCard";
+import * as configFns from "../../lib/configuration";
+
+const tile = {
+  deviceId: "AZ3166",
+  desiredProperties: [
+    { label: "Target temperature", name: "setpoint.temperature" },
+    { label: "", name: "mode" }
+  ],
+  id: "6a0a3b5e-2d3f-4c1f-9b8e-0d2c1f7e9a11",
+  position: [0, 0],
+  reportedProperties: [
+    { label: "Firmware", property: "firmware.version" },
+    { label: "", property: "setpoint" }
+  ],
+  size: [1.5, 1.5],
+  title: "Device Twin",
+  type: "twin"
+};
+
+const twin = {
+  deviceId: "AZ3166",
+  etag: "AAAAAAAAAAE=",
+  tags: {},
+  properties: {
+    desired: {
+      setpoint: { temperature: 21 },
+      mode: "eco",
+      $version: 2
+    },
+    reported: {
+      firmware: { version: "1.2.0" },
+      setpoint: { temperature: 20 },
+      $metadata: { $lastUpdated: "2020-03-01T12:00:00.000Z" },
+      $version: 5
+    }
+  }
+};
+
+// Waits for the promises that are already resolved, e.g. of the mocked requests.
+function flushPromises() {
+  return new Promise(resolve => setTimeout(resolve));
+}
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(TwinCard, {
+    propsData: {
+      tile,
+      canControl: true,
+      ...props
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("TwinCard", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest
+      .spyOn(configFns, "getDeviceTwin")
+      .mockImplementation(() => Promise.resolve(twin));
+  });
+
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("loads the twin of the tile’s device", async () => {
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+
+    expect(configFns.getDeviceTwin).toHaveBeenCalledWith("AZ3166");
+    expect(wrapper.vm.twin).toEqual(twin);
+  });
+
+  test("shows the selected reported properties and when they were updated", async () => {
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.reportedItems).toEqual([
+      { label: "Firmware", value: "1.2.0" },
+      { label: "setpoint", value: "{\"temperature\":20}" } // prettier-ignore
+    ]);
+    expect(wrapper.vm.lastUpdatedText).toBe(
+      `at ${new Date("2020-03-01T12:00:00.000Z").toLocaleString()}`
+    );
+  });
+
+  test("fills the desired property inputs with their current values", async () => {
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.desiredValues).toEqual({
+      "setpoint.temperature": "21",
+      mode: "eco"
+    });
+  });
+
+  test("loads the twin again when the card’s device or desired properties change", async () => {
+    const wrapper = shallowMountComponent();
+    await flushPromises();
+
+    await wrapper.setProps({ tile: { ...tile, deviceId: "Jenn" } });
+    await flushPromises();
+
+    expect(configFns.getDeviceTwin).toHaveBeenLastCalledWith("Jenn");
+
+    await wrapper.setProps({
+      tile: {
+        ...tile,
+        deviceId: "Jenn",
+        desiredProperties: [{ label: "Interval", name: "interval" }]
+      }
+    });
+    await flushPromises();
+
+    expect(configFns.getDeviceTwin).toHaveBeenCalledTimes(3);
+    expect(wrapper.vm.desiredValues).toEqual({ interval: "" });
+    expect(wrapper.find("input").element.value).toBe("");
+  });
+
+  test("only saves changed desired properties", async () => {
+    const updatedTwin = { ...twin, etag: "AAAAAAAAAAI=" };
+    jest
+      .spyOn(configFns, "updateDesiredProperties")
+      .mockImplementation(() => Promise.resolve(updatedTwin));
+
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+
+    wrapper.vm.desiredValues["setpoint.temperature"] = "22.5";
+    await wrapper.vm.saveDesiredProperties();
+
+    expect(configFns.updateDesiredProperties).toHaveBeenCalledWith(
+      "AZ3166",
+      { setpoint: { temperature: 22.5 } },
+      "AAAAAAAAAAE="
+    );
+    expect(wrapper.vm.twin).toEqual(updatedTwin);
+    expect(wrapper.vm.statusText).toBe("Saved!");
+  });
+
+  test("removes desired properties whose inputs are emptied", async () => {
+    jest
+      .spyOn(configFns, "updateDesiredProperties")
+      .mockImplementation(() => Promise.resolve(twin));
+
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+
+    wrapper.vm.desiredValues.mode = "";
+    await wrapper.vm.saveDesiredProperties();
+
+    expect(configFns.updateDesiredProperties).toHaveBeenCalledWith(
+      "AZ3166",
+      { mode: null },
+      "AAAAAAAAAAE="
+    );
+  });
+
+  test("doesn’t save if nothing changed", async () => {
+    jest.spyOn(configFns, "updateDesiredProperties");
+
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+    await wrapper.vm.saveDesiredProperties();
+
+    expect(configFns.updateDesiredProperties).not.toHaveBeenCalled();
+    expect(wrapper.vm.statusText).toBe("Nothing changed.");
+  });
+
+  test("shows an error if saving fails", async () => {
+    jest
+      .spyOn(configFns, "updateDesiredProperties")
+      .mockImplementation(() =>
+        Promise.reject(
+          new Error("Failed to update the desired properties of AZ3166.")
+        )
+      );
+
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+
+    wrapper.vm.desiredValues.mode = "boost";
+    await wrapper.vm.saveDesiredProperties();
+
+    expect(wrapper.vm.statusText).toBe(
+      "Failed to update the desired properties of AZ3166."
+    );
+    expect(wrapper.vm.statusClass).toBe("error");
+  });
+
+  test("tells when someone else changed the twin in the meantime", async () => {
+    const conflict = new Error("Someone else changed the device twin.");
+    conflict.status = 412;
+    jest
+      .spyOn(configFns, "updateDesiredProperties")
+      .mockImplementation(() => Promise.reject(conflict));
+
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+
+    wrapper.vm.desiredValues.mode = "boost";
+    await wrapper.vm.saveDesiredProperties();
+
+    expect(wrapper.vm.statusText).toContain(
+      "Someone else changed the twin in the meantime."
+    );
+    expect(wrapper.vm.statusClass).toBe("error");
+  });
+
+  test("hides the desired properties from users who may not control devices", async () => {
+    const wrapper = shallowMountComponent({ canControl: false });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.find(".twin__desired").exists()).toBe(false);
+    expect(wrapper.find(".twin__reported").exists()).toBe(true);
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    await wrapper.vm.$nextTick();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
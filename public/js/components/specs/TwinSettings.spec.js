@@ -0,0 +1,82 @@
+import { shallowMount } from "@vue/test-utils";
+import { axe, toHaveNoViolations } from "jest-axe";
+
+import TwinSettings from "../TwinSettings";
+
+const tile = {
+  deviceId: "AZ3166",
+  desiredProperties: [{ label: "Mode", name: "mode" }],
+  id: "6a0a3b5e-2d3f-4c1f-9b8e-0d2c1f7e9a11",
+  position: [0, 0],
+  reportedProperties: [
+    { label: "Firmware", property: "firmware.version" },
+    { label: "", property: "setpoint" }
+  ],
+  size: [1.5, 1.5],
+  title: "Device Twin",
+  type: "twin"
+};
+
+function shallowMountComponent(props = {}) {
+  return shallowMount(TwinSettings, {
+    propsData: {
+      tile,
+      deviceList: ["AZ3166", "Tessel2", "Jenn"],
+      ...props
+    }
+  });
+}
+
+expect.extend(toHaveNoViolations);
+
+describe("TwinSettings", () => {
+  test("component can mount", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(wrapper.html()).toBeTruthy();
+  });
+
+  test("renders fields for each reported and desired property", () => {
+    const wrapper = shallowMountComponent();
+
+    expect(
+      wrapper
+        .findAllComponents({ name: "DataPropertyField" })
+        .wrappers.map(field => field.props("name"))
+    ).toEqual([
+      "reportedProperties[0].property",
+      "reportedProperties[1].property"
+    ]);
+    expect(
+      wrapper.find("[name='desiredProperties[0].name']").element.value
+    ).toBe("mode");
+  });
+
+  test("starts out with one empty field of each kind", () => {
+    const wrapper = shallowMountComponent({
+      tile: { ...tile, reportedProperties: [], desiredProperties: [] }
+    });
+
+    expect(wrapper.vm.reportedProperties.length).toBe(1);
+    expect(wrapper.vm.desiredProperties.length).toBe(1);
+  });
+
+  test("properties can be added and removed", async () => {
+    const wrapper = shallowMountComponent();
+
+    wrapper.vm.addDesiredProperty();
+    wrapper.vm.removeReportedProperty(0);
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.reportedProperties.map(item => item.key)).toEqual([1]);
+    expect(wrapper.vm.desiredProperties.map(item => item.key)).toEqual([2, 3]);
+    expect(wrapper.findAll("fieldset").length).toBe(3);
+  });
+
+  test("Axe doesn’t find any violations", async () => {
+    const wrapper = shallowMountComponent();
+    const html = wrapper.html();
+
+    expect(await axe(html)).toHaveNoViolations();
+  });
+});
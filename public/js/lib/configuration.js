@@ -8,43 +8,193 @@ function post(path, init = { method: "POST" }) {
   return makeRequest(path, init);
 }
 
+// Reusable function for PATCH requests
+function patch(path, init = { method: "PATCH" }) {
+  return makeRequest(path, init);
+}
+
+// Reusable function for DELETE requests
+function del(path, init = { method: "DELETE" }) {
+  return makeRequest(path, init);
+}
+
 async function makeRequest(path, init) {
+  const response = await fetchResponse(path, init);
+
+  const contentType = response.headers.get("Content-Type");
+  if (contentType !== null && contentType.includes("application/json")) {
+    return response.json();
+  } else {
+    return response.text();
+  }
+}
+
+/**
+ * @param {string} path
+ * @param {object} init
+ * @returns {Promise<Response>} The response if it’s successful. Otherwise, this rejects with an
+ *   error that has the message and the status of the response.
+ */
+async function fetchResponse(path, init) {
   const response = await fetch(path, init);
 
   if (response.ok) {
-    const contentType = response.headers.get("Content-Type");
-    if (contentType !== null && contentType.includes("application/json")) {
-      return response.json();
-    } else {
-      return response.text();
-    }
+    return response;
   } else {
     let errorMessage;
+    // The invalid fields of a rejected dashboard, which are also listed in the message.
+    let errors;
 
     try {
       const responseBody = await response.json();
       errorMessage = responseBody.data.message;
+      errors = responseBody.data.errors;
     } catch (error) {
       errorMessage = response.statusText;
     }
 
-    throw new Error(errorMessage);
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    if (errors !== undefined) {
+      error.errors = errors;
+    }
+    throw error;
   }
 }
 
+/**
+ * @param {Response} response
+ * @returns {number|undefined} The revision in the ETag of a dashboard response, e.g. `"3"`.
+ */
+function getDashboardRevision(response) {
+  const match = /^(?:W\/)?"(\d+)"$/.exec(response.headers.get("ETag") || "");
+  return match ? Number(match[1]) : undefined;
+}
+
+function getTilesPath(dashboardId) {
+  return `/api/dashboards/${encodeURIComponent(dashboardId)}/tiles`;
+}
+
+/**
+ * @param {string} path
+ * @param {object} init
+ * @returns {Promise<number>} The revision of the dashboard after the change of its cards.
+ */
+async function changeTiles(path, init) {
+  const response = await fetchResponse(path, init);
+  return getDashboardRevision(response);
+}
+
 /*
 EXPORTED API REQUEST METHODS
 */
 
-export function getDashboard() {
-  return get("/api/dashboard");
+export function getDashboards() {
+  return get("/api/dashboards");
+}
+
+/**
+ * @param {string} dashboardId
+ * @returns {Promise<{ dashboard: object, revision: number }>} The dashboard and its revision,
+ *   which saving it again expects.
+ */
+export async function getDashboard(dashboardId) {
+  const response = await fetchResponse(
+    `/api/dashboards/${encodeURIComponent(dashboardId)}`,
+    {}
+  );
+
+  return {
+    dashboard: await response.json(),
+    revision: getDashboardRevision(response)
+  };
+}
+
+/**
+ * @param {string} dashboardId
+ * @returns {string} Where the export of the dashboard can be downloaded from.
+ */
+export function getDashboardExportPath(dashboardId) {
+  return `/api/dashboards/${encodeURIComponent(dashboardId)}/export`;
+}
+
+/**
+ * @param {string} dashboardId The dashboard to import into. It’s created if it doesn’t exist.
+ * @param {object} importOptions
+ * @param {object} importOptions.bundle A dashboard export.
+ * @param {string} importOptions.mode “replace” or “merge”.
+ * @param {object} importOptions.deviceIds Maps device IDs of the export to devices of this hub.
+ * @returns {Promise<object>} The imported dashboard.
+ */
+export function importDashboard(dashboardId, importOptions) {
+  const init = {
+    method: "POST",
+    body: JSON.stringify(importOptions),
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+
+  return post(
+    `/api/dashboards/${encodeURIComponent(dashboardId)}/import`,
+    init
+  );
+}
+
+export function deleteDashboard(dashboardId) {
+  return del(`/api/dashboards/${encodeURIComponent(dashboardId)}`);
 }
 
 export function getDeviceList() {
   return get("/api/devices/list");
 }
 
-export function saveDashboard(dashboard) {
+/**
+ * @returns {Promise<Object<string, string[]>>} The module IDs of the IoT Edge devices, by device ID.
+ */
+export function getDeviceModules() {
+  return get("/api/devices/modules");
+}
+
+export function getDeviceTelemetry(deviceId) {
+  return get(`/api/devices/${encodeURIComponent(deviceId)}/telemetry`);
+}
+
+export function getDeviceTwin(deviceId) {
+  return get(`/api/device/${encodeURIComponent(deviceId)}/twin`);
+}
+
+/**
+ * @param {string} deviceId
+ * @param {object} desiredProperties A patch of the desired properties. `null` removes a property.
+ * @param {string} etag The etag of the twin that the patch is based on.
+ */
+export function updateDesiredProperties(deviceId, desiredProperties, etag) {
+  const init = {
+    method: "PATCH",
+    body: JSON.stringify(desiredProperties),
+    headers: {
+      "Content-Type": "application/json",
+      "If-Match": etag
+    }
+  };
+
+  return patch(
+    `/api/device/${encodeURIComponent(deviceId)}/twin/desired`,
+    init
+  );
+}
+
+/**
+ * Saves the settings of a dashboard, creating it if it doesn’t exist yet.
+ *
+ * @param {string} dashboardId
+ * @param {object} dashboard
+ * @param {number} [revision] The revision the changes are based on. If someone else saved the
+ *   dashboard since, this rejects with an error with the status 409.
+ * @returns {Promise<number>} The new revision of the dashboard.
+ */
+export async function saveDashboard(dashboardId, dashboard, revision) {
   // This init object can be accepted as optional parameters
   // see https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API/Using_Fetch#Supplying_request_options
   const init = {
@@ -55,5 +205,114 @@ export function saveDashboard(dashboard) {
     }
   };
 
-  return post("/api/dashboard", init);
+  if (revision !== undefined) {
+    init.headers["If-Match"] = `"${revision}"`;
+  }
+
+  const response = await fetchResponse(
+    `/api/dashboards/${encodeURIComponent(dashboardId)}`,
+    init
+  );
+  return getDashboardRevision(response);
+}
+
+/**
+ * @param {string} dashboardId
+ * @param {object} tile A card with an ID that isn’t on the dashboard yet.
+ * @returns {Promise<number>} The new revision of the dashboard.
+ */
+export function addTile(dashboardId, tile) {
+  const init = {
+    method: "POST",
+    body: JSON.stringify(tile),
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+
+  return changeTiles(getTilesPath(dashboardId), init);
+}
+
+/**
+ * Changes some settings of a card and leaves the others as they are.
+ *
+ * @param {string} dashboardId
+ * @param {string} tileId
+ * @param {object} changes The settings to change.
+ * @returns {Promise<number>} The new revision of the dashboard.
+ */
+export function updateTile(dashboardId, tileId, changes) {
+  const init = {
+    method: "PATCH",
+    body: JSON.stringify(changes),
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+
+  return changeTiles(
+    `${getTilesPath(dashboardId)}/${encodeURIComponent(tileId)}`,
+    init
+  );
+}
+
+/**
+ * @param {string} dashboardId
+ * @param {string} tileId
+ * @returns {Promise<number>} The new revision of the dashboard.
+ */
+export function deleteTile(dashboardId, tileId) {
+  return changeTiles(
+    `${getTilesPath(dashboardId)}/${encodeURIComponent(tileId)}`,
+    { method: "DELETE" }
+  );
+}
+
+/**
+ * @returns {Promise<{ name: string|null, role: string }>} The user who is logged in, or a user
+ *   without a name if nobody needs to log in. If the user has to log in first, this rejects with
+ *   an error with the status 401.
+ */
+export function getSession() {
+  return get("/api/session");
+}
+
+/**
+ * @param {string} name
+ * @param {string} password
+ * @returns {Promise<{ name: string, role: string }>} The user who is now logged in.
+ */
+export function logIn(name, password) {
+  const init = {
+    method: "POST",
+    body: JSON.stringify({ name, password }),
+    headers: {
+      "Content-Type": "application/json"
+    }
+  };
+
+  return post("/api/session", init);
+}
+
+export function logOut() {
+  return del("/api/session");
+}
+
+/**
+ * @param {object} [filter]
+ * @param {string} [filter.deviceId] Only the entries about this device.
+ * @param {Date} [filter.since] Only the entries since this time.
+ * @returns {Promise<object[]>} The entries of the audit log, the newest first.
+ */
+export function getAuditEntries({ deviceId, since } = {}) {
+  const params = new URLSearchParams();
+  if (deviceId) {
+    params.set("deviceId", deviceId);
+  }
+  if (since) {
+    params.set("since", since.toISOString());
+  }
+
+  const query = params.toString();
+  return get(query === "" ? "/api/audit" : `/api/audit?${query}`);
 }
@@ -0,0 +1,19 @@
+import { getTileDeviceIds } from "./tileDevices.js";
+
+/**
+ * Returns the IDs of the devices whose telemetry the cards of an exported dashboard display.
+ *
+ * @param {object} bundle A dashboard export, as created by the server.
+ * @returns {string[]}
+ */
+export function getBundleDeviceIds(bundle) {
+  const tiles = getBundleTiles(bundle);
+  return Array.from(new Set(tiles.flatMap(tile => getTileDeviceIds(tile))));
+}
+
+// The server validates bundles, so anything that doesn’t look like one just has no cards here.
+function getBundleTiles(bundle) {
+  const dashboard =
+    bundle !== null && typeof bundle === "object" && bundle.dashboard;
+  return dashboard && Array.isArray(dashboard.tiles) ? dashboard.tiles : [];
+}
@@ -0,0 +1,65 @@
+/**
+ * Merges the changes that someone else saved into the dashboard shown, card by card, so that
+ * neither side’s changes to other cards get lost.
+ *
+ * Each card and each dashboard setting is taken from whichever side changed it since the base.
+ * When both sides changed the same card or setting, the saved one wins.
+ *
+ * @param {object} base The dashboard as it was last saved by this browser.
+ * @param {object} local The dashboard shown, possibly with changes that aren’t saved yet.
+ * @param {object} remote The dashboard as it was saved by someone else.
+ * @returns {object} The merged dashboard.
+ */
+export function mergeDashboards(base, local, remote) {
+  const merged = {};
+
+  const keys = new Set(
+    Object.keys(local)
+      .concat(Object.keys(remote))
+      .filter(key => key !== "tiles")
+  );
+  keys.forEach(key => {
+    const value = isEqual(remote[key], base[key]) ? local[key] : remote[key];
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  });
+
+  merged.tiles = mergeTiles(base.tiles || [], local.tiles || [], remote.tiles);
+  return merged;
+}
+
+function mergeTiles(baseTiles, localTiles, remoteTiles) {
+  const baseById = indexById(baseTiles);
+  const localById = indexById(localTiles);
+
+  const tiles = remoteTiles
+    .map(remoteTile => {
+      const baseTile = baseById.get(remoteTile.id);
+      const localTile = localById.get(remoteTile.id);
+
+      if (baseTile !== undefined && isEqual(remoteTile, baseTile)) {
+        // Only this browser might have changed the card, or deleted it.
+        return localTile;
+      }
+
+      return remoteTile;
+    })
+    .filter(tile => tile !== undefined);
+
+  // Cards that were added here and aren’t saved yet. The others were deleted elsewhere.
+  const remoteIds = new Set(remoteTiles.map(tile => tile.id));
+  const addedTiles = localTiles.filter(
+    tile => !baseById.has(tile.id) && !remoteIds.has(tile.id)
+  );
+
+  return tiles.concat(addedTiles);
+}
+
+function indexById(tiles) {
+  return new Map(tiles.map(tile => [tile.id, tile]));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,58 @@
+export const DEFAULT_DASHBOARD_ID = "default";
+
+const DASHBOARD_ROUTE_REGEX = /^#\/d\/([^/?#]+)/;
+
+/**
+ * Returns the ID of the dashboard that a URL hash like `#/d/lobby` points to.
+ *
+ * @param {string} hash
+ * @returns {string} The default dashboard’s ID for any other hash.
+ */
+export function getDashboardIdFromHash(hash) {
+  const match = DASHBOARD_ROUTE_REGEX.exec(hash);
+
+  if (match === null) {
+    return DEFAULT_DASHBOARD_ID;
+  }
+
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return DEFAULT_DASHBOARD_ID;
+  }
+}
+
+/**
+ * @param {string} dashboardId
+ * @returns {string}
+ */
+export function getDashboardHash(dashboardId) {
+  return `#/d/${encodeURIComponent(dashboardId)}`;
+}
+
+/**
+ * Derives a readable ID for a new dashboard from its title, e.g. “lobby-screen” for “⚡Lobby
+ * screen”. The server only accepts letters, digits, “-” and “_” in IDs.
+ *
+ * @param {string} title
+ * @param {string[]} existingIds The IDs of the dashboards that already exist.
+ * @returns {string} An ID that isn’t one of the existing IDs.
+ */
+export function createDashboardId(title, existingIds) {
+  const slug =
+    title
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 48)
+      .replace(/-+$/, "") || "dashboard";
+
+  let dashboardId = slug;
+  for (let i = 2; existingIds.includes(dashboardId); ++i) {
+    dashboardId = `${slug}-${i}`;
+  }
+
+  return dashboardId;
+}
@@ -22,6 +22,66 @@ export function pathIsValid(path) {
   return evaluate(path, {}).isValidPath;
 }
 
+// The expressions whose first child is evaluated against the input itself, e.g. `a` in `a.b`.
+const CHAINED_EXPRESSION_TYPES = [
+  "Subexpression",
+  "IndexExpression",
+  "Projection",
+  "FilterProjection",
+  "ValueProjection",
+  "Flatten"
+];
+
+/**
+ * Finds the top-level property of the message body that a path reads, e.g. `sensor` for
+ * `body.sensor.values[0]`.
+ *
+ * @param {string} path A valid, non-empty path.
+ * @returns {string|null|undefined} The property, `null` if the path might read any of them, e.g.
+ *   because it calls a function on the whole body, or `undefined` if it doesn’t read the body, e.g.
+ *   `properties.room`.
+ */
+export function getBodyProperty(path) {
+  let node;
+  try {
+    node = jmespath.compile(path);
+  } catch (error) {
+    return null;
+  }
+
+  // The chain down to the property that the path starts with.
+  let parent = null;
+  while (CHAINED_EXPRESSION_TYPES.includes(node.type)) {
+    parent = node;
+    node = node.children[0];
+  }
+
+  if (node.type !== "Field") {
+    return null;
+  }
+  if (node.name !== "body") {
+    return undefined;
+  }
+
+  // Whatever follows `body.` is evaluated against the body, e.g. `readings[*].value`.
+  const bodyNode =
+    parent !== null && parent.type === "Subexpression"
+      ? getChainStart(parent.children[1])
+      : null;
+  return bodyNode !== null && bodyNode.type === "Field" ? bodyNode.name : null;
+}
+
+/**
+ * @param {object} node A node of a compiled path.
+ * @returns {object} The node that is evaluated against the input first, e.g. `a` in `a[0].b`.
+ */
+function getChainStart(node) {
+  while (CHAINED_EXPRESSION_TYPES.includes(node.type)) {
+    node = node.children[0];
+  }
+  return node;
+}
+
 function evaluate(path, input) {
   if (!path) {
     // Falsy paths are valid.
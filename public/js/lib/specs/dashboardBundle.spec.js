@@ -0,0 +1,29 @@
+import { getBundleDeviceIds } from "../dashboardBundle.js";
+
+const bundle = {
+  format: "electric-io-dashboard",
+  version: 3,
+  dashboard: {
+    blockSize: [250, 200],
+    tiles: [
+      { id: "1", type: "number", deviceId: "AZ3166" },
+      {
+        id: "2",
+        type: "line-chart",
+        series: [{ deviceId: "AZ3166" }, { deviceId: "Tessel2" }]
+      },
+      { id: "3", type: "sticker" }
+    ]
+  }
+};
+
+describe("getBundleDeviceIds", () => {
+  test("returns the distinct devices of all cards", () => {
+    expect(getBundleDeviceIds(bundle)).toEqual(["AZ3166", "Tessel2"]);
+  });
+
+  test("returns nothing for files that aren’t dashboard exports", () => {
+    expect(getBundleDeviceIds(null)).toEqual([]);
+    expect(getBundleDeviceIds({ dashboard: { tiles: {} } })).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+import { mergeDashboards } from "../dashboardMerge.js";
+
+const sticker = {
+  id: "84de1d0d-d1ae-4daa-9540-179e9dd4155c",
+  type: "sticker",
+  title: "",
+  position: [50, 730],
+  size: [1, 1]
+};
+const button = {
+  id: "2471d5ab-0d73-42a3-ba4f-f694574feb6b",
+  type: "button",
+  title: "MXChip sending",
+  position: [54, 466],
+  size: [0.8, 0.7]
+};
+const text = {
+  id: "5d0a3f3e-1b8e-4a43-9a6c-0d5c0f4e2a11",
+  type: "text",
+  title: "Note",
+  position: [300, 466],
+  size: [1.2, 1]
+};
+
+const base = {
+  title: "Lobby",
+  bgColor: "papayawhip",
+  blockSize: [250, 200],
+  tiles: [sticker, button]
+};
+
+describe("mergeDashboards", () => {
+  test("keeps the changes of both sides to different cards", () => {
+    const local = {
+      ...base,
+      tiles: [{ ...sticker, position: [100, 100] }, button]
+    };
+    const remote = {
+      ...base,
+      tiles: [sticker, { ...button, title: "Stop" }]
+    };
+
+    expect(mergeDashboards(base, local, remote).tiles).toEqual([
+      { ...sticker, position: [100, 100] },
+      { ...button, title: "Stop" }
+    ]);
+  });
+
+  test("prefers the saved changes to the same card", () => {
+    const local = { ...base, tiles: [{ ...sticker, title: "Mine" }, button] };
+    const remote = {
+      ...base,
+      tiles: [{ ...sticker, title: "Theirs" }, button]
+    };
+
+    expect(mergeDashboards(base, local, remote).tiles[0].title).toBe("Theirs");
+  });
+
+  test("keeps the cards that were added on both sides", () => {
+    const local = { ...base, tiles: [sticker, button, text] };
+    const remote = {
+      ...base,
+      tiles: [sticker, button, { ...text, id: "another-text" }]
+    };
+
+    expect(
+      mergeDashboards(base, local, remote).tiles.map(tile => tile.id)
+    ).toEqual([sticker.id, button.id, "another-text", text.id]);
+  });
+
+  test("doesn’t add cards twice that were saved already", () => {
+    const local = { ...base, tiles: [sticker, button, text] };
+    const remote = { ...base, tiles: [sticker, button, text] };
+
+    expect(mergeDashboards(base, local, remote).tiles).toHaveLength(3);
+  });
+
+  test("removes the cards that were deleted on either side", () => {
+    const local = { ...base, tiles: [button] };
+    const remote = { ...base, tiles: [sticker] };
+
+    expect(mergeDashboards(base, local, remote).tiles).toEqual([]);
+  });
+
+  test("merges the settings of the dashboard", () => {
+    const local = { ...base, bgColor: "hotpink" };
+    const remote = { ...base, title: "Reception" };
+
+    expect(mergeDashboards(base, local, remote)).toEqual({
+      ...base,
+      title: "Reception",
+      bgColor: "hotpink"
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import {
+  DEFAULT_DASHBOARD_ID,
+  createDashboardId,
+  getDashboardHash,
+  getDashboardIdFromHash
+} from "../dashboardRoutes.js";
+
+describe("getDashboardIdFromHash", () => {
+  test("returns the dashboard ID of a dashboard route", () => {
+    expect(getDashboardIdFromHash("#/d/lobby")).toBe("lobby");
+    expect(getDashboardIdFromHash("#/d/lobby/")).toBe("lobby");
+  });
+
+  test("returns the default dashboard for any other hash", () => {
+    expect(getDashboardIdFromHash("")).toBe(DEFAULT_DASHBOARD_ID);
+    expect(getDashboardIdFromHash("#/d/")).toBe(DEFAULT_DASHBOARD_ID);
+    expect(getDashboardIdFromHash("#settings")).toBe(DEFAULT_DASHBOARD_ID);
+    expect(getDashboardIdFromHash("#/d/%E0%A4%A")).toBe(DEFAULT_DASHBOARD_ID);
+  });
+
+  test("reads the hashes of getDashboardHash", () => {
+    expect(getDashboardIdFromHash(getDashboardHash("team_2"))).toBe("team_2");
+  });
+});
+
+describe("createDashboardId", () => {
+  test("derives the ID from the title", () => {
+    expect(createDashboardId("⚡Lobby screen", [])).toBe("lobby-screen");
+    expect(createDashboardId("Café Über", [])).toBe("cafe-uber");
+  });
+
+  test("falls back to a generic ID for titles without letters or digits", () => {
+    expect(createDashboardId("⚡⚡", [])).toBe("dashboard");
+  });
+
+  test("doesn’t reuse existing IDs", () => {
+    expect(createDashboardId("Lobby", ["lobby", "lobby-2"])).toBe("lobby-3");
+  });
+
+  test("keeps IDs short", () => {
+    const dashboardId = createDashboardId("a ".repeat(100), []);
+
+    expect(dashboardId.length).toBeLessThanOrEqual(48);
+    expect(dashboardId).not.toMatch(/-$/);
+  });
+});
@@ -1,4 +1,8 @@
-import { evaluatePath, pathIsValid } from "../messagePropertyEvaluation.js";
+import {
+  evaluatePath,
+  getBodyProperty,
+  pathIsValid
+} from "../messagePropertyEvaluation.js";
 
 describe("evaluatePath", () => {
   const complexMessageBody = {
@@ -80,3 +84,33 @@ describe("pathIsValid", () => {
     expect(pathIsValid("prop.")).toEqual(false);
   });
 });
+
+describe("getBodyProperty", () => {
+  test("returns the property of the body that a path starts with", () => {
+    expect(getBodyProperty("body.temperature")).toBe("temperature");
+    expect(getBodyProperty("body.sensor.values[0]")).toBe("sensor");
+    expect(getBodyProperty("body.readings[*].value")).toBe("readings");
+    expect(getBodyProperty("body.readings[?value > `1`].value")).toBe(
+      "readings"
+    );
+    expect(getBodyProperty("body.readings[]")).toBe("readings");
+  });
+
+  test("returns null for paths that might read any property of the body", () => {
+    expect(getBodyProperty("body | max(values)")).toBe(null);
+    expect(getBodyProperty("body[*].value")).toBe(null);
+    expect(getBodyProperty("body")).toBe(null);
+    expect(getBodyProperty("@")).toBe(null);
+    expect(getBodyProperty("[")).toBe(null);
+  });
+
+  test("returns undefined for paths that don’t read the body", () => {
+    expect(getBodyProperty("properties.room")).toBe(undefined);
+    expect(
+      getBodyProperty(
+        `systemProperties.${JSON.stringify("iothub-connection-module-id")}`
+      )
+    ).toBe(undefined);
+    expect(getBodyProperty("deviceId")).toBe(undefined);
+  });
+});
@@ -0,0 +1,196 @@
+import {
+  MAX_DEVICE_MESSAGES,
+  MIN_DEVICE_MESSAGES,
+  addMessages,
+  getBufferLimits,
+  getDeviceLimits
+} from "../telemetryBuffers.js";
+
+const NOW = Date.UTC(2020, 2, 1, 12);
+
+/**
+ * @param {number} secondsAgo
+ * @returns {object} A message body enqueued that many seconds before `NOW`.
+ */
+function createBody(secondsAgo) {
+  return {
+    deviceId: "AZ3166",
+    enqueuedTime: new Date(NOW - secondsAgo * 1000).toISOString(),
+    secondsAgo
+  };
+}
+
+/**
+ * @param {number} count
+ * @returns {object[]} That many message bodies, one a second, the oldest first.
+ */
+function createBodies(count) {
+  return Array.from({ length: count }, (_, index) => createBody(count - index));
+}
+
+describe("getBufferLimits", () => {
+  test("keeps the latest messages of every device that a tile displays", () => {
+    const limits = getBufferLimits([
+      { type: "number", deviceId: "AZ3166" },
+      { type: "sticker" }
+    ]);
+
+    expect(limits).toEqual({
+      AZ3166: {
+        count: MIN_DEVICE_MESSAGES,
+        minCount: MIN_DEVICE_MESSAGES,
+        age: null
+      }
+    });
+    expect(getDeviceLimits(limits, "Jenn")).toEqual(limits.AZ3166);
+  });
+
+  test("keeps as many messages as the line charts plot of a device", () => {
+    const limits = getBufferLimits([
+      {
+        type: "line-chart",
+        series: [{ deviceId: "AZ3166" }, { deviceId: "Jenn" }],
+        windowMode: "points",
+        pointCount: "400"
+      },
+      {
+        type: "line-chart",
+        series: [{ deviceId: "AZ3166" }],
+        windowMode: "points",
+        pointCount: "99999"
+      }
+    ]);
+
+    expect(limits.AZ3166).toEqual({
+      count: MAX_DEVICE_MESSAGES,
+      minCount: MAX_DEVICE_MESSAGES,
+      age: null
+    });
+    expect(limits.Jenn).toEqual({ count: 400, minCount: 400, age: null });
+  });
+
+  test("keeps the messages of the longest time window", () => {
+    const limits = getBufferLimits([
+      {
+        type: "line-chart",
+        series: [{ deviceId: "AZ3166" }],
+        windowMode: "minutes",
+        timeWindow: "5"
+      },
+      {
+        type: "line-chart",
+        series: [{ deviceId: "AZ3166" }],
+        windowMode: "minutes",
+        timeWindow: "10"
+      },
+      {
+        type: "line-chart",
+        series: [{ deviceId: "AZ3166" }],
+        windowMode: "points",
+        pointCount: "400"
+      }
+    ]);
+
+    expect(limits.AZ3166).toEqual({
+      count: MAX_DEVICE_MESSAGES,
+      minCount: 400,
+      age: 10 * 60 * 1000
+    });
+  });
+
+  test("keeps the messages of the time window that a pie chart counts values in", () => {
+    const limits = getBufferLimits([
+      {
+        type: "pie-chart",
+        deviceId: "AZ3166",
+        pieMode: "count",
+        timeWindow: "60"
+      },
+      {
+        type: "pie-chart",
+        deviceId: "Jenn",
+        pieMode: "properties",
+        timeWindow: "60"
+      }
+    ]);
+
+    expect(limits.AZ3166).toEqual({
+      count: MAX_DEVICE_MESSAGES,
+      minCount: MIN_DEVICE_MESSAGES,
+      age: 60 * 60 * 1000
+    });
+    expect(limits.Jenn).toEqual(getDeviceLimits({}, "Jenn"));
+
+    // A message every second for 10 minutes, far more than the newest 100.
+    const buffer = [];
+    addMessages(buffer, createBodies(600), limits.AZ3166, NOW);
+
+    expect(buffer).toHaveLength(600);
+    expect(buffer[0].secondsAgo).toBe(600);
+  });
+});
+
+describe("addMessages", () => {
+  test("drops the oldest messages beyond the count", () => {
+    const buffer = createBodies(3);
+
+    addMessages(buffer, [createBody(0)], { count: 3, minCount: 3, age: null });
+
+    expect(buffer.map(body => body.secondsAgo)).toEqual([2, 1, 0]);
+  });
+
+  test("sorts in messages that are older than the buffered ones", () => {
+    const buffer = [createBody(1)];
+
+    addMessages(buffer, [createBody(3), createBody(2)], {
+      count: 10,
+      minCount: 10,
+      age: null
+    });
+
+    expect(buffer.map(body => body.secondsAgo)).toEqual([3, 2, 1]);
+  });
+
+  test("drops messages that are too old, but keeps the minimum", () => {
+    const buffer = [];
+    const limits = { count: 1000, minCount: 2, age: 60 * 1000 };
+
+    addMessages(buffer, [createBody(120), createBody(90)], limits, NOW);
+    expect(buffer.map(body => body.secondsAgo)).toEqual([120, 90]);
+
+    addMessages(buffer, [createBody(30), createBody(10)], limits, NOW);
+    expect(buffer.map(body => body.secondsAgo)).toEqual([30, 10]);
+  });
+
+  test("skips messages that are in the buffer already", () => {
+    const buffer = [createBody(2), createBody(1)];
+
+    addMessages(
+      buffer,
+      [createBody(3), createBody(2), createBody(1), createBody(0)],
+      { count: 10, minCount: 10, age: null }
+    );
+
+    expect(buffer.map(body => body.secondsAgo)).toEqual([3, 2, 1, 0]);
+  });
+
+  test("keeps messages of different modules that were enqueued at the same time", () => {
+    const buffer = [createBody(1)];
+
+    addMessages(buffer, [{ ...createBody(1), moduleId: "tempSensor" }], {
+      count: 10,
+      minCount: 10,
+      age: null
+    });
+
+    expect(buffer).toHaveLength(2);
+  });
+
+  test("changes the buffer in place", () => {
+    const buffer = [];
+
+    addMessages(buffer, [createBody(0)], getDeviceLimits({}, "AZ3166"));
+
+    expect(buffer).toEqual([createBody(0)]);
+  });
+});
@@ -0,0 +1,126 @@
+import {
+  getTileDeviceIds,
+  getTileTelemetryProperties,
+  isMessageFrom
+} from "../tileDevices.js";
+
+describe("getTileDeviceIds", () => {
+  test("returns the device of a single-device tile", () => {
+    expect(getTileDeviceIds({ type: "number", deviceId: "AZ3166" })).toEqual([
+      "AZ3166"
+    ]);
+  });
+
+  test("returns nothing for tiles without a device", () => {
+    expect(getTileDeviceIds({ type: "sticker" })).toEqual([]);
+    expect(getTileDeviceIds({ type: "number", deviceId: "" })).toEqual([]);
+  });
+
+  test("returns the distinct devices of all series", () => {
+    const tile = {
+      type: "line-chart",
+      series: [
+        { deviceId: "AZ3166", property: "temperature" },
+        { deviceId: "Tessel2", property: "light" },
+        { deviceId: "AZ3166", property: "humidity" }
+      ]
+    };
+
+    expect(getTileDeviceIds(tile)).toEqual(["AZ3166", "Tessel2"]);
+  });
+});
+
+describe("isMessageFrom", () => {
+  const fromDevice = { deviceId: "edge-gateway", moduleId: null };
+  const fromModule = { deviceId: "edge-gateway", moduleId: "tempSensor" };
+  const fromOtherModule = { deviceId: "edge-gateway", moduleId: "vibration" };
+
+  test("matches the messages of the device and all its modules", () => {
+    const tile = { deviceId: "edge-gateway", moduleId: "" };
+
+    expect(isMessageFrom(fromDevice, tile)).toBe(true);
+    expect(isMessageFrom(fromModule, tile)).toBe(true);
+    expect(isMessageFrom({ deviceId: "AZ3166" }, tile)).toBe(false);
+  });
+
+  test("matches only the messages of the module if there is one", () => {
+    const series = { deviceId: "edge-gateway", moduleId: "tempSensor" };
+
+    expect(isMessageFrom(fromModule, series)).toBe(true);
+    expect(isMessageFrom(fromOtherModule, series)).toBe(false);
+    expect(isMessageFrom(fromDevice, series)).toBe(false);
+  });
+});
+
+describe("getTileTelemetryProperties", () => {
+  test("returns the property of a single-device tile", () => {
+    const tile = {
+      type: "number",
+      deviceId: "AZ3166",
+      property: "body.sensor.temperature"
+    };
+
+    expect(getTileTelemetryProperties(tile)).toEqual({ AZ3166: ["sensor"] });
+  });
+
+  test("returns the properties of all series and slices", () => {
+    const lineChart = {
+      type: "line-chart",
+      series: [
+        { deviceId: "AZ3166", property: "body.temperature" },
+        { deviceId: "Tessel2", property: "body.light" },
+        { deviceId: "AZ3166", property: "body.humidity" },
+        { deviceId: "AZ3166", property: "body.temperature" }
+      ]
+    };
+    const pieChart = {
+      type: "pie-chart",
+      deviceId: "Jenn",
+      property: "",
+      slices: [{ property: "body.cats" }, { property: "body.dogs" }]
+    };
+
+    expect(getTileTelemetryProperties(lineChart)).toEqual({
+      AZ3166: ["temperature", "humidity"],
+      Tessel2: ["light"]
+    });
+    expect(getTileTelemetryProperties(pieChart)).toEqual({
+      Jenn: ["cats", "dogs"]
+    });
+  });
+
+  test("needs all properties of a device for paths that might read any", () => {
+    const tile = {
+      type: "line-chart",
+      series: [
+        { deviceId: "AZ3166", property: "body.temperature" },
+        { deviceId: "AZ3166", property: "body | max(values)" }
+      ]
+    };
+
+    expect(getTileTelemetryProperties(tile)).toEqual({ AZ3166: null });
+  });
+
+  test("needs no properties of a device for paths that read its metadata", () => {
+    const tile = {
+      type: "line-chart",
+      series: [
+        { deviceId: "AZ3166", property: "properties.room" },
+        { deviceId: "Tessel2", property: "properties.room" },
+        { deviceId: "Tessel2", property: "body.light" }
+      ]
+    };
+
+    expect(getTileTelemetryProperties(tile)).toEqual({
+      AZ3166: [],
+      Tessel2: ["light"]
+    });
+  });
+
+  test("returns nothing for tiles without telemetry", () => {
+    expect(
+      getTileTelemetryProperties({ type: "button", deviceId: "AZ3166" })
+    ).toEqual({});
+    expect(getTileTelemetryProperties({ type: "sticker" })).toEqual({});
+  });
+});
@@ -0,0 +1,172 @@
+import { getTileDeviceIds } from "./tileDevices.js";
+
+// Every device keeps at least this many messages, so that cards still find the latest value of a
+// property that isn’t in every message. A device’s buffer never grows beyond the maximum, which
+// keeps browsers responsive.
+export const MIN_DEVICE_MESSAGES = 100;
+export const MAX_DEVICE_MESSAGES = 5000;
+
+const DEFAULT_LIMITS = Object.freeze({
+  count: MIN_DEVICE_MESSAGES,
+  minCount: MIN_DEVICE_MESSAGES,
+  age: null
+});
+
+/**
+ * Works out how much telemetry to keep of each device for the tiles on a dashboard.
+ *
+ * A line chart that plots a number of points needs that many messages of its devices. A line
+ * chart with a time window, and a pie chart that counts values within one, needs its devices’
+ * messages of that many minutes, however many that are. Every other tile only needs the latest
+ * messages.
+ *
+ * @param {object[]} tiles
+ * @returns {Object<string, { count: number, minCount: number, age: number|null }>} By device ID:
+ *   how many messages to keep at most, how many to keep however old they are, and for how many
+ *   milliseconds after they were enqueued the others are needed, if not for good.
+ */
+export function getBufferLimits(tiles) {
+  const needs = {};
+
+  tiles.forEach(tile => {
+    const tileNeed = getTileNeed(tile);
+
+    getTileDeviceIds(tile).forEach(deviceId => {
+      const need = needs[deviceId] || { count: MIN_DEVICE_MESSAGES, age: null };
+
+      needs[deviceId] = {
+        count: Math.max(need.count, tileNeed.count),
+        age:
+          tileNeed.age === null
+            ? need.age
+            : Math.max(need.age || 0, tileNeed.age)
+      };
+    });
+  });
+
+  const limits = {};
+  Object.keys(needs).forEach(deviceId => {
+    const { count, age } = needs[deviceId];
+    const minCount = Math.min(MAX_DEVICE_MESSAGES, count);
+
+    limits[deviceId] = {
+      count: age === null ? minCount : MAX_DEVICE_MESSAGES,
+      minCount,
+      age
+    };
+  });
+
+  return limits;
+}
+
+/**
+ * @param {Object<string, { count: number, minCount: number, age: number|null }>} limits
+ * @param {string} deviceId
+ * @returns {{ count: number, minCount: number, age: number|null }} The limits of a device’s
+ *   buffer, also for devices that no tile displays.
+ */
+export function getDeviceLimits(limits, deviceId) {
+  return limits[deviceId] || DEFAULT_LIMITS;
+}
+
+/**
+ * Adds messages of a device to its buffer and drops the messages that its limits leave no room
+ * for, the oldest first. Messages that are in the buffer already, i.e. of the same module and
+ * enqueued at the same time, are skipped. The buffer is changed in place, so that whatever watches
+ * it notices.
+ *
+ * @param {object[]} buffer The device’s messages in the order they were enqueued in.
+ * @param {object[]} messages New messages of the device, e.g. live or stored telemetry.
+ * @param {{ count: number, minCount: number, age: number|null }} limits
+ * @param {number} [now] The time in milliseconds that the age of the messages is measured from.
+ */
+export function addMessages(buffer, messages, limits, now = Date.now()) {
+  let isOrdered = true;
+  // Only messages that aren’t newer than the buffered ones can be in there already, e.g. live
+  // messages that the stored telemetry brings again. Those are rare, so the keys are only
+  // collected once one comes along.
+  let bufferedKeys = null;
+
+  let newestTime =
+    buffer.length > 0 ? getTime(buffer[buffer.length - 1]) : -Infinity;
+
+  messages.forEach(message => {
+    const time = getTime(message);
+    if (time <= newestTime) {
+      if (bufferedKeys === null) {
+        bufferedKeys = new Set(buffer.map(getMessageKey));
+      }
+      if (bufferedKeys.has(getMessageKey(message))) {
+        return;
+      }
+    }
+
+    const lastMessage = buffer[buffer.length - 1];
+    if (lastMessage !== undefined && time < getTime(lastMessage)) {
+      isOrdered = false;
+    }
+
+    buffer.push(message);
+    newestTime = Math.max(newestTime, time);
+    if (bufferedKeys !== null) {
+      bufferedKeys.add(getMessageKey(message));
+    }
+  });
+
+  // Stored telemetry arrives after live messages, so it has to be sorted in.
+  if (!isOrdered) {
+    buffer.sort((a, b) => getTime(a) - getTime(b));
+  }
+
+  let dropCount = Math.max(0, buffer.length - limits.count);
+
+  if (limits.age !== null) {
+    const oldestTime = now - limits.age;
+    const droppableCount = buffer.length - limits.minCount;
+
+    while (
+      dropCount < droppableCount &&
+      getTime(buffer[dropCount]) < oldestTime
+    ) {
+      dropCount++;
+    }
+  }
+
+  if (dropCount > 0) {
+    buffer.splice(0, dropCount);
+  }
+}
+
+/**
+ * @param {object} tile
+ * @returns {{ count: number, age: number|null }} How many messages of each of its devices the tile
+ *   needs, or for how many milliseconds.
+ */
+function getTileNeed(tile) {
+  // There’s no telling how many messages a time window needs, so they’re kept by age instead.
+  const minutes = parseFloat(tile.timeWindow);
+
+  if (tile.type === "pie-chart") {
+    return tile.pieMode === "count" && minutes > 0
+      ? { count: 0, age: minutes * 60 * 1000 }
+      : { count: 0, age: null };
+  }
+
+  if (tile.type !== "line-chart") {
+    return { count: 0, age: null };
+  }
+
+  if (tile.windowMode === "minutes" && minutes > 0) {
+    return { count: 0, age: minutes * 60 * 1000 };
+  }
+
+  return { count: parseInt(tile.pointCount, 10) || 0, age: null };
+}
+
+function getTime(message) {
+  return new Date(message.enqueuedTime).getTime();
+}
+
+function getMessageKey(message) {
+  return `${message.deviceId}/${message.moduleId || ""}/${getTime(message)}`;
+}
@@ -10,6 +10,7 @@ export default {
     title: "Number",
     type: "number",
     deviceId: "",
+    moduleId: "",
     textColor: "#000",
     textColorMode: "single",
     lowValue: 20,
@@ -25,20 +26,63 @@ export default {
     type: "button",
     buttonText: "Click Me",
     deviceId: "",
+    moduleId: "",
     deviceMethod: "",
     callType: "method",
     callPayload: "",
     position: [0, 0],
     size: [0.8, 0.7]
   },
+  gauge: {
+    title: "Gauge",
+    type: "gauge",
+    deviceId: "",
+    moduleId: "",
+    property: "",
+    gaugeShape: "radial",
+    min: 0,
+    max: 100,
+    bands: [
+      { to: 60, color: "#2ecc40ff" },
+      { to: 80, color: "#ffb700ff" },
+      { to: "", color: "#e8262bff" }
+    ],
+    blendBands: "sharp",
+    position: [0, 0],
+    size: [1.2, 1.1]
+  },
   lineChart: {
     title: "Line Chart",
     type: "line-chart",
-    lineColor: "#FF6384",
+    series: [
+      {
+        deviceId: "",
+        moduleId: "",
+        property: "",
+        label: "",
+        color: "#FF6384"
+      }
+    ],
+    windowMode: "points",
+    pointCount: 20,
+    timeWindow: 10,
+    yMin: "",
+    yMax: "",
+    position: [0, 0],
+    size: [2, 1.5]
+  },
+  pieChart: {
+    title: "Pie Chart",
+    type: "pie-chart",
+    chartType: "pie",
     deviceId: "",
+    moduleId: "",
+    pieMode: "properties",
+    slices: [],
     property: "",
+    timeWindow: 60,
     position: [0, 0],
-    size: [2, 1.5]
+    size: [1.5, 1.5]
   },
   text: {
     title: "Most Excellent Note",
@@ -46,5 +90,14 @@ export default {
     tileText: "# Hello!",
     position: [0, 0],
     size: [1.2, 1]
+  },
+  twin: {
+    title: "Device Twin",
+    type: "twin",
+    deviceId: "",
+    reportedProperties: [],
+    desiredProperties: [],
+    position: [0, 0],
+    size: [1.5, 1.5]
   }
 };
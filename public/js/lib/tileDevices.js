@@ -0,0 +1,69 @@
+import { getBodyProperty } from "./messagePropertyEvaluation.js";
+
+/**
+ * Returns the IDs of the devices whose telemetry a tile displays.
+ *
+ * Most tiles watch a single device, but line charts can plot series of several devices.
+ *
+ * @param {object} tile
+ * @returns {string[]}
+ */
+export function getTileDeviceIds(tile) {
+  const deviceIds = Array.isArray(tile.series)
+    ? tile.series.map(series => series.deviceId)
+    : [tile.deviceId];
+
+  return Array.from(new Set(deviceIds.filter(Boolean)));
+}
+
+/**
+ * @param {object} message A message as cards get it, with its `deviceId` and `moduleId`.
+ * @param {{ deviceId: string, moduleId?: string }} source A tile or a series of a line chart.
+ * @returns {boolean} Whether the message was sent by the source’s device, and by its IoT Edge
+ *   module if the source names one. Sources without a module show the messages of the device and
+ *   all its modules.
+ */
+export function isMessageFrom(message, { deviceId, moduleId }) {
+  return (
+    message.deviceId === deviceId &&
+    (!moduleId || message.moduleId === moduleId)
+  );
+}
+
+/**
+ * Returns the top-level properties of the message bodies that a tile displays, by device ID.
+ *
+ * @param {object} tile
+ * @returns {Object<string, string[]|null>} `null` for devices whose properties might all be
+ *   needed, e.g. `{ AZ3166: ["temperature"] }`, and no properties for devices whose messages are
+ *   only needed for their application or system properties. Devices whose telemetry the tile
+ *   doesn’t display are left out.
+ */
+export function getTileTelemetryProperties(tile) {
+  const paths = Array.isArray(tile.series)
+    ? tile.series.map(({ deviceId, property }) => ({ deviceId, property }))
+    : [tile.property]
+        .concat((tile.slices || []).map(slice => slice.property))
+        .map(property => ({ deviceId: tile.deviceId, property }));
+
+  const properties = {};
+  paths
+    .filter(({ deviceId, property }) => deviceId && property)
+    .forEach(({ deviceId, property }) => {
+      const bodyProperty = getBodyProperty(property);
+      const deviceProperties =
+        deviceId in properties ? properties[deviceId] : [];
+
+      if (bodyProperty === null || deviceProperties === null) {
+        properties[deviceId] = null;
+      } else if (bodyProperty === undefined) {
+        properties[deviceId] = deviceProperties;
+      } else {
+        properties[deviceId] = Array.from(
+          new Set(deviceProperties.concat([bodyProperty]))
+        );
+      }
+    });
+
+  return properties;
+}
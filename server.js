@@ -12,15 +12,27 @@ const DashboardMigrationService = require("./lib/services/dashboard-migrations.s
 const createDashboardFileIfItDoesNotExist = require("./lib/utilities/createDashboardFileIfItDoesNotExist.js");
 const liveHub = require("./lib/liveHub.js");
 const simHub = require("./lib/simHub.js");
+const TelemetryService = require("./lib/services/telemetry.service.js");
+const HubStatusService = require("./lib/services/hub-status.service.js");
+const AuthService = require("./lib/services/auth.service.js");
+const TelemetryRooms = require("./lib/telemetryRooms.js");
+const {
+  loadDecoderConfig,
+  createMessageDecoder
+} = require("./lib/messageDecoders.js");
 const routes = require("./lib/routes.js");
 
 // hub options
 const connectionString = process.env.CONNECTION_STRING;
 const consumerGroup = process.env.CONSUMER_GROUP || "$Default";
 const partitionFilter = process.env.PARTITION_FILTER || [];
+const startPosition = process.env.START_POSITION || "latest";
+const startEnqueuedTime = process.env.START_ENQUEUED_TIME;
 
 // server options
 const simulating = process.env.SIMULATING;
+const simulatorConfig = process.env.SIMULATOR_CONFIG;
+const decodersConfig = process.env.DECODERS_CONFIG;
 const platform = process.env.PLATFORM || "default";
 const port = process.env.PORT || 3000;
 
@@ -30,9 +42,22 @@ const server = http.createServer(app);
 const socketOptions = platform === "azure" ? { perMessageDeflate: false } : {};
 const io = socket(server, socketOptions);
 
+// Turns the bodies of messages into JSON objects, whatever format their devices send. It’s created
+// when the hub server starts, so that mistakes in the decoders stop it right away.
+let decodeMessage;
+
 function receiveHandler(message) {
-  debug("firehose:", message.body);
-  io.sockets.emit("message", message);
+  let decodedMessage;
+  try {
+    decodedMessage = decodeMessage(message);
+  } catch (error) {
+    console.warn(error.message);
+    return;
+  }
+
+  debug("firehose:", decodedMessage.body);
+  TelemetryService.addMessage(decodedMessage);
+  TelemetryRooms.emitMessage(io, decodedMessage);
 }
 
 function errorHandler(error) {
@@ -43,6 +68,9 @@ const hubOptions = {
   connectionString,
   consumerGroup,
   partitionFilter,
+  startPosition,
+  startEnqueuedTime,
+  simulatorConfig,
   receiveHandler,
   errorHandler
 };
@@ -56,9 +84,52 @@ async function startServer(iotHubService) {
   app.use(expressSanitizer());
   app.use("/", routes({ iotHubService }));
 
+  // Telemetry is only sent to users who may see the dashboards, the same as the API.
+  io.use(function(socket, next) {
+    const { headers } = socket.handshake;
+    AuthService.getUser({
+      authorization: headers.authorization,
+      sessionId: AuthService.getSessionId(headers.cookie)
+    })
+      .then(user => {
+        if (user === null) {
+          next(new Error("Log in to see the dashboards."));
+        } else {
+          socket.user = user;
+          next();
+        }
+      })
+      .catch(error => {
+        debug(error);
+        next(new Error(String(error)));
+      });
+  });
+
   io.on("connection", function(socket) {
     debug("a user connected");
     socket.emit("hello");
+    socket.emit("hub-status", HubStatusService.getStatus());
+
+    // Browsers only receive the telemetry of the devices they subscribe to.
+    socket.on("subscribe", subscription => {
+      if (!TelemetryRooms.subscribe(socket, subscription)) {
+        debug("ERROR: Ignored a subscription that isn’t valid.");
+      }
+    });
+  });
+
+  HubStatusService.onChange(status => {
+    io.sockets.emit("hub-status", status);
+  });
+
+  // Open dashboards merge the changes made in other browsers. Deleted dashboards are sent as
+  // `null`.
+  DashboardService.onChange((dashboardId, dashboardSettings) => {
+    io.sockets.emit("dashboard-updated", {
+      dashboardId,
+      revision: dashboardSettings ? dashboardSettings.revision || 0 : null,
+      dashboard: dashboardSettings ? dashboardSettings.dashboard : null
+    });
   });
 
   // Make sure that the dashboard file is not modified and server is not started when running tests.
@@ -66,17 +137,14 @@ async function startServer(iotHubService) {
     try {
       const result = await createDashboardFileIfItDoesNotExist();
       console.info(result.message);
-      console.info(`Your dashboard file is stored at “${result.filePath}”.`);
-
-      const dashboardSettings = await DashboardService.getDashboardSettings();
-      const wasUpgraded = DashboardMigrationService.upgradeDashboard(
-        dashboardSettings
+      console.info(
+        `Your dashboard files are stored in “${path.dirname(result.filePath)}”.`
       );
-      if (wasUpgraded) {
-        console.info(
-          `Your dashboard was upgraded to version ${dashboardSettings.version}`
-        );
-        await DashboardService.saveDashboardSettings(dashboardSettings);
+
+      const dashboards = await DashboardService.listDashboards();
+      for (const { id } of dashboards) {
+        await recoverDashboard(id);
+        await upgradeDashboard(id);
       }
     } catch (error) {
       debug(error);
@@ -89,6 +157,64 @@ async function startServer(iotHubService) {
         `The hub server is now awake and listening at port ${port}.`
       );
     });
+
+    process.once("SIGINT", () => stopServer(iotHubService));
+    process.once("SIGTERM", () => stopServer(iotHubService));
+  }
+}
+
+/**
+ * Lets the hub finish what it still has to store, like the last checkpoints, before the process
+ * exits.
+ */
+async function stopServer(iotHubService) {
+  console.info("Stopping the hub server …");
+
+  try {
+    await iotHubService.stop();
+  } catch (error) {
+    debug(error);
+    console.error(error);
+  }
+
+  process.exit(0);
+}
+
+async function recoverDashboard(dashboardId) {
+  try {
+    const backupId = await DashboardService.recoverDashboard(dashboardId);
+    if (backupId !== null) {
+      console.warn(
+        `Your dashboard “${dashboardId}” couldn’t be read, so it was restored from the backup “${backupId}”.`
+      );
+    }
+  } catch (error) {
+    debug(error);
+    console.error(error);
+  }
+}
+
+async function upgradeDashboard(dashboardId) {
+  try {
+    const dashboardSettings = await DashboardService.getDashboardSettings(
+      dashboardId
+    );
+    const wasUpgraded = DashboardMigrationService.upgradeDashboard(
+      dashboardSettings
+    );
+    if (wasUpgraded) {
+      console.info(
+        `Your dashboard “${dashboardId}” was upgraded to version ${dashboardSettings.version}`
+      );
+      await DashboardService.saveDashboardSettings(
+        dashboardSettings,
+        dashboardId
+      );
+    }
+  } catch (error) {
+    // One broken dashboard shouldn’t keep the others from being upgraded.
+    debug(error);
+    console.error(error);
   }
 }
 
@@ -96,6 +222,7 @@ async function startHubServer() {
   console.info("Starting the hub server …");
 
   try {
+    decodeMessage = createMessageDecoder(loadDecoderConfig(decodersConfig));
     const iotHubService = await hub.startService(hubOptions);
     startServer(iotHubService);
   } catch (error) {
@@ -37,7 +37,9 @@ module.exports = {
         loader: "babel-loader",
         exclude: /node_modules/,
         options: {
-          presets: ["@babel/preset-env"]
+          presets: ["@babel/preset-env"],
+          // `lib/dashboardSchema.js` is shared with the server and stays CommonJS.
+          sourceType: "unambiguous"
         }
       },
       {